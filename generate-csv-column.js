@@ -1,554 +1,513 @@
 #!/usr/bin/env node
 
 import fs from 'fs';
-import path from 'path';
 import { fileURLToPath } from 'url';
-import csv from 'csv-parser';
-import { createObjectCsvWriter } from 'csv-writer';
-import yaml from 'js-yaml';
 import dotenv from 'dotenv';
-import axios from 'axios';
+import { createProvider } from './lib/providers.js';
+import { describeRowIndices } from './lib/row-selection.js';
+import { readRows, resolveFormat, streamRows } from './lib/formats.js';
+import { buildColumnGraph, columnStages } from './lib/columns.js';
+import { diffRunLogs, readRunLog, summarizeRunLog } from './lib/run-log.js';
+import { loadConfig, validateConfig } from './lib/config.js';
+import { ConfigError, GeneratorError } from './lib/errors.js';
+import { dryRunFile, evaluateFile, generateFile, stopRun } from './lib/generator.js';
 
 // Load environment variables
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-// Configuration
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+// Subcommands; a command line starting with the config path or a flag is a run
+const COMMANDS = ['run', 'resume', 'dry-run', 'validate', 'retry-failed', 'eval', 'report'];
+
+const USAGE = `Usage: node generate-csv-column.js [run] [config.yaml] [--force "Col A,Col B"] [--full] [--stream]
+       node generate-csv-column.js resume [config.yaml] [--force "Col A,Col B"]
+       node generate-csv-column.js dry-run [config.yaml] [--sample N] [--refresh-models] [--full]
+       node generate-csv-column.js validate [config.yaml]
+       node generate-csv-column.js retry-failed [config.yaml]
+       node generate-csv-column.js eval [config.yaml]
+       node generate-csv-column.js report <run log> [other run log]
+       Config: --set key=value (repeatable); \${VAR} in the YAML reads the environment
+       Cache: --no-cache | --refresh-cache | --clear-cache
+       Run log: --no-run-log
+       Rows:  --rows 500-600 | --where "Views > 100000" | --only-empty | --sample-rows 20 [--seed 42]
+See config.yaml for the configuration format`;
+
+// Set by the first Ctrl+C (see handleInterrupts)
+let interrupted = false;
 
 /**
- * Sleep for specified milliseconds
+ * The first Ctrl+C stops the run like a reached budget: requests in flight finish,
+ * progress is saved and the partial output written. A second one quits at once.
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Replace template variables in prompt with actual values
- * Template syntax: {{columnName}}
- */
-function fillPromptTemplate(prompt, rowData) {
-  return prompt.replace(/\{\{(\w+(?:\s+\w+)*)\}\}/g, (match, columnName) => {
-    const value = rowData[columnName];
-    return value !== undefined ? value : match;
+function handleInterrupts() {
+  process.on('SIGINT', () => {
+    if (interrupted) {
+      console.error('\n  ✗ Interrupted again, quitting without waiting for requests in flight');
+      process.exit(130);
+    }
+    interrupted = true;
+    stopRun('Interrupted');
+    console.warn('\n  ⚠ Interrupted: finishing requests in flight and saving progress (Ctrl+C again to quit now)');
   });
 }
 
 /**
- * Call OpenRouter API (no retry logic - handled at batch level)
- * Returns: { result: string, cost: number, promptTokens: number, completionTokens: number }
+ * Parse command line arguments: an optional subcommand (see COMMANDS), the config path and flags
+ * --resume and --dry-run are the older spellings of the resume and dry-run commands.
+ * --set key=value (repeatable) overrides a config setting, see applyOverrides in lib/config.js
  */
-async function callOpenRouterAPI(modelName, prompt, plugins = null, webSearchOptions = null) {
-  const requestBody = {
-    model: modelName,
-    messages: [
-      {
-        role: 'user',
-        content: prompt
+function parseArgs(argv) {
+  const command = COMMANDS.includes(argv[0]) ? argv[0] : 'run';
+  const args = {
+    command, configPath: 'config.yaml', resume: command === 'resume', force: [], dryRun: command === 'dry-run', sample: 3,
+    refreshModels: false, cache: true, refreshCache: false, clearCache: false, rows: {}, stream: false, runLog: true, set: [], incremental: true
+  };
+
+  for (let i = COMMANDS.includes(argv[0]) ? 1 : 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const optionValue = () => {
+      const value = inlineValue ?? argv[++i];
+      if (!value) {
+        throw new Error(`${flag} requires a value`);
+      }
+      return value;
+    };
+
+    if (flag === '--resume') {
+      args.resume = true;
+    } else if (flag === '--force') {
+      args.force.push(...optionValue().split(',').map(name => name.trim()).filter(Boolean));
+    } else if (flag === '--dry-run') {
+      args.dryRun = true;
+    } else if (flag === '--sample') {
+      args.sample = parseInt(optionValue(), 10);
+      if (!Number.isInteger(args.sample) || args.sample < 0) {
+        throw new Error('--sample must be a non-negative integer');
+      }
+    } else if (flag === '--refresh-models') {
+      args.refreshModels = true;
+    } else if (flag === '--rows') {
+      args.rows.range = optionValue();
+    } else if (flag === '--where') {
+      args.rows.where = [...(args.rows.where || []), optionValue()];
+    } else if (flag === '--only-empty') {
+      args.rows.onlyEmpty = true;
+    } else if (flag === '--sample-rows') {
+      args.rows.sample = Number(optionValue());
+    } else if (flag === '--seed') {
+      args.rows.seed = Number(optionValue());
+      if (!Number.isInteger(args.rows.seed)) {
+        throw new Error('--seed must be an integer');
       }
-    ],
-    usage: {
-      include: true
+    } else if (flag === '--full') {
+      args.incremental = false;
+    } else if (flag === '--stream') {
+      args.stream = true;
+    } else if (flag === '--no-cache') {
+      args.cache = false;
+    } else if (flag === '--refresh-cache') {
+      args.refreshCache = true;
+    } else if (flag === '--clear-cache') {
+      args.clearCache = true;
+    } else if (flag === '--no-run-log') {
+      args.runLog = false;
+    } else if (flag === '--set') {
+      args.set.push(optionValue());
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      args.configPath = arg;
     }
-  };
+  }
 
-  // Add plugins if provided
-  if (plugins && Array.isArray(plugins) && plugins.length > 0) {
-    requestBody.plugins = plugins;
+  return args;
+}
+
+/**
+ * List the rows each column still has to generate after a run stopped early, and how to go on
+ */
+function printPendingRows(pendingRows, nextStep) {
+  console.log('\n  Rows still pending:');
+  for (const [key, indices] of pendingRows) {
+    console.log(`    "${key}": ${indices.length === 0 ? 'none' : `${indices.length} row(s) (${describeRowIndices(indices)})`}`);
   }
+  console.log(`  ➜ ${nextStep}`);
+}
 
-  // Add web_search_options if provided
-  if (webSearchOptions) {
-    requestBody.web_search_options = webSearchOptions;
+/**
+ * Print the overall statistics of a finished run
+ * columnResults: Map of column key -> stats returned by processColumn / processStream
+ * (null for columns that never started; stopped is set on those a column budget stopped);
+ * stopReason is set when the run stopped early
+ */
+function printRunSummary(columnResults, scriptStartTime, outputFileName, stopReason = null, runLogPath = null) {
+  let grandTotalCost = 0;
+  let grandTotalTokens = 0;
+  let grandTotalPromptTokens = 0;
+  let grandTotalCompletionTokens = 0;
+  let grandTotalCacheHits = 0;
+  let grandTotalCacheMisses = 0;
+  let grandTotalFailed = 0;
+  let grandTotalSearchResults = 0;
+
+  for (const columnStats of [...columnResults.values()].filter(Boolean)) {
+    grandTotalCost += columnStats.cost;
+    grandTotalTokens += columnStats.tokens;
+    grandTotalPromptTokens += columnStats.promptTokens;
+    grandTotalCompletionTokens += columnStats.completionTokens;
+    grandTotalCacheHits += columnStats.cacheHits;
+    grandTotalCacheMisses += columnStats.cacheMisses;
+    grandTotalFailed += columnStats.failed;
+    grandTotalSearchResults += columnStats.searchResults;
   }
 
-  const response = await axios.post(
-    OPENROUTER_API_URL,
-    requestBody,
-    {
-      headers: {
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://github.com/yourusername/youtube-analytics',
-        'X-Title': 'YouTube Analytics CSV Generator'
-      },
-      timeout: 60000 // 60 second timeout
+  const totalElapsed = Date.now() - scriptStartTime;
+  console.log(`\n${'='.repeat(80)}`);
+  console.log(stopReason ? `⚠ Stopped Early: ${stopReason}` : '✓ Processing Complete!');
+  console.log(`${'='.repeat(80)}`);
+  console.log(`Total execution time: ${(totalElapsed / 1000).toFixed(2)}s`);
+  console.log(`Output file: ${outputFileName}${stopReason ? ' (partial)' : ''}`);
+  if (runLogPath) {
+    console.log(`Run log: ${runLogPath} (summarize with: node generate-csv-column.js report ${runLogPath})`);
+  }
+  console.log(`\nOverall Statistics:`);
+  console.log(`  Total tokens:   ${grandTotalTokens.toLocaleString()} (${grandTotalPromptTokens.toLocaleString()} prompt + ${grandTotalCompletionTokens.toLocaleString()} completion)`);
+  if (grandTotalCacheHits + grandTotalCacheMisses > 0) {
+    console.log(`  Cache:          ${grandTotalCacheHits} hit(s), ${grandTotalCacheMisses} miss(es)`);
+  }
+  if (grandTotalSearchResults > 0) {
+    console.log(`  Search results: ${grandTotalSearchResults.toLocaleString()}`);
+  }
+  if (grandTotalCost > 0) {
+    console.log(`  Total cost:     $${grandTotalCost.toFixed(8)}`);
+  }
+  if (grandTotalFailed > 0) {
+    console.log(`  ⚠ Failed rows:  ${grandTotalFailed} (left empty; rerun with --resume, or retry-failed for columns with an errorColumn)`);
+  }
+  for (const [key, columnStats] of columnResults) {
+    if (columnStats?.stopped) {
+      console.log(`  ⚠ "${key}" stopped early: ${columnStats.stopped}`);
     }
-  );
-
-  const result = response.data.choices[0].message.content.trim();
-
-  // Extract usage information
-  const usage = response.data.usage || {};
-  const promptTokens = usage.prompt_tokens || 0;
-  const completionTokens = usage.completion_tokens || 0;
-  const totalTokens = usage.total_tokens || (promptTokens + completionTokens);
-
-  // OpenRouter returns cost when usage accounting is enabled
-  const cost = usage.cost || 0;
-
-  return {
-    result,
-    cost,
-    promptTokens,
-    completionTokens,
-    totalTokens
-  };
+  }
+  console.log(`${'='.repeat(80)}\n`);
 }
 
 /**
- * Read CSV file into array of objects
+ * Print a ConfigError's issues, one per line
  */
-async function readCSV(filePath) {
-  return new Promise((resolve, reject) => {
-    const rows = [];
-
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => rows.push(data))
-      .on('end', () => resolve(rows))
-      .on('error', (error) => reject(error));
-  });
+function printConfigIssues(error) {
+  console.error(`  ✗ Invalid configuration${error.file ? ` (${error.file})` : ''}:`);
+  for (const issue of error.issues) {
+    console.error(`    ${issue.path ? `${issue.path}: ` : ''}${issue.message}`);
+  }
 }
 
 /**
- * Write data to CSV file
+ * Column names of an input file, read from its first row (null when it has none)
  */
-async function writeCSV(filePath, data, headers) {
-  const csvWriter = createObjectCsvWriter({
-    path: filePath,
-    header: headers.map(h => ({ id: h, title: h }))
-  });
-
-  await csvWriter.writeRecords(data);
+async function inputHeaders(fileName, format) {
+  if (format.type === 'xlsx') {
+    return (await readRows(fileName, format)).headers;
+  }
+  for await (const row of streamRows(fileName, format)) {
+    return Object.keys(row);
+  }
+  return null;
 }
 
 /**
- * Process a single row (helper for processBatch)
+ * validate command: check the config against the schema, its provider, and its column
+ * references against the input file's columns when that file exists. Makes no API calls.
+ * Returns true when the config is valid.
  */
-async function processRow(row, rowIndex, columnInfo, modelName, prompt, plugins, webSearchOptions) {
-  // Fill prompt template with row data
-  const filledPrompt = fillPromptTemplate(prompt, row);
-
-  // Call API
-  const apiResult = await callOpenRouterAPI(modelName, filledPrompt, plugins, webSearchOptions);
-
-  // Store result in row based on column type
-  if (typeof columnInfo === 'string') {
-    // Single column (backward compatible)
-    row[columnInfo] = apiResult.result;
-  } else {
-    // Grouped columns - parse JSON and distribute to columns
+async function runValidate(config) {
+  let headers = null;
+  if (typeof config.inputFileName === 'string' && fs.existsSync(config.inputFileName)) {
     try {
-      // Strip markdown code fences if present (```json ... ``` or ``` ... ```)
-      let jsonText = apiResult.result.trim();
-      if (jsonText.startsWith('```')) {
-        // Remove opening fence (```json or ```)
-        jsonText = jsonText.replace(/^```(?:json)?\s*\n?/, '');
-        // Remove closing fence (```)
-        jsonText = jsonText.replace(/\n?```\s*$/, '');
-      }
+      headers = await inputHeaders(config.inputFileName, resolveFormat(config.inputFileName, config.inputFormat, 'inputFormat'));
+    } catch {
+      // A bad inputFormat is reported by validateConfig
+    }
+  }
 
-      const parsed = JSON.parse(jsonText);
-      for (const colName of columnInfo.columns) {
-        row[colName] = parsed[colName] || '__undetectable__';
-      }
-    } catch (parseError) {
-      // JSON parse error - log and set all to __undetectable__
-      console.error(`    ✗ Row ${rowIndex + 1}: Failed to parse JSON - ${parseError.message}`);
-      console.error(`      Response: ${apiResult.result.substring(0, 200)}...`);
-      for (const colName of columnInfo.columns) {
-        row[colName] = '__undetectable__';
-      }
+  const { config: prepared, issues, warnings } = validateConfig(config, { headers });
+  try {
+    createProvider(config.provider);
+  } catch (err) {
+    issues.push({ path: 'provider', message: err.message });
+  }
+
+  for (const warning of warnings) {
+    console.warn(`  ⚠ ${warning.path}: ${warning.message}`);
+  }
+  if (issues.length > 0) {
+    for (const issue of issues) {
+      console.error(`  ✗ ${issue.path ? `${issue.path}: ` : ''}${issue.message}`);
     }
+    console.error(`\n✗ ${issues.length} problem(s) found`);
+    return false;
   }
 
-  return {
-    success: true,
-    cost: apiResult.cost,
-    promptTokens: apiResult.promptTokens,
-    completionTokens: apiResult.completionTokens,
-    rowIndex
-  };
+  if (headers) {
+    const stages = columnStages(buildColumnGraph(prepared.columns, headers));
+    console.log(`  ✓ Column references match the ${headers.length} input column(s) of ${config.inputFileName}`);
+    console.log(`  ✓ ${prepared.columns.length} column config(s) in ${stages.length} stage(s)`);
+  } else {
+    console.log(`  ➜ Input file not found (${config.inputFileName}); column references were not checked`);
+  }
+  console.log('\n✓ Configuration is valid');
+  return true;
 }
 
 /**
- * Process a single batch of rows with retry logic (only retries failed rows)
- * columnInfo can be:
- * - String: single column name (backward compatible)
- * - Object: { isGroup: true, columns: ["Col1", "Col2", ...] } for grouped columns
+ * Average and 95th percentile latency of a run log bucket or eval variant, e.g. "812ms (p95 1,900ms)"
  */
-async function processBatch(rows, batchStart, batchEnd, columnInfo, modelName, prompt, plugins = null, webSearchOptions = null, maxRetries = 10) {
-  // Track rows that need to be processed
-  let rowsToProcess = [];
-  for (let j = batchStart; j < batchEnd; j++) {
-    rowsToProcess.push(j);
+function describeLatency(bucket) {
+  if (bucket.latencies.length === 0) {
+    return '-';
   }
+  const sorted = [...bucket.latencies].sort((a, b) => a - b);
+  const average = sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length;
+  const p95 = sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)];
+  return `${Math.round(average).toLocaleString()}ms (p95 ${p95.toLocaleString()}ms)`;
+}
 
-  const allResults = [];
-  let retryCount = 0;
-
-  while (rowsToProcess.length > 0 && retryCount <= maxRetries) {
-    // Create promises for rows that still need processing
-    const batchPromises = rowsToProcess.map(rowIndex => {
-      const row = rows[rowIndex];
-      return processRow(row, rowIndex, columnInfo, modelName, prompt, plugins, webSearchOptions)
-        .then(result => ({ success: true, result, rowIndex }))
-        .catch(error => ({ success: false, error, rowIndex }));
-    });
-
-    // Wait for all promises to settle
-    const results = await Promise.all(batchPromises);
+/**
+ * Print run log buckets (see summarizeRunLog) as a table, one line per name
+ */
+function printBucketTable(title, buckets) {
+  const width = Math.max(12, ...[...buckets.keys()].map(name => String(name).length)) + 2;
+  console.log(`\n${title}:`);
+  console.log(`  ${''.padEnd(width)}${'Calls'.padStart(7)}${'Rows'.padStart(7)}${'Errors'.padStart(8)}${'Invalid'.padStart(9)}${'Tokens'.padStart(12)}${'Cost'.padStart(14)}  Latency`);
+  for (const [name, bucket] of buckets) {
+    const tokens = bucket.promptTokens + bucket.completionTokens;
+    console.log(`  ${String(name).padEnd(width)}${String(bucket.calls).padStart(7)}${String(bucket.rows.size).padStart(7)}${String(bucket.errors).padStart(8)}${String(bucket.invalid).padStart(9)}`
+      + `${tokens.toLocaleString().padStart(12)}${`$${bucket.cost.toFixed(6)}`.padStart(14)}  ${describeLatency(bucket)}`);
+  }
+}
 
-    // Separate successful and failed rows
-    const succeeded = [];
-    const failed = [];
+/**
+ * A row's values from a run log, shown as the bare value for single columns
+ */
+function describeLogValues(values) {
+  const entries = Object.entries(values || {});
+  return entries.length === 1 ? JSON.stringify(entries[0][1]) : JSON.stringify(values);
+}
 
-    for (const result of results) {
-      if (result.success) {
-        succeeded.push(result);
-        allResults.push(result.result);
-      } else {
-        failed.push(result);
-      }
+/**
+ * report command: summarize one run log by column, model and error type, or compare two
+ */
+function runReport(files) {
+  if (files.length < 1 || files.length > 2) {
+    console.error('Usage: node generate-csv-column.js report <run log> [other run log]');
+    process.exit(1);
+  }
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      console.error(`✗ Run log not found: ${file}`);
+      process.exit(1);
     }
+  }
 
-    // Update rows to process - only failed ones
-    rowsToProcess = failed.map(f => f.rowIndex);
-
-    if (rowsToProcess.length > 0) {
-      retryCount++;
-
-      // Log error details from failed rows
-      const errorSummary = {};
-      for (const failure of failed) {
-        const statusCode = failure.error.response?.status || 'N/A';
-        const errorData = failure.error.response?.data;
-
-        // Try to extract detailed error message
-        let errorMsg = failure.error.message;
-        if (errorData) {
-          if (errorData.error?.message) {
-            errorMsg = errorData.error.message;
-          } else if (typeof errorData === 'string') {
-            errorMsg = errorData;
-          } else if (errorData.message) {
-            errorMsg = errorData.message;
-          }
-
-          // Include metadata if available
-          if (errorData.error?.metadata) {
-            errorMsg += ` (${JSON.stringify(errorData.error.metadata)})`;
-          }
-        }
-
-        const key = `${statusCode}: ${errorMsg}`;
-        if (!errorSummary[key]) {
-          errorSummary[key] = [];
-        }
-        errorSummary[key].push(failure.rowIndex + 1);
-      }
-
-      if (retryCount > maxRetries) {
-        console.error(`  ✗ ${rowsToProcess.length} row(s) FAILED after ${maxRetries} retries`);
-        console.error(`    Failed rows: ${rowsToProcess.map(i => i + 1).join(', ')}`);
-        console.error(`    Error summary:`);
-        for (const [error, rows] of Object.entries(errorSummary)) {
-          console.error(`      ${error}`);
-          console.error(`        Affected rows: ${rows.join(', ')}`);
-        }
-
-        throw new Error(`${rowsToProcess.length} row(s) failed after ${maxRetries} retries`);
-      }
-
-      // Exponential backoff: 2^retryCount seconds
-      const backoffMs = Math.pow(2, retryCount) * 1000;
-      console.warn(`  ⚠ ${rowsToProcess.length} row(s) failed (attempt ${retryCount}/${maxRetries})`);
-      console.warn(`    Retrying failed rows: ${rowsToProcess.map(i => i + 1).join(', ')}`);
-
-      // Log error types
-      for (const [error, rows] of Object.entries(errorSummary)) {
-        console.warn(`    ${error} (rows: ${rows.join(', ')})`);
-      }
-
-      // On first retry, log response body from first failure
-      if (retryCount === 1 && failed.length > 0 && failed[0].error.response?.data) {
-        console.warn(`    Response body: ${JSON.stringify(failed[0].error.response.data)}`);
+  if (files.length === 1) {
+    const { totals, byColumn, byModel, byError, byVariant, costliestRows } = summarizeRunLog(readRunLog(files[0]));
+    console.log(`\n${'='.repeat(80)}`);
+    console.log(`Run Report: ${files[0]}`);
+    console.log(`${'='.repeat(80)}`);
+    console.log(`  Calls:    ${totals.calls.toLocaleString()} (${totals.errors} failed, ${totals.invalid} invalid, ${totals.cached} cached)`);
+    console.log(`  Tokens:   ${(totals.promptTokens + totals.completionTokens).toLocaleString()} (${totals.promptTokens.toLocaleString()} prompt + ${totals.completionTokens.toLocaleString()} completion)`);
+    console.log(`  Cost:     $${totals.cost.toFixed(8)}`);
+    console.log(`  Latency:  ${describeLatency(totals)}`);
+    printBucketTable('By column', byColumn);
+    printBucketTable('By model', byModel);
+    if (byVariant.size > 0) {
+      printBucketTable('By eval variant', byVariant);
+    }
+    if (byError.size > 0) {
+      printBucketTable('By error type', byError);
+    }
+    if (costliestRows.length > 0) {
+      console.log('\nCostliest rows:');
+      for (const row of costliestRows) {
+        console.log(`  "${row.column}" row ${row.rowIndex + 1}: $${row.cost.toFixed(8)} (${row.calls} call(s))`);
       }
-
-      console.warn(`    Waiting ${backoffMs/1000}s before retry...`);
-      await sleep(backoffMs);
     }
+    console.log(`${'='.repeat(80)}\n`);
+    return;
   }
 
-  return allResults;
+  const diff = diffRunLogs(readRunLog(files[0]), readRunLog(files[1]));
+  const change = (before, after) => (before === 0 ? '' : ` (${after >= before ? '+' : ''}${(((after - before) / before) * 100).toFixed(1)}%)`);
+  console.log(`\n${'='.repeat(80)}`);
+  console.log('Run Comparison');
+  console.log(`${'='.repeat(80)}`);
+  console.log(`  Before: ${files[0]}`);
+  console.log(`  After:  ${files[1]}`);
+  for (const { column, before, after } of diff.columns) {
+    console.log(`\n  "${column}"`);
+    console.log(`    Calls:    ${before.calls} → ${after.calls}`);
+    console.log(`    Rows:     ${before.rows.size} → ${after.rows.size}`);
+    console.log(`    Errors:   ${before.errors} → ${after.errors} (invalid: ${before.invalid} → ${after.invalid})`);
+    console.log(`    Tokens:   ${(before.promptTokens + before.completionTokens).toLocaleString()} → ${(after.promptTokens + after.completionTokens).toLocaleString()}`);
+    console.log(`    Cost:     $${before.cost.toFixed(8)} → $${after.cost.toFixed(8)}${change(before.cost, after.cost)}`);
+    console.log(`    Latency:  ${describeLatency(before)} → ${describeLatency(after)}`);
+  }
+  console.log(`\nValues: ${diff.same} row(s) unchanged, ${diff.changed.length} changed, ${diff.onlyBefore} only before, ${diff.onlyAfter} only after`);
+  for (const { column, rowIndex, before, after } of diff.changed.slice(0, 20)) {
+    console.log(`  "${column}" row ${rowIndex + 1}: ${describeLogValues(before)} → ${describeLogValues(after)}`);
+  }
+  if (diff.changed.length > 20) {
+    console.log(`  ... and ${diff.changed.length - 20} more`);
+  }
+  console.log(`${'='.repeat(80)}\n`);
 }
 
 /**
- * Process a single column configuration (single or grouped)
+ * Print an eval's results: accuracy, cost and latency per variant, then each variant's
+ * confusion matrix (prediction columns nothing fell into are left out)
  */
-async function processColumn(columnConfig, rows, columnIndex, totalColumns, progressFilePath) {
-  // Detect if this is a grouped column or single column
-  const isGrouped = !!columnConfig.group;
-
-  let columnName, modelName, batchSize, cooldown, prompt, plugins, webSearchOptions, columnInfo;
-
-  if (isGrouped) {
-    // Extract from grouped config
-    const group = columnConfig.group;
-    columnName = `${group.groupName} (${group.columns.length} columns: ${group.columns.join(', ')})`;
-    modelName = group.modelName;
-    batchSize = group.batchSize;
-    cooldown = group.cooldown;
-    prompt = group.prompt;
-    plugins = group.modelPlugins || null;
-    webSearchOptions = group.webSearchOptions || null;
-    columnInfo = { isGroup: true, columns: group.columns };
-  } else {
-    // Extract from single column config
-    columnName = columnConfig.columnName;
-    modelName = columnConfig.modelName;
-    batchSize = columnConfig.batchSize;
-    cooldown = columnConfig.cooldown;
-    prompt = columnConfig.prompt;
-    plugins = columnConfig.modelPlugins || null;
-    webSearchOptions = columnConfig.webSearchOptions || null;
-    columnInfo = columnConfig.columnName; // Simple string for backward compatibility
-  }
-
+function printEvalReport(result, scriptStartTime) {
   console.log(`\n${'='.repeat(80)}`);
-  console.log(`${isGrouped ? 'Column Group' : 'Column'} ${columnIndex + 1}/${totalColumns}: "${columnName}"`);
+  console.log(result.stopped ? `⚠ Evaluation Stopped Early: ${result.stopped}` : '✓ Evaluation Complete!');
   console.log(`${'='.repeat(80)}`);
-  console.log(`Model:      ${modelName}`);
-  console.log(`Batch size: ${batchSize}`);
-  console.log(`Cooldown:   ${cooldown}ms`);
-  if (plugins && plugins.length > 0) {
-    console.log(`Plugins:    ${JSON.stringify(plugins)}`);
+  console.log(`Column: "${result.column}" against labels in "${result.labelColumn}" (${result.rows} labelled row(s))`);
+  console.log(`Total execution time: ${((Date.now() - scriptStartTime) / 1000).toFixed(2)}s`);
+
+  const width = Math.max(12, ...result.variants.map(variant => variant.name.length)) + 2;
+  console.log(`\n  ${'Variant'.padEnd(width)}${'Accuracy'.padStart(9)}${'Correct'.padStart(12)}${'Failed'.padStart(8)}${'Tokens'.padStart(12)}${'Cost'.padStart(14)}  Latency`);
+  for (const variant of result.variants) {
+    const accuracy = variant.accuracy === null ? '-' : `${(variant.accuracy * 100).toFixed(1)}%`;
+    console.log(`  ${variant.name.padEnd(width)}${accuracy.padStart(9)}${`${variant.correct}/${variant.scored}`.padStart(12)}${String(variant.failed).padStart(8)}`
+      + `${variant.tokens.toLocaleString().padStart(12)}${`$${variant.cost.toFixed(6)}`.padStart(14)}  ${describeLatency(variant)}`
+      + (variant.cacheHits > 0 ? ` (${variant.cacheHits} cached)` : ''));
   }
-  if (webSearchOptions) {
-    console.log(`Web Search: ${JSON.stringify(webSearchOptions)}`);
+  if (result.variants.some(variant => variant.cacheHits > 0)) {
+    console.log('  ⚠ Cached calls cost nothing and have no latency, so their variants\' tokens, cost and latency are understated');
   }
-  console.log(`Total rows: ${rows.length}`);
-
-  const totalRows = rows.length;
-  let processedCount = 0;
-  let totalCost = 0;
-  let totalPromptTokens = 0;
-  let totalCompletionTokens = 0;
-  const startTime = Date.now();
-
-  // Process rows in batches (rows within batch processed in parallel)
-  for (let i = 0; i < totalRows; i += batchSize) {
-    const batchEnd = Math.min(i + batchSize, totalRows);
-    const batchNumber = Math.floor(i / batchSize) + 1;
-    const totalBatches = Math.ceil(totalRows / batchSize);
-    const batchStartTime = Date.now();
-
-    console.log(`\n  Batch ${batchNumber}/${totalBatches} (rows ${i + 1}-${batchEnd}) - processing ${batchEnd - i} rows in parallel...`);
-
-    // Process batch with retry logic
-    const batchResults = await processBatch(rows, i, batchEnd, columnInfo, modelName, prompt, plugins, webSearchOptions);
-
-    // Aggregate results
-    let batchCost = 0;
-    for (const result of batchResults) {
-      processedCount++;
-      totalCost += result.cost;
-      batchCost += result.cost;
-      totalPromptTokens += result.promptTokens;
-      totalCompletionTokens += result.completionTokens;
-    }
-
-    const batchElapsed = Date.now() - batchStartTime;
-    const batchTokens = batchResults.reduce((sum, r) => sum + r.promptTokens + r.completionTokens, 0);
 
-    console.log(`  ✓ Completed in ${(batchElapsed / 1000).toFixed(2)}s | Success: ${processedCount}/${batchEnd}`);
-    console.log(`    Batch tokens: ${batchTokens.toLocaleString()} | Batch cost: $${batchCost.toFixed(8)}`);
-    console.log(`    Running total: ${(totalPromptTokens + totalCompletionTokens).toLocaleString()} tokens | $${totalCost.toFixed(8)}`)
-
-    // Write progress file with all data so far
-    if (progressFilePath) {
-      try {
-        const allHeaders = Object.keys(rows[0]);
-        await writeCSV(progressFilePath, rows, allHeaders);
-      } catch (err) {
-        console.warn(`    ⚠ Failed to write progress file: ${err.message}`);
-      }
-    }
-
-    // Apply cooldown between batches (except after last batch)
-    if (batchEnd < totalRows && cooldown > 0) {
-      console.log(`  ⏸  Cooling down for ${cooldown}ms...`);
-      await sleep(cooldown);
-    }
+  for (const variant of result.variants) {
+    const shown = variant.predicted.map((_, j) => j).filter(j => j < variant.classes.length || variant.counts.some(counts => counts[j] > 0));
+    const labelWidth = Math.max(12, ...variant.classes.map(name => name.length)) + 2;
+    const cellWidths = shown.map(j => Math.max(7, variant.predicted[j].length + 2));
+    console.log(`\nConfusion matrix "${variant.name}" (rows: label, columns: prediction):`);
+    console.log(`  ${''.padEnd(labelWidth)}${shown.map((j, k) => variant.predicted[j].padStart(cellWidths[k])).join('')}${'Recall'.padStart(9)}`);
+    variant.classes.forEach((name, i) => {
+      const total = variant.counts[i].reduce((sum, count) => sum + count, 0);
+      const recall = total === 0 ? '-' : `${((variant.counts[i][i] / total) * 100).toFixed(1)}%`;
+      console.log(`  ${name.padEnd(labelWidth)}${shown.map((j, k) => String(variant.counts[i][j]).padStart(cellWidths[k])).join('')}${recall.padStart(9)}`);
+    });
   }
 
-  const totalElapsed = Date.now() - startTime;
-  const avgTimePerRow = totalElapsed / totalRows;
-  const totalTokens = totalPromptTokens + totalCompletionTokens;
-
-  console.log(`\n${'─'.repeat(80)}`);
-  console.log(`${isGrouped ? 'Column Group' : 'Column'} "${isGrouped ? columnConfig.group.groupName : columnName}" Summary:`);
-  console.log(`  Total time:     ${(totalElapsed / 1000).toFixed(2)}s`);
-  console.log(`  Avg per row:    ${avgTimePerRow.toFixed(0)}ms`);
-  console.log(`  Rows processed: ${processedCount}/${totalRows}`);
-  console.log(`  Total tokens:   ${totalTokens.toLocaleString()} (${totalPromptTokens.toLocaleString()} prompt + ${totalCompletionTokens.toLocaleString()} completion)`);
-  if (totalCost > 0) {
-    console.log(`  Total cost:     $${totalCost.toFixed(8)}`);
-    if (processedCount > 0) {
-      console.log(`  Avg cost/row:   $${(totalCost / processedCount).toFixed(8)}`);
-    }
+  console.log(`\nComparison: ${result.comparison.rows.length} row(s) where a variant disagrees with the label, written to ${result.outputFile}`);
+  if (result.runLogPath) {
+    console.log(`Run log: ${result.runLogPath} (summarize with: node generate-csv-column.js report ${result.runLogPath})`);
   }
-  console.log(`${'─'.repeat(80)}`);
-
-  return { cost: totalCost, tokens: totalTokens, promptTokens: totalPromptTokens, completionTokens: totalCompletionTokens };
+  console.log(`${'='.repeat(80)}\n`);
 }
 
-/**
- * Main function
- */
 async function main() {
   const scriptStartTime = Date.now();
 
   try {
+    // report <run log> [<other run log>]: summarize a run, or compare two
+    if (process.argv[2] === 'report') {
+      runReport(process.argv.slice(3));
+      return;
+    }
+
+    const args = parseArgs(process.argv.slice(2));
+    const { command } = args;
+    const steps = command === 'validate' ? 3 : 5;
+
     console.log(`\n${'='.repeat(80)}`);
     console.log('CSV Column Generator with OpenRouter AI');
     console.log(`${'='.repeat(80)}\n`);
 
-    // Check for config file argument
-    const configPath = process.argv[2] || 'config.yaml';
-
-    console.log('[1/5] Checking configuration...');
-    if (!fs.existsSync(configPath)) {
-      console.error(`  ✗ Config file not found: ${configPath}`);
-      console.log('\nUsage: node generate-csv-column.js [config.yaml]');
-      console.log('See config.example.yaml for configuration format');
+    // retry-failed [config.yaml]: rerun the cells marked in error columns of the output file
+    // eval [config.yaml]: score variants of a column against labelled rows
+    const retryFailed = command === 'retry-failed';
+    if ((retryFailed || command === 'eval') && (args.resume || args.dryRun || args.stream || args.force.length > 0)) {
+      console.error(`  ✗ ${command} can't be combined with --resume, --force, --dry-run or --stream`);
       process.exit(1);
     }
-    console.log(`  ✓ Config file found: ${configPath}`);
 
-    // Check for API key
-    if (!OPENROUTER_API_KEY) {
-      console.error('  ✗ OPENROUTER_API_KEY not found in .env file');
+    console.log(`[1/${steps}] Checking configuration...`);
+    if (!fs.existsSync(args.configPath)) {
+      console.error(`  ✗ Config file not found: ${args.configPath}`);
+      console.log(`\n${USAGE}`);
       process.exit(1);
     }
-    console.log(`  ✓ API key loaded (${OPENROUTER_API_KEY.substring(0, 8)}...)`);
+    console.log(`  ✓ Config file found: ${args.configPath}`);
 
-    // Load configuration
-    console.log('\n[2/5] Loading configuration...');
-    const config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+    // Load configuration: ${VAR} references filled in, then --set overrides applied
+    console.log(`\n[2/${steps}] Loading configuration...`);
+    const config = loadConfig(args.configPath, { set: args.set });
+    if (args.set.length > 0) {
+      console.log(`  ✓ Overrides: ${args.set.join(', ')}`);
+    }
 
-    // Validate config
-    if (!config.inputFileName || !config.outputFileName || !config.columns) {
-      console.error('  ✗ Invalid configuration. Required fields: inputFileName, outputFileName, columns');
-      process.exit(1);
+    if (command === 'validate') {
+      console.log(`\n[3/${steps}] Validating configuration...`);
+      process.exitCode = await runValidate(config) ? 0 : 1;
+      return;
     }
-    console.log(`  ✓ Configuration loaded successfully`);
-    console.log(`    Input:   ${config.inputFileName}`);
-    console.log(`    Output:  ${config.outputFileName}`);
-    console.log(`    Columns: ${config.columns.length}`);
-
-    // Validate column configs
-    for (let i = 0; i < config.columns.length; i++) {
-      const col = config.columns[i];
-
-      // Detect if this is a grouped column or single column
-      if (col.group) {
-        // Grouped column validation
-        const group = col.group;
-        if (!group.groupName || !group.modelName || !group.prompt || !group.columns || !Array.isArray(group.columns)) {
-          console.error(`  ✗ Column ${i + 1} (grouped) missing required fields (groupName, modelName, prompt, columns array)`);
-          process.exit(1);
-        }
-        if (group.columns.length === 0) {
-          console.error(`  ✗ Column ${i + 1} (grouped) has empty columns array`);
-          process.exit(1);
-        }
-        // Set defaults for grouped columns
-        group.batchSize = group.batchSize || 10;
-        group.cooldown = group.cooldown || 0;
-      } else {
-        // Single column validation (existing logic)
-        if (!col.columnName || !col.modelName || !col.prompt) {
-          console.error(`  ✗ Column ${i + 1} missing required fields (columnName, modelName, prompt)`);
-          process.exit(1);
-        }
-        // Set defaults for single columns
-        col.batchSize = col.batchSize || 10;
-        col.cooldown = col.cooldown || 0;
-      }
+    console.log('  ✓ Configuration loaded successfully');
+
+    const options = {
+      resume: args.resume,
+      force: args.force,
+      retryFailed,
+      stream: args.stream,
+      incremental: args.incremental,
+      rows: Object.keys(args.rows).length > 0 ? args.rows : undefined,
+      cache: args.cache,
+      refreshCache: args.refreshCache,
+      clearCache: args.clearCache,
+      runLog: args.runLog,
+      sample: args.sample,
+      refreshModels: args.refreshModels
+    };
+
+    if (args.dryRun) {
+      await dryRunFile(config, options);
+      return;
     }
 
-    // Read input CSV
-    console.log('\n[3/5] Reading input CSV...');
-    if (!fs.existsSync(config.inputFileName)) {
-      console.error(`  ✗ Input file not found: ${config.inputFileName}`);
-      process.exit(1);
+    if (command === 'eval') {
+      handleInterrupts();
+      const result = await evaluateFile(config, options);
+      printEvalReport(result, scriptStartTime);
+      if (result.stopped) {
+        process.exitCode = interrupted ? 130 : 2;
+      }
+      return;
     }
 
-    const rows = await readCSV(config.inputFileName);
-    console.log(`  ✓ Loaded ${rows.length} rows`);
-
-    if (rows.length === 0) {
-      console.error('  ✗ Input CSV is empty');
-      process.exit(1);
+    handleInterrupts();
+    const result = await generateFile(config, options);
+    if (result.pendingRows) {
+      printPendingRows(result.pendingRows, retryFailed ? 'Run retry-failed again to continue' : `Progress saved to ${result.progressFile}; rerun with --resume to continue`);
     }
-
-    // Get original headers
-    const originalHeaders = Object.keys(rows[0]);
-    console.log(`  ✓ Original columns (${originalHeaders.length}): ${originalHeaders.join(', ')}`);
-
-    // List new columns to be generated
-    const newColumns = config.columns.map(c => c.columnName);
-    console.log(`  ➜ Will generate columns (${newColumns.length}): ${newColumns.join(', ')}`);
-
-    // Process each column in series
-    console.log('\n[4/5] Processing columns...');
-    const totalColumns = config.columns.length;
-
-    // Create progress file path by replacing .csv with .progress
-    const progressFilePath = config.outputFileName.replace(/\.csv$/i, '.progress');
-
-    let grandTotalCost = 0;
-    let grandTotalTokens = 0;
-    let grandTotalPromptTokens = 0;
-    let grandTotalCompletionTokens = 0;
-
-    for (let i = 0; i < totalColumns; i++) {
-      const columnStats = await processColumn(config.columns[i], rows, i, totalColumns, progressFilePath);
-      grandTotalCost += columnStats.cost;
-      grandTotalTokens += columnStats.tokens;
-      grandTotalPromptTokens += columnStats.promptTokens;
-      grandTotalCompletionTokens += columnStats.completionTokens;
+    printRunSummary(result.columns, scriptStartTime, result.outputFile, result.stopped, result.runLogPath);
+    if (result.stopped) {
+      process.exitCode = interrupted ? 130 : 2;
     }
 
-    // Get all headers (original + new columns)
-    const allHeaders = Object.keys(rows[0]);
-    const addedHeaders = allHeaders.filter(h => !originalHeaders.includes(h));
-
-    // Write output CSV
-    console.log('\n[5/5] Writing output CSV...');
-    await writeCSV(config.outputFileName, rows, allHeaders);
-    console.log(`  ✓ Output written to: ${config.outputFileName}`);
-    console.log(`  ✓ Total columns: ${allHeaders.length} (${originalHeaders.length} original + ${addedHeaders.length} new)`);
-
-    const totalElapsed = Date.now() - scriptStartTime;
-    console.log(`\n${'='.repeat(80)}`);
-    console.log('✓ Processing Complete!');
-    console.log(`${'='.repeat(80)}`);
-    console.log(`Total execution time: ${(totalElapsed / 1000).toFixed(2)}s`);
-    console.log(`Output file: ${config.outputFileName}`);
-    console.log(`\nOverall Statistics:`);
-    console.log(`  Total tokens:   ${grandTotalTokens.toLocaleString()} (${grandTotalPromptTokens.toLocaleString()} prompt + ${grandTotalCompletionTokens.toLocaleString()} completion)`);
-    if (grandTotalCost > 0) {
-      console.log(`  Total cost:     $${grandTotalCost.toFixed(8)}`);
+  } catch (error) {
+    // Bad configs and inputs are reported without a stack trace
+    if (error instanceof ConfigError) {
+      printConfigIssues(error);
+      process.exit(1);
+    }
+    if (error instanceof GeneratorError) {
+      console.error(`  ✗ ${error.message}`);
+      process.exit(1);
     }
-    console.log(`${'='.repeat(80)}\n`);
 
-  } catch (error) {
     console.error(`\n${'='.repeat(80)}`);
     console.error('✗ Fatal Error');
     console.error(`${'='.repeat(80)}`);
@@ -561,5 +520,17 @@ async function main() {
   }
 }
 
-// Run main function
-main();
+/**
+ * True when this file is the script node was started with (not imported)
+ */
+function isMainModule() {
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(__filename);
+  } catch {
+    return false;
+  }
+}
+
+if (isMainModule()) {
+  main();
+}
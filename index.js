@@ -0,0 +1,12 @@
+/**
+ * Library entry point: the generator without the command line
+ *
+ *   import { generateColumns, loadConfig } from 'youtube-analytics';
+ *   const { rows, stopped } = await generateColumns(rows, loadConfig('config.yaml'), { onRowComplete });
+ *
+ * See lib/generator.js for the options and results, and lib/errors.js for what is thrown.
+ */
+export { generateColumns, generateFile, dryRun, dryRunFile, evaluateColumn, evaluateFile, stopRun } from './lib/generator.js';
+export { loadConfig, validateConfig, interpolateEnv, applyOverrides } from './lib/config.js';
+export { GeneratorError, ConfigError, InputError } from './lib/errors.js';
+export { createProvider } from './lib/providers.js';
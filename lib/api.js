@@ -0,0 +1,336 @@
+import { retryAfterMs, retryDelayMs } from './rate-limiter.js';
+import { estimateTokens } from './pricing.js';
+import { getRateLimiter } from './run.js';
+
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Call the chat completions API of the configured provider (OpenRouter by default, no retry logic - handled at batch level)
+ * prompt is either a string (sent as one user message) or an array of chat messages
+ * requestOptions: { plugins, webSearchOptions, responseFormat, parameters, cache } - parameters are extra
+ * request fields (temperature, max_tokens, ...), cache is the column's cache setting
+ * Returns: { result: string, cost: number, promptTokens: number, completionTokens: number, cacheHits: number, cacheMisses: number,
+ *            citations: [{ url, title, snippet }], searchResults: number, cacheEntry }
+ * A live response is only cached when the caller accepts it (see cacheResponse).
+ * A cached entry without a completion counts as a miss.
+ */
+export async function callOpenRouterAPI(run, modelName, prompt, requestOptions = {}) {
+  const { plugins = null, webSearchOptions = null, responseFormat = null, parameters = null } = requestOptions;
+  const requestBody = {
+    model: modelName,
+    messages: Array.isArray(prompt) ? prompt : [
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    ...(parameters || {}),
+    usage: {
+      include: true
+    }
+  };
+
+  // Add plugins if provided
+  if (plugins && Array.isArray(plugins) && plugins.length > 0) {
+    requestBody.plugins = plugins;
+  }
+
+  // Add web_search_options if provided
+  if (webSearchOptions) {
+    requestBody.web_search_options = webSearchOptions;
+  }
+
+  // Add response_format (structured outputs) if provided
+  if (responseFormat) {
+    requestBody.response_format = responseFormat;
+  }
+
+  // Identical requests to the same provider are answered from the response cache at no cost
+  const cacheSetting = requestOptions.cache ?? true;
+  const useCache = run.responseCache && cacheSetting !== false;
+  const cacheKey = useCache ? run.responseCache.keyFor({ provider: run.provider.identity ?? run.provider.description, requestBody }) : null;
+  if (useCache) {
+    const cached = run.responseCache.get(cacheKey, typeof cacheSetting === 'object' ? cacheSetting.ttl : undefined);
+    const cachedMessage = cached?.choices?.[0]?.message;
+    if (cachedMessage) {
+      const citations = urlCitations(cachedMessage);
+      return {
+        result: (cachedMessage.content ?? '').trim(),
+        cost: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        cacheHits: 1,
+        cacheMisses: 0,
+        latencyMs: 0,
+        generationId: cached.id ?? null,
+        citations,
+        searchResults: citations.length,
+        cacheEntry: null
+      };
+    }
+  }
+
+  // Wait for the model's rate limit, then let 429s and rate-limit headers slow everyone down
+  const limiter = getRateLimiter(run, modelName);
+  const slot = await limiter.acquire(estimateTokens(JSON.stringify(requestBody.messages)));
+  const startedAt = Date.now();
+  let data;
+  try {
+    const response = await run.provider.complete(requestBody);
+    data = response.data;
+    limiter.updateFromHeaders(response.headers);
+  } catch (error) {
+    error.latencyMs = Date.now() - startedAt;
+    run.callLatencies?.push(error.latencyMs);
+    if (error.response?.status === 429) {
+      limiter.pause(retryAfterMs(error.response.headers) ?? 0);
+    }
+    limiter.updateFromHeaders(error.response?.headers);
+    throw error;
+  }
+
+  const message = data?.choices?.[0]?.message;
+  if (!message) {
+    const error = new Error(`Response has no completion${data?.error?.message ? ` (${data.error.message})` : ''}`);
+    error.errorClass = 'invalid_response';
+    error.latencyMs = Date.now() - startedAt;
+    run.callLatencies?.push(error.latencyMs);
+    throw error;
+  }
+  const result = (message.content ?? '').trim();
+
+  // Extract usage information
+  const usage = data.usage || {};
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const totalTokens = usage.total_tokens || (promptTokens + completionTokens);
+
+  // OpenRouter returns cost when usage accounting is enabled
+  const cost = usage.cost || 0;
+
+  limiter.settle(slot, totalTokens);
+  const latencyMs = Date.now() - startedAt;
+  run.callLatencies?.push(latencyMs);
+
+  // Web search sources (the web plugin or an :online model)
+  const citations = urlCitations(message);
+
+  return {
+    result,
+    cost,
+    promptTokens,
+    completionTokens,
+    totalTokens,
+    cacheHits: 0,
+    cacheMisses: useCache ? 1 : 0,
+    latencyMs,
+    generationId: data.id ?? null,
+    citations,
+    searchResults: citations.length,
+    cacheEntry: useCache ? { key: cacheKey, response: data } : null
+  };
+}
+
+/**
+ * Store a response in the response cache once it has been accepted (parsed and validated),
+ * so an answer that had to be re-asked or retried is never replayed
+ */
+export function cacheResponse(run, apiResult) {
+  if (!apiResult.cacheEntry) {
+    return;
+  }
+  try {
+    run.responseCache.set(apiResult.cacheEntry.key, apiResult.cacheEntry.response);
+  } catch (err) {
+    run.log.warn(`    ⚠ Failed to write response cache: ${err.message}`);
+  }
+}
+
+/**
+ * Sources of a completion from its url_citation annotations, deduplicated by URL
+ * Returns [{ url, title, snippet }]
+ */
+function urlCitations(message) {
+  const sources = new Map();
+  for (const annotation of message.annotations || []) {
+    const citation = annotation.type === 'url_citation' ? annotation.url_citation : null;
+    if (citation?.url && !sources.has(citation.url)) {
+      sources.set(citation.url, { url: citation.url, title: citation.title || '', snippet: citation.content || '' });
+    }
+  }
+  return [...sources.values()];
+}
+
+// Usage of no API calls, to add results onto
+export const ZERO_USAGE = { cost: 0, promptTokens: 0, completionTokens: 0, cacheHits: 0, cacheMisses: 0, searchResults: 0 };
+
+/**
+ * Add the usage of a follow-up API call onto an earlier result, keeping the latest response text
+ */
+export function addUsage(previous, next) {
+  return {
+    ...next,
+    cost: previous.cost + next.cost,
+    promptTokens: previous.promptTokens + next.promptTokens,
+    completionTokens: previous.completionTokens + next.completionTokens,
+    totalTokens: previous.totalTokens + next.totalTokens,
+    cacheHits: previous.cacheHits + next.cacheHits,
+    cacheMisses: previous.cacheMisses + next.cacheMisses,
+    searchResults: previous.searchResults + next.searchResults
+  };
+}
+
+/**
+ * Attach what a row spent before failing to its error, so the spend is still counted
+ * (see withRetries and processColumn)
+ */
+export function withSpend(error, spent) {
+  if (spent) {
+    error.spent = error.spent ? addUsage(error.spent, spent) : spent;
+  }
+  return error;
+}
+
+/**
+ * Record one API call in the run log (when enabled)
+ * call: { column, rowIndex or rowIndices, attempt, reask }; details: outcome, errors, values, ...
+ */
+export function logCall(run, call, modelName, messages, apiResult, details) {
+  if (!run.runLog) {
+    return;
+  }
+  run.runLog.write({
+    ...call,
+    ...(run.evalVariant !== null ? { variant: run.evalVariant } : {}),
+    model: modelName,
+    prompt: messages,
+    response: apiResult?.result ?? null,
+    promptTokens: apiResult?.promptTokens ?? 0,
+    completionTokens: apiResult?.completionTokens ?? 0,
+    cost: apiResult?.cost ?? 0,
+    latencyMs: apiResult?.latencyMs ?? null,
+    cached: (apiResult?.cacheHits ?? 0) > 0,
+    generationId: apiResult?.generationId ?? null,
+    ...(apiResult?.citations?.length > 0 ? { citations: apiResult.citations.map(citation => citation.url) } : {}),
+    ...details
+  });
+}
+
+/**
+ * Call the API for a row (or packed rows), logging the call if it fails
+ * (successful calls are logged by the caller once the response has been checked)
+ */
+export async function requestForRows(run, modelName, messages, requestOptions, call) {
+  try {
+    return await callOpenRouterAPI(run, modelName, messages, requestOptions);
+  } catch (error) {
+    logCall(run, call, modelName, messages, null, {
+      outcome: 'error', errorClass: errorClass(error), error: describeApiError(error), latencyMs: error.latencyMs ?? null
+    });
+    throw error;
+  }
+}
+
+/**
+ * Short "status: message" description of a failed API call
+ */
+function describeApiError(error) {
+  const statusCode = error.response?.status || 'N/A';
+  const errorData = error.response?.data;
+
+  // Try to extract detailed error message
+  let errorMsg = error.message;
+  if (errorData) {
+    if (errorData.error?.message) {
+      errorMsg = errorData.error.message;
+    } else if (typeof errorData === 'string') {
+      errorMsg = errorData;
+    } else if (errorData.message) {
+      errorMsg = errorData.message;
+    }
+
+    // Include metadata if available
+    if (errorData.error?.metadata) {
+      errorMsg += ` (${JSON.stringify(errorData.error.metadata)})`;
+    }
+  }
+
+  return `${statusCode}: ${errorMsg}`;
+}
+
+// Times a failed request is retried before the row (or packed rows) fail
+export const MAX_RETRIES = 10;
+
+/**
+ * Class of a failed request, for fallbackOn
+ */
+export function errorClass(error) {
+  if (error.errorClass) return error.errorClass;
+  const status = error.response?.status;
+  if (status === 429) return 'rate_limit';
+  if (status >= 500) return 'server_error';
+  if (status >= 400) return 'client_error';
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+  return 'network';
+}
+
+/**
+ * Make a request, retrying failures with jittered exponential backoff (or the server's
+ * Retry-After) up to maxRetries times before throwing. requestOptions.fallback switches to the
+ * next fallback model on the chosen error classes.
+ * attempt(model, { failOnInvalid, attempt }) makes the request, attempt being the 1-based
+ * try number; label names it in log messages
+ * What failed tries spent (error.spent) is added to the result, or to the error finally thrown.
+ */
+export async function withRetries(run, label, modelName, requestOptions, maxRetries, attempt) {
+  const { log } = run;
+  const models = [modelName, ...(requestOptions.fallback?.models || [])];
+  const fallbackOn = requestOptions.fallback?.on || [];
+  let current = 0;
+  let spent = null;
+
+  for (let tries = 0; ; tries++) {
+    const canFallBack = current < models.length - 1;
+    try {
+      const result = await attempt(models[current], {
+        failOnInvalid: canFallBack && fallbackOn.includes('invalid_response'),
+        attempt: tries + 1
+      });
+      return spent ? addUsage(spent, result) : result;
+    } catch (error) {
+      if (error.spent) {
+        spent = spent ? addUsage(spent, error.spent) : error.spent;
+      }
+      if (error.retryable === false) {
+        log.error(`    ✗ ${label} FAILED - ${error.message}`);
+        throw Object.assign(error, { spent });
+      }
+      if (canFallBack && fallbackOn.includes(errorClass(error))) {
+        log.warn(`    ⚠ ${label}: ${models[current]} failed (${errorClass(error)}) - ${describeApiError(error)} - falling back to ${models[current + 1]}`);
+        current++;
+        continue;
+      }
+      if (tries >= maxRetries) {
+        log.error(`    ✗ ${label} FAILED after ${maxRetries} retries - ${describeApiError(error)}`);
+        if (error.response?.data) {
+          log.error(`      Response body: ${JSON.stringify(error.response.data)}`);
+        }
+        throw Object.assign(new Error(`${label} failed after ${maxRetries} retries: ${describeApiError(error)}`), {
+          errorClass: errorClass(error),
+          detail: describeApiError(error),
+          spent
+        });
+      }
+
+      const delayMs = retryDelayMs(error, tries + 1);
+      log.warn(`    ⚠ ${label} failed (attempt ${tries + 1}/${maxRetries}) - ${describeApiError(error)} - retrying in ${(delayMs / 1000).toFixed(1)}s`);
+      await sleep(delayMs);
+    }
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Validate and normalize a budget section (per run or per column)
+ *
+ *   budget:
+ *     maxCost: 5.00            # USD
+ *     maxTokens: 2000000       # prompt + completion tokens
+ *     stopOnProjection: true   # stop after the first checkpoint if the projected total is over budget
+ *
+ * Returns { maxCost, maxTokens, stopOnProjection }, or null when there is no limit
+ */
+export function normalizeBudget(raw, label = 'budget') {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object with maxCost, maxTokens or stopOnProjection`);
+  }
+
+  const known = ['maxCost', 'maxTokens', 'stopOnProjection'];
+  for (const key of Object.keys(raw)) {
+    if (!known.includes(key)) {
+      throw new Error(`${label}.${key} is not a budget option (expected ${known.join(', ')})`);
+    }
+  }
+  if (raw.maxCost !== undefined && !(typeof raw.maxCost === 'number' && raw.maxCost > 0)) {
+    throw new Error(`${label}.maxCost must be a positive number`);
+  }
+  if (raw.maxTokens !== undefined && !(Number.isInteger(raw.maxTokens) && raw.maxTokens > 0)) {
+    throw new Error(`${label}.maxTokens must be a positive integer`);
+  }
+  if (raw.maxCost === undefined && raw.maxTokens === undefined) {
+    throw new Error(`${label} needs maxCost or maxTokens`);
+  }
+
+  return {
+    maxCost: raw.maxCost ?? null,
+    maxTokens: raw.maxTokens ?? null,
+    stopOnProjection: !!raw.stopOnProjection
+  };
+}
+
+/**
+ * Short description of a budget, e.g. "$5, 2,000,000 tokens (stop on projection)"
+ */
+export function describeBudget(limits) {
+  const parts = [
+    limits.maxCost !== null && `$${limits.maxCost}`,
+    limits.maxTokens !== null && `${limits.maxTokens.toLocaleString()} tokens`
+  ].filter(Boolean);
+  return `${parts.join(', ')}${limits.stopOnProjection ? ' (stop on projection)' : ''}`;
+}
+
+/**
+ * Running spend against a budget; label names it in stop reasons (e.g. 'Run', 'Column "Summary"')
+ */
+export function createBudgetTracker(limits, label) {
+  let cost = 0;
+  let tokens = 0;
+
+  // Reason a total would be over the limits, or null
+  const overBy = (totalCost, totalTokens, verb) => {
+    if (limits.maxCost !== null && totalCost >= limits.maxCost) {
+      return `${label} ${verb} $${totalCost.toFixed(4)}, reaching its maxCost of $${limits.maxCost}`;
+    }
+    if (limits.maxTokens !== null && totalTokens >= limits.maxTokens) {
+      return `${label} ${verb} ${Math.round(totalTokens).toLocaleString()} tokens, reaching its maxTokens of ${limits.maxTokens.toLocaleString()}`;
+    }
+    return null;
+  };
+
+  return {
+    limits,
+
+    add(spentCost, spentTokens) {
+      cost += spentCost;
+      tokens += spentTokens;
+    },
+
+    spent() {
+      return { cost, tokens };
+    },
+
+    /**
+     * Reason the budget is used up, or null
+     */
+    exceeded() {
+      return overBy(cost, tokens, 'spent');
+    },
+
+    /**
+     * Reason spending this much more would go over the budget, or null
+     * (always null unless stopOnProjection is set)
+     */
+    projectionExceeds(moreCost, moreTokens) {
+      return limits.stopOnProjection ? overBy(cost + moreCost, tokens + moreTokens, 'is projected to spend') : null;
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const DEFAULT_CACHE_DIR = '.cache/responses';
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as 90, "30m", "12h" or "7d" into milliseconds
+ * Plain numbers are seconds; null/undefined means no expiry
+ */
+export function parseDuration(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value * 1000;
+  }
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" (expected e.g. 3600, "30m", "12h", "7d")`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * On-disk cache of API responses, one JSON file per request hash
+ *
+ * options:
+ *   dir      - cache directory (default .cache/responses)
+ *   ttl      - default expiry (see parseDuration), null keeps entries forever
+ *   refresh  - ignore existing entries but still store new responses
+ */
+export function createResponseCache({ dir = DEFAULT_CACHE_DIR, ttl = null, refresh = false } = {}) {
+  const defaultTtlMs = parseDuration(ttl);
+
+  const entryPath = (key) => path.join(dir, key.slice(0, 2), `${key}.json`);
+
+  return {
+    dir,
+
+    /**
+     * Hash of everything that identifies a request
+     */
+    keyFor(parts) {
+      return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    },
+
+    /**
+     * Cached response for a key, or null when missing, expired or refreshing
+     * ttl overrides the cache's default expiry for this lookup
+     */
+    get(key, ttlOverride) {
+      if (refresh) {
+        return null;
+      }
+
+      const file = entryPath(key);
+      if (!fs.existsSync(file)) {
+        return null;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch {
+        return null; // Corrupt entry (e.g. interrupted write) counts as a miss
+      }
+
+      const ttlMs = ttlOverride !== undefined ? parseDuration(ttlOverride) : defaultTtlMs;
+      if (ttlMs !== null && Date.now() - Date.parse(entry.createdAt) > ttlMs) {
+        return null;
+      }
+
+      return entry.response;
+    },
+
+    /**
+     * Store a response; written to a temp file first so readers never see partial JSON
+     */
+    set(key, response) {
+      const file = entryPath(key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ createdAt: new Date().toISOString(), response }));
+      fs.renameSync(tmpFile, file);
+    },
+
+    /**
+     * Delete every cached response
+     */
+    clear() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,507 @@
+import crypto from 'crypto';
+import { cellText } from './formats.js';
+import { templateReferences } from './template.js';
+import { normalizeGenerationSettings } from './generation.js';
+import { normalizeBudget } from './budget.js';
+import { normalizeSelection, selectionColumns } from './row-selection.js';
+import { normalizeRules, normalizeUnknown } from './validation.js';
+import { ConfigError } from './errors.js';
+
+/**
+ * Stable SHA-256 hash of any JSON-serializable value
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Column names referenced by {{...}} placeholders in a prompt
+ */
+export function extractPlaceholders(prompt) {
+  return templateReferences(prompt);
+}
+
+/**
+ * Column names a resolved column config's prompt and system prompt reference
+ */
+export function columnPlaceholders({ prompt, requestOptions }) {
+  const systemPrompt = requestOptions.systemPrompt;
+  return [...new Set([...extractPlaceholders(prompt), ...(systemPrompt ? extractPlaceholders(systemPrompt) : [])])];
+}
+
+// Types a grouped column can declare
+export const GROUP_COLUMN_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+/**
+ * Normalize a grouped column entry: either a plain name or
+ * { name, type, enum, required, description }
+ */
+function normalizeGroupColumn(entry) {
+  if (typeof entry === 'string') {
+    return { name: entry, type: 'string', enum: null, required: false, description: null };
+  }
+
+  return {
+    name: entry.name,
+    type: entry.type || 'string',
+    enum: entry.enum || null,
+    required: !!entry.required,
+    description: entry.description || null
+  };
+}
+
+/**
+ * Build the OpenRouter response_format for a group from its column schemas
+ * Strict mode needs every property listed as required, so optional columns are nullable instead
+ */
+function buildResponseFormat(groupName, schemas) {
+  const properties = {};
+  for (const schema of schemas) {
+    const property = { type: schema.required ? schema.type : [schema.type, 'null'] };
+    if (schema.enum) {
+      property.enum = schema.required ? schema.enum : [...schema.enum, null];
+    }
+    if (schema.description) {
+      property.description = schema.description;
+    }
+    properties[schema.name] = property;
+  }
+
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: groupName.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) || 'columns',
+      strict: true,
+      schema: {
+        type: 'object',
+        properties,
+        required: schemas.map(schema => schema.name),
+        additionalProperties: false
+      }
+    }
+  };
+}
+
+// Error classes a column can fall back to its next model on
+export const FALLBACK_ERROR_CLASSES = ['rate_limit', 'server_error', 'client_error', 'timeout', 'network', 'invalid_response'];
+
+/**
+ * Normalize a column's fallback and voting settings
+ *
+ *   fallbackModels: [model-b, model-c]   # tried in order when the current model fails
+ *   fallbackOn: [server_error, timeout]  # error classes that switch model (default: all)
+ *
+ *   voting:                              # ask several models, keep the majority answer
+ *     models: [model-a, model-b, model-c]
+ *     agreementColumn: Category Agreement  # default "<name> Agreement"
+ *     quorum: 2                            # models that must answer (default: more than half)
+ *
+ * Returns { fallback: { models, on } | null, voting: { models, agreementColumn, quorum } | null }
+ */
+function normalizeModelStrategy(settings, key) {
+  let fallback = null;
+  if (settings.fallbackModels !== undefined) {
+    const models = Array.isArray(settings.fallbackModels) ? settings.fallbackModels : [settings.fallbackModels];
+    if (models.length === 0 || !models.every(model => typeof model === 'string' && model)) {
+      throw new Error(`${key}.fallbackModels must be a list of model names`);
+    }
+    const on = settings.fallbackOn ?? FALLBACK_ERROR_CLASSES;
+    const unknown = (Array.isArray(on) ? on : [on]).filter(name => !FALLBACK_ERROR_CLASSES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`${key}.fallbackOn has unknown error class(es) ${unknown.join(', ')} (expected ${FALLBACK_ERROR_CLASSES.join(', ')})`);
+    }
+    fallback = { models, on: Array.isArray(on) ? on : [on] };
+  } else if (settings.fallbackOn !== undefined) {
+    throw new Error(`${key}.fallbackOn needs fallbackModels`);
+  }
+
+  let voting = null;
+  if (settings.voting !== undefined) {
+    const { models, agreementColumn = `${key} Agreement`, quorum } = settings.voting || {};
+    if (!Array.isArray(models) || models.length < 2 || !models.every(model => typeof model === 'string' && model)) {
+      throw new Error(`${key}.voting.models must list at least 2 models`);
+    }
+    if (quorum !== undefined && !(Number.isInteger(quorum) && quorum >= 1 && quorum <= models.length)) {
+      throw new Error(`${key}.voting.quorum must be an integer from 1 to ${models.length}`);
+    }
+    if (fallback) {
+      throw new Error(`${key} can't use both voting and fallbackModels`);
+    }
+    voting = { models, agreementColumn, quorum: quorum ?? Math.floor(models.length / 2) + 1 };
+  }
+
+  return { fallback, voting };
+}
+
+/**
+ * Validation settings of a column or group: the rules of each output column (from validate,
+ * on the column or on each group column entry), the unknown sentinel and the re-ask limit
+ * Returns { rules: { column: rules }, unknown: { value, aliases }, maxReasks }
+ */
+function normalizeValidation(settings, key, schemas = null) {
+  const rules = schemas
+    ? Object.fromEntries(settings.columns.map((entry, i) => [schemas[i].name, normalizeRules(entry.validate, `${key}.${schemas[i].name}`)]))
+    : { [key]: normalizeRules(settings.validate, key) };
+  const maxReasks = settings.maxReasks ?? 2;
+  if (!(Number.isInteger(maxReasks) && maxReasks >= 0)) {
+    throw new Error(`${key}.maxReasks must be a non-negative integer`);
+  }
+  return { rules, unknown: normalizeUnknown(settings, key), maxReasks };
+}
+
+/**
+ * Column that records rows failing for good (errorColumn: true for "<name>__error",
+ * or a column name), or null
+ */
+function normalizeErrorColumn(settings, key) {
+  const setting = settings.errorColumn ?? false;
+  if (setting === false) return null;
+  if (setting === true) return `${key}__error`;
+  if (typeof setting === 'string' && setting.trim() !== '') return setting;
+  throw new Error(`${key}.errorColumn must be true, false or a column name`);
+}
+
+// Citation fields and the default name of the column each one is written to
+export const CITATION_FIELDS = { urls: ['url', 'Sources'], titles: ['title', 'Source Titles'], snippets: ['snippet', 'Source Snippets'] };
+
+/**
+ * Normalize a column's citations setting: web search sources written to companion columns
+ *
+ *   citations: true            # URLs and titles in "<name> Sources" and "<name> Source Titles"
+ *   citations:
+ *     urls: true               # or a column name
+ *     titles: Game Titles      # or false
+ *     snippets: true           # search snippets in "<name> Source Snippets" (default false)
+ *     separator: " | "         # between sources in a cell (default a newline)
+ *
+ * Returns { columns: { url|title|snippet: column name }, separator }, or null
+ */
+function normalizeCitations(settings, key, voting) {
+  const setting = settings.citations ?? false;
+  if (setting === false) {
+    return null;
+  }
+  if (setting !== true && (typeof setting !== 'object' || Array.isArray(setting))) {
+    throw new Error(`${key}.citations must be true, false or an object (${[...Object.keys(CITATION_FIELDS), 'separator'].join(', ')})`);
+  }
+  if (voting) {
+    throw new Error(`${key} can't use both citations and voting`);
+  }
+
+  const options = setting === true ? {} : setting;
+  for (const name of Object.keys(options)) {
+    if (!CITATION_FIELDS[name] && name !== 'separator') {
+      throw new Error(`${key}.citations.${name} is not a citations option (expected ${[...Object.keys(CITATION_FIELDS), 'separator'].join(', ')})`);
+    }
+  }
+  const columns = {};
+  for (const [name, [field, suffix]] of Object.entries(CITATION_FIELDS)) {
+    const value = options[name] ?? name !== 'snippets';
+    if (value === true) {
+      columns[field] = `${key} ${suffix}`;
+    } else if (typeof value === 'string' && value.trim() !== '') {
+      columns[field] = value;
+    } else if (value !== false) {
+      throw new Error(`${key}.citations.${name} must be true, false or a column name`);
+    }
+  }
+  if (Object.keys(columns).length === 0) {
+    throw new Error(`${key}.citations writes no columns; enable urls, titles or snippets`);
+  }
+  if (options.separator !== undefined && typeof options.separator !== 'string') {
+    throw new Error(`${key}.citations.separator must be a string`);
+  }
+
+  return { columns, separator: options.separator ?? '\n' };
+}
+
+/**
+ * Rows sent per request (rowsPerRequest, default 1)
+ * Packed rows share one system prompt and answer as JSON, so the system prompt can't read
+ * row columns, group examples need JSON object outputs, and voting and citations can't be combined.
+ */
+function normalizeRowsPerRequest(settings, key, { systemPrompt, examples, voting }, isGrouped) {
+  const rowsPerRequest = settings.rowsPerRequest ?? 1;
+  if (!(Number.isInteger(rowsPerRequest) && rowsPerRequest >= 1)) {
+    throw new Error(`${key}.rowsPerRequest must be a positive integer`);
+  }
+  if (rowsPerRequest === 1) {
+    return rowsPerRequest;
+  }
+  if (voting) {
+    throw new Error(`${key} can't use both voting and rowsPerRequest`);
+  }
+  if (settings.citations) {
+    throw new Error(`${key} can't use both citations and rowsPerRequest (a packed response's sources can't be matched to rows)`);
+  }
+  if (systemPrompt && templateReferences(systemPrompt).length > 0) {
+    throw new Error(`${key}.systemPrompt can't reference row columns when rowsPerRequest is above 1`);
+  }
+  for (const example of isGrouped ? examples : []) {
+    let output;
+    try {
+      output = JSON.parse(example.output);
+    } catch {
+      output = null;
+    }
+    if (!output || typeof output !== 'object' || Array.isArray(output)) {
+      throw new Error(`${key}.examples outputs must be JSON objects when rowsPerRequest is above 1`);
+    }
+  }
+  return rowsPerRequest;
+}
+
+/**
+ * Normalize a single or grouped column config into one shape
+ * key is the column name or group name, outputColumns the CSV columns it fills
+ */
+export function resolveColumnConfig(columnConfig) {
+  if (columnConfig.group) {
+    const group = columnConfig.group;
+    const schemas = group.columns.map(normalizeGroupColumn);
+    const columnNames = schemas.map(schema => schema.name);
+    const { systemPrompt, examples, parameters } = normalizeGenerationSettings(group, group.groupName);
+    const { fallback, voting } = normalizeModelStrategy(group, group.groupName);
+    return {
+      isGrouped: true,
+      key: group.groupName,
+      label: `${group.groupName} (${columnNames.length} columns: ${columnNames.join(', ')})`,
+      modelName: voting ? voting.models[0] : group.modelName,
+      models: voting ? voting.models : [group.modelName, ...(fallback?.models || [])],
+      concurrency: group.concurrency,
+      checkpointEvery: group.checkpointEvery,
+      rowsPerRequest: normalizeRowsPerRequest(group, group.groupName, { systemPrompt, examples, voting }, true),
+      prompt: group.prompt,
+      plugins: group.modelPlugins || null,
+      webSearchOptions: group.webSearchOptions || null,
+      columnInfo: { isGroup: true, columns: columnNames, schemas },
+      requestOptions: {
+        plugins: group.modelPlugins || null,
+        webSearchOptions: group.webSearchOptions || null,
+        responseFormat: group.structuredOutput === false ? null : buildResponseFormat(group.groupName, schemas),
+        systemPrompt,
+        examples,
+        parameters,
+        fallback,
+        voting,
+        validation: normalizeValidation(group, group.groupName, schemas),
+        citations: normalizeCitations(group, group.groupName, voting),
+        cache: group.cache,
+        column: group.groupName
+      },
+      selection: normalizeSelection(group.rows, `${group.groupName}.rows`),
+      budget: normalizeBudget(group.budget, `${group.groupName}.budget`),
+      errorColumn: normalizeErrorColumn(group, group.groupName),
+      outputColumns: voting ? [...columnNames, voting.agreementColumn] : columnNames
+    };
+  }
+
+  const { systemPrompt, examples, parameters } = normalizeGenerationSettings(columnConfig, columnConfig.columnName);
+  const { fallback, voting } = normalizeModelStrategy(columnConfig, columnConfig.columnName);
+  return {
+    isGrouped: false,
+    key: columnConfig.columnName,
+    label: columnConfig.columnName,
+    modelName: voting ? voting.models[0] : columnConfig.modelName,
+    models: voting ? voting.models : [columnConfig.modelName, ...(fallback?.models || [])],
+    concurrency: columnConfig.concurrency,
+    checkpointEvery: columnConfig.checkpointEvery,
+    rowsPerRequest: normalizeRowsPerRequest(columnConfig, columnConfig.columnName, { systemPrompt, examples, voting }, false),
+    prompt: columnConfig.prompt,
+    plugins: columnConfig.modelPlugins || null,
+    webSearchOptions: columnConfig.webSearchOptions || null,
+    columnInfo: columnConfig.columnName, // Simple string for backward compatibility
+    requestOptions: {
+      plugins: columnConfig.modelPlugins || null,
+      webSearchOptions: columnConfig.webSearchOptions || null,
+      systemPrompt,
+      examples,
+      parameters,
+      fallback,
+      voting,
+      validation: normalizeValidation(columnConfig, columnConfig.columnName),
+      citations: normalizeCitations(columnConfig, columnConfig.columnName, voting),
+      cache: columnConfig.cache,
+      column: columnConfig.columnName
+    },
+    selection: normalizeSelection(columnConfig.rows, `${columnConfig.columnName}.rows`),
+    budget: normalizeBudget(columnConfig.budget, `${columnConfig.columnName}.budget`),
+    errorColumn: normalizeErrorColumn(columnConfig, columnConfig.columnName),
+    outputColumns: voting ? [columnConfig.columnName, voting.agreementColumn] : [columnConfig.columnName]
+  };
+}
+
+/**
+ * Fingerprint of everything in a column config that affects generated values: what is sent
+ * (model, prompts, parameters, packing, structured output), which models answer (fallbacks,
+ * voting) and how answers are checked and written (validation, citations)
+ */
+export function columnFingerprint(columnConfig) {
+  const { modelName, prompt, plugins, webSearchOptions, outputColumns, columnInfo, rowsPerRequest, requestOptions } = resolveColumnConfig(columnConfig);
+  const { systemPrompt, examples, parameters } = requestOptions;
+  const settings = columnConfig.group || columnConfig;
+  const validate = columnConfig.group
+    ? settings.columns.filter(entry => entry?.validate).map(entry => [entry.name, entry.validate])
+    : settings.validate;
+  // Unset settings are left out (undefined), so older fingerprints still match
+  return hashValue({
+    modelName, prompt, plugins, webSearchOptions, outputColumns, schemas: columnInfo.schemas,
+    systemPrompt: systemPrompt ?? undefined,
+    examples: examples.length > 0 ? examples : undefined,
+    parameters: Object.keys(parameters).length > 0 ? parameters : undefined,
+    rowsPerRequest: rowsPerRequest > 1 ? rowsPerRequest : undefined,
+    structuredOutput: settings.structuredOutput === false ? false : undefined,
+    fallback: requestOptions.fallback ?? undefined,
+    voting: requestOptions.voting ? { ...requestOptions.voting, quorum: settings.voting.quorum } : undefined,
+    citations: requestOptions.citations ?? undefined,
+    validate: validate && (!Array.isArray(validate) || validate.length > 0) ? validate : undefined,
+    maxReasks: settings.maxReasks,
+    unknownValue: settings.unknownValue,
+    unknownAliases: settings.unknownAliases
+  });
+}
+
+/**
+ * Columns a resolved config writes: its output columns, then its citation and error columns if any
+ */
+export function writtenColumns({ outputColumns, requestOptions, errorColumn }) {
+  return [
+    ...outputColumns,
+    ...Object.values(requestOptions.citations?.columns || {}),
+    ...(errorColumn ? [errorColumn] : [])
+  ];
+}
+
+/**
+ * True when every output column of this config already has a value in the row
+ */
+export function isRowComplete(row, outputColumns) {
+  return outputColumns.every(col => cellText(row[col]) !== '');
+}
+
+/**
+ * Config path of a column or group's settings, e.g. "columns[2]" or "columns[2].group"
+ */
+export function columnPath(columnConfig, index) {
+  return `columns[${index}]${columnConfig.group ? '.group' : ''}`;
+}
+
+/**
+ * Build the dependency graph between column configs
+ * Dependencies come from an explicit dependsOn list (column or group names) and from
+ * {{...}} placeholders that reference another config's output column.
+ * Throws a ConfigError on unknown references, duplicate output columns and cycles.
+ * Returns { nodes: Map<key, { columnConfig, index, dependsOn: Set<key> }>, order: key[] }
+ */
+export function buildColumnGraph(columns, originalHeaders) {
+  const nodes = new Map();
+  const producers = new Map(); // output column or group name -> key of the config producing it
+  const issues = [];
+
+  columns.forEach((columnConfig, index) => {
+    const resolved = resolveColumnConfig(columnConfig);
+    const { key, isGrouped } = resolved;
+    const path = columnPath(columnConfig, index);
+    if (nodes.has(key)) {
+      issues.push({ path: `${path}.${isGrouped ? 'groupName' : 'columnName'}`, message: `duplicate column/group name "${key}"` });
+      return;
+    }
+    nodes.set(key, { columnConfig, index, dependsOn: new Set() });
+
+    for (const name of isGrouped ? [key, ...writtenColumns(resolved)] : writtenColumns(resolved)) {
+      if (producers.has(name) && producers.get(name) !== key) {
+        issues.push({ path, message: `"${name}" is already generated by "${producers.get(name)}"` });
+      } else {
+        producers.set(name, key);
+      }
+    }
+  });
+
+  for (const [key, node] of nodes) {
+    const path = columnPath(node.columnConfig, node.index);
+    const { dependsOn = [] } = node.columnConfig.group || node.columnConfig;
+    const declared = Array.isArray(dependsOn) ? dependsOn : [dependsOn];
+
+    for (const name of declared) {
+      if (!producers.has(name)) {
+        issues.push({ path: `${path}.dependsOn`, message: `"${name}" does not match any generated column or group` });
+      } else {
+        node.dependsOn.add(producers.get(name));
+      }
+    }
+
+    const { prompt, requestOptions } = resolveColumnConfig(node.columnConfig);
+    for (const [field, template] of [['prompt', prompt], ['systemPrompt', requestOptions.systemPrompt]]) {
+      for (const name of template ? extractPlaceholders(template) : []) {
+        if (producers.has(name)) {
+          node.dependsOn.add(producers.get(name));
+        } else if (!originalHeaders.includes(name) && !originalHeaders.includes(name.split('.')[0])) {
+          issues.push({ path: `${path}.${field}`, message: `{{${name}}} is neither an input column nor a generated column` });
+        }
+      }
+    }
+
+    // Row filters may also read generated columns, so they wait for them too
+    const { selection, outputColumns } = resolveColumnConfig(node.columnConfig);
+    for (const name of selectionColumns(selection)) {
+      if (producers.has(name) && !outputColumns.includes(name)) {
+        node.dependsOn.add(producers.get(name));
+      } else if (!producers.has(name) && !originalHeaders.includes(name)) {
+        issues.push({ path: `${path}.rows.where`, message: `"${name}" is neither an input column nor a generated column` });
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+
+  // Depth-first topological sort, reporting the first cycle found
+  const order = [];
+  const state = new Map(); // key -> 'visiting' | 'done'
+  const visit = (key, trail) => {
+    if (state.get(key) === 'done') return;
+    if (state.get(key) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(key)), key];
+      const path = columnPath(nodes.get(key).columnConfig, nodes.get(key).index);
+      throw new ConfigError([{ path, message: `dependency cycle ${cycle.map(k => `"${k}"`).join(' -> ')}` }]);
+    }
+    state.set(key, 'visiting');
+    for (const dep of nodes.get(key).dependsOn) {
+      visit(dep, [...trail, key]);
+    }
+    state.set(key, 'done');
+    order.push(key);
+  };
+  for (const key of nodes.keys()) {
+    visit(key, []);
+  }
+
+  return { nodes, order };
+}
+
+/**
+ * Group graph nodes into stages: each stage only depends on earlier stages
+ */
+export function columnStages(graph) {
+  const level = new Map();
+  for (const key of graph.order) {
+    const deps = [...graph.nodes.get(key).dependsOn];
+    level.set(key, deps.length === 0 ? 0 : Math.max(...deps.map(dep => level.get(dep))) + 1);
+  }
+
+  const stages = [];
+  for (const [key, stage] of level) {
+    (stages[stage] = stages[stage] || []).push(key);
+  }
+  return stages;
+}
+
+/**
+ * Fill in pool settings for a column or group config
+ * batchSize is the old name for concurrency (cooldown is superseded by rateLimits, see lib/config.js)
+ */
+export function applyPoolDefaults(settings) {
+  settings.concurrency = settings.concurrency || settings.batchSize || 10;
+  settings.checkpointEvery = settings.checkpointEvery || settings.concurrency;
+}
@@ -0,0 +1,533 @@
+import fs from 'fs';
+import yaml from 'js-yaml';
+import { parseDuration } from './cache.js';
+import { normalizeBudget } from './budget.js';
+import { resolveFormat } from './formats.js';
+import { compileTemplate } from './template.js';
+import { GENERATION_SETTINGS } from './generation.js';
+import { VALIDATION_SETTINGS } from './validation.js';
+import { normalizeSelection, selectionColumns } from './row-selection.js';
+import { ConfigError, InputError } from './errors.js';
+import { comparisonFileName, findEvalTarget, variantColumnConfig, variantIssues } from './eval.js';
+import { GROUP_COLUMN_TYPES, applyPoolDefaults, buildColumnGraph, columnPath, resolveColumnConfig } from './columns.js';
+
+// Keys a config may have at the top level, on a column, on a group and on a group's column entry
+const CONFIG_KEYS = [
+  'inputFileName', 'outputFileName', 'inputFormat', 'outputFormat', 'columns', 'defaults', 'provider', 'cache', 'runLog',
+  'modelsCacheFile', 'maxParallelColumns', 'rateLimits', 'budget', 'rows', 'streaming', 'concurrency', 'checkpointEvery', 'eval'
+];
+const SETTINGS_KEYS = [
+  'modelName', 'prompt', 'promptFile', ...GENERATION_SETTINGS, ...VALIDATION_SETTINGS, 'maxReasks', 'fallbackModels', 'fallbackOn',
+  'voting', 'modelPlugins', 'webSearchOptions', 'concurrency', 'batchSize', 'cooldown', 'checkpointEvery', 'rowsPerRequest',
+  'estimatedCompletionTokens', 'rows', 'budget', 'errorColumn', 'citations', 'cache', 'dependsOn'
+];
+const COLUMN_KEYS = ['columnName', 'validate', ...SETTINGS_KEYS];
+const GROUP_KEYS = ['groupName', 'columns', 'structuredOutput', ...SETTINGS_KEYS];
+const GROUP_ENTRY_KEYS = ['name', 'type', 'enum', 'required', 'description', 'validate'];
+const EVAL_KEYS = ['inputFileName', 'inputFormat', 'outputFileName', 'column', 'labelColumn', 'variants', 'cache'];
+
+// ${VAR}, ${VAR:-default}, or $${ for a literal ${
+const ENV_REFERENCE = /\$\$\{|\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+const WHOLE_ENV_REFERENCE = /^\$\{[A-Za-z_][A-Za-z0-9_]*(?::-[^}]*)?\}$/;
+
+/**
+ * Config path of an object key, e.g. "budget.maxCost" or 'rateLimits."openai/gpt-4o"'
+ */
+function keyPath(path, key) {
+  const segment = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `"${key}"`;
+  return path ? `${path}.${segment}` : segment;
+}
+
+/**
+ * Warning message for an unknown key, suggesting the known key it differs from only in case
+ */
+function unknownKeyMessage(key, known, what) {
+  const match = known.find(name => name.toLowerCase() === key.toLowerCase());
+  return `is not a ${what} and is ignored${match ? ` (did you mean ${match}?)` : ''}`;
+}
+
+/**
+ * A YAML scalar (number, boolean, null) when text reads as one, otherwise the text itself
+ * Flow collections ([a, b], {k: v}) are read too when allowCollections is set.
+ */
+function parseValue(text, allowCollections = false) {
+  try {
+    const value = yaml.load(text);
+    if (value === null || value === undefined) return text.trim() === '' ? '' : null;
+    if (typeof value !== 'object') return value;
+    return allowCollections && /^\s*[[{]/.test(text) ? value : text;
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Replace ${VAR} and ${VAR:-default} in every string value of a parsed config with
+ * environment variables; $${ is a literal ${. A value that is only a reference is read
+ * as YAML, so maxCost: ${MAX_COST} gives a number.
+ * Unset variables without a default are added to issues.
+ */
+export function interpolateEnv(value, env = process.env, issues = [], path = '') {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolateEnv(item, env, issues, `${path}[${i}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, env, issues, keyPath(path, key))]));
+  }
+  if (typeof value !== 'string' || !value.includes('${')) {
+    return value;
+  }
+
+  let missing = false;
+  const text = value.replace(ENV_REFERENCE, (match, name, fallback) => {
+    if (!name) return '${';
+    const set = env[name] !== undefined && !(fallback !== undefined && env[name] === '');
+    if (set) return env[name];
+    if (fallback !== undefined) return fallback;
+    issues.push({ path, message: `environment variable ${name} is not set (use \${${name}:-default} for a default)` });
+    missing = true;
+    return match;
+  });
+  return !missing && WHOLE_ENV_REFERENCE.test(value) ? parseValue(text) : text;
+}
+
+/**
+ * Split an override path into segments: { key } for object keys, { index } for [0]
+ * and { name } for [Summary] (a column or group by name)
+ */
+function parseOverridePath(text) {
+  const segments = [];
+  const pattern = /(?:^|\.)(?:"([^"]+)"|([^.[\]"]+))|\[([^\]]+)\]/y;
+  while (pattern.lastIndex < text.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(text);
+    if (!match || match.index !== start) {
+      return null;
+    }
+    if (match[3] !== undefined) {
+      segments.push(/^\d+$/.test(match[3].trim()) ? { index: Number(match[3]) } : { name: match[3].trim() });
+    } else {
+      segments.push({ key: (match[1] ?? match[2]).trim() });
+    }
+  }
+  return segments.length > 0 ? segments : null;
+}
+
+/**
+ * Apply --set overrides to a parsed config, e.g. "budget.maxCost=5",
+ * "columns[0].modelName=openai/gpt-4o" or "columns[Summary].temperature=0"
+ * [Name] picks the column or group with that name (a group's settings, not its wrapper).
+ * Values are read as YAML scalars or flow collections ([a, b]); anything else stays text.
+ * Problems are added to issues.
+ */
+export function applyOverrides(config, overrides, issues = []) {
+  for (const override of overrides) {
+    const path = `--set ${override}`;
+    const eq = override.indexOf('=');
+    const segments = eq > 0 ? parseOverridePath(override.slice(0, eq).trim()) : null;
+    if (!segments) {
+      issues.push({ path, message: 'expected <setting>=<value>, e.g. budget.maxCost=5 or columns[Summary].modelName=openai/gpt-4o' });
+      continue;
+    }
+    const value = parseValue(override.slice(eq + 1), true);
+
+    let target = config;
+    let problem = null;
+    for (let i = 0; i < segments.length && !problem; i++) {
+      const segment = segments[i];
+      const last = i === segments.length - 1;
+
+      if (segment.key !== undefined) {
+        if (!target || typeof target !== 'object' || Array.isArray(target)) {
+          problem = `"${segment.key}" can't be set here (not inside an object)`;
+        } else if (last) {
+          target[segment.key] = value;
+        } else {
+          if (target[segment.key] === undefined || target[segment.key] === null) {
+            target[segment.key] = segments[i + 1].key !== undefined ? {} : [];
+          }
+          target = target[segment.key];
+        }
+      } else if (!Array.isArray(target)) {
+        problem = `[${segment.index ?? segment.name}] needs a list`;
+      } else if (segment.index !== undefined) {
+        if (segment.index > target.length) {
+          problem = `[${segment.index}] is past the end of the list (${target.length} items)`;
+        } else if (last) {
+          target[segment.index] = value;
+        } else {
+          target[segment.index] = target[segment.index] ?? {};
+          target = target[segment.index];
+        }
+      } else {
+        const match = target.find(entry => entry?.columnName === segment.name || entry?.group?.groupName === segment.name);
+        if (!match) {
+          problem = `no column or group named "${segment.name}"`;
+        } else if (last) {
+          problem = `[${segment.name}] needs a setting after it, e.g. [${segment.name}].modelName`;
+        } else {
+          target = match.group || match;
+        }
+      }
+    }
+    if (problem) {
+      issues.push({ path, message: problem });
+    }
+  }
+  return config;
+}
+
+/**
+ * Read a YAML config file, fill in ${ENV} references and apply --set overrides
+ * Throws an InputError when the file is missing, and a ConfigError for YAML syntax errors,
+ * unset variables and overrides that don't apply. The result still goes through validateConfig.
+ */
+export function loadConfig(configPath, { set = [], env = process.env } = {}) {
+  if (!fs.existsSync(configPath)) {
+    throw new InputError(`Config file not found: ${configPath}`, 'CONFIG_NOT_FOUND');
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    if (err.name !== 'YAMLException') throw err;
+    const where = err.mark ? `line ${err.mark.line + 1}, column ${err.mark.column + 1}` : '';
+    throw new ConfigError([{ path: where, message: err.reason || err.message }], configPath);
+  }
+
+  const issues = [];
+  const config = interpolateEnv(parsed ?? {}, env, issues);
+  if (config && typeof config === 'object' && !Array.isArray(config)) {
+    applyOverrides(config, set, issues);
+  }
+  if (issues.length > 0) {
+    throw new ConfigError(issues, configPath);
+  }
+  return config;
+}
+
+/**
+ * Issue for an error a normalizer raised about "<label>.<field> <message>", located at
+ * path: "Summary.maxTokens must be ..." under columns[2] becomes columns[2].maxTokens
+ */
+function locatedIssue(path, label, message) {
+  const field = label && message.startsWith(label) ? message.slice(label.length).match(/^(\S*)\s+([\s\S]*)$/) : null;
+  return field ? { path: `${path}${field[1]}`, message: field[2] } : { path, message };
+}
+
+/**
+ * Check the eval section against the config's (raw) columns and fill in its defaults:
+ * the labelled file defaults to inputFileName, the comparison file to "<labelled file>-eval.csv",
+ * the label column to the scored column, the variants to the column as configured, and cache
+ * (whether variants may be answered from the response cache) to false.
+ * Each variant becomes { name, columnConfig }, its column config checked like a column's.
+ */
+function checkEval(raw, config, issues, warnings) {
+  const section = config.eval;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    issues.push({ path: 'eval', message: 'must be an object (inputFileName, column, labelColumn, variants)' });
+    return;
+  }
+  for (const key of Object.keys(section).filter(key => !EVAL_KEYS.includes(key))) {
+    warnings.push({ path: keyPath('eval', key), message: unknownKeyMessage(key, EVAL_KEYS, 'setting of the eval section') });
+  }
+
+  // Files are only needed to evaluate from a file (evaluateColumn takes rows)
+  section.inputFileName = section.inputFileName ?? config.inputFileName ?? null;
+  section.outputFileName = section.outputFileName ?? (typeof section.inputFileName === 'string' ? comparisonFileName(section.inputFileName) : null);
+  for (const key of ['inputFileName', 'outputFileName']) {
+    if (section[key] !== null && (typeof section[key] !== 'string' || section[key].trim() === '')) {
+      issues.push({ path: `eval.${key}`, message: 'must be a file name' });
+    }
+  }
+  if (typeof section.inputFileName === 'string') {
+    try {
+      resolveFormat(section.inputFileName, section.inputFormat, 'eval.inputFormat');
+    } catch (err) {
+      issues.push(locatedIssue('eval.inputFormat', 'eval.inputFormat', err.message));
+    }
+  }
+
+  section.cache = section.cache ?? false;
+  if (typeof section.cache !== 'boolean') {
+    issues.push({ path: 'eval.cache', message: 'must be true or false' });
+  }
+
+  if (typeof section.column !== 'string' || section.column.trim() === '') {
+    issues.push({ path: 'eval.column', message: 'is required (the generated column to score)' });
+    return;
+  }
+  section.labelColumn = section.labelColumn ?? section.column;
+  if (typeof section.labelColumn !== 'string' || section.labelColumn.trim() === '') {
+    issues.push({ path: 'eval.labelColumn', message: 'must be a column name' });
+  }
+  const targetIndex = Array.isArray(raw.columns) ? findEvalTarget(raw.columns, section.column) : -1;
+  if (targetIndex === -1) {
+    issues.push({ path: 'eval.column', message: `"${section.column}" is not a column of any column or group` });
+    return;
+  }
+
+  const variants = section.variants ?? [{ name: 'configured' }];
+  if (!Array.isArray(variants) || variants.length === 0) {
+    issues.push({ path: 'eval.variants', message: 'must be a non-empty list of { name, <column settings> }' });
+    return;
+  }
+  const target = raw.columns[targetIndex];
+  const known = target.group ? GROUP_KEYS : COLUMN_KEYS;
+  const names = new Set();
+  section.variants = variants.map((variant, i) => {
+    const path = `eval.variants[${i}]`;
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      issues.push({ path, message: 'must be an object with a name and the column settings to change' });
+      return null;
+    }
+    const name = variant.name ?? `variant ${i + 1}`;
+    if (typeof name !== 'string' || name.trim() === '' || names.has(name)) {
+      issues.push({ path: `${path}.name`, message: names.has(name) ? `"${name}" is used by another variant` : 'must be a non-empty string' });
+    }
+    names.add(name);
+    for (const key of Object.keys(variant).filter(key => key !== 'name')) {
+      if (['columnName', 'groupName', 'columns'].includes(key)) {
+        issues.push({ path: keyPath(path, key), message: 'can\'t be changed by a variant' });
+      } else if (!known.includes(key)) {
+        warnings.push({ path: keyPath(path, key), message: unknownKeyMessage(key, known, `${target.group ? 'group' : 'column'} setting`) });
+      }
+    }
+
+    // The variant is checked as the only column of a config with the same defaults
+    const checked = validateConfig({ defaults: raw.defaults, columns: [variantColumnConfig(target, variant)] }, { requireFiles: false });
+    issues.push(...variantIssues(checked.issues, i));
+    return { name, columnConfig: checked.config.columns[0] };
+  });
+}
+
+/**
+ * Check a config against the schema and fill in its defaults (shared settings, prompt files,
+ * pool settings, maxParallelColumns, the eval section) on a copy, collecting every problem
+ * instead of stopping at the first. Options:
+ *   requireFiles - inputFileName and outputFileName must be set (not needed for in-memory rows)
+ *   headers      - input column names; when given, column references and dependencies are checked
+ * Returns { config, issues: [{ path, message }], warnings: [{ path, message }] }
+ */
+export function validateConfig(raw, { requireFiles = true, headers = null } = {}) {
+  const issues = [];
+  const warnings = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config: null, issues: [{ path: '', message: 'config must be an object with inputFileName, outputFileName and columns' }], warnings };
+  }
+  const config = structuredClone(raw);
+
+  // Runs fn, recording what it throws as an issue located from label
+  const check = (path, label, fn) => {
+    try {
+      fn();
+      return true;
+    } catch (err) {
+      issues.push(locatedIssue(path, label, err.message));
+      return false;
+    }
+  };
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      warnings.push({ path: keyPath('', key), message: unknownKeyMessage(key, CONFIG_KEYS, 'config setting') });
+    }
+  }
+
+  for (const [key, formatKey] of [['inputFileName', 'inputFormat'], ['outputFileName', 'outputFormat']]) {
+    if (config[key] === undefined) {
+      if (requireFiles) issues.push({ path: key, message: 'is required' });
+    } else if (typeof config[key] !== 'string' || config[key].trim() === '') {
+      issues.push({ path: key, message: 'must be a file name' });
+    } else {
+      check(formatKey, formatKey, () => resolveFormat(config[key], config[formatKey], formatKey));
+    }
+  }
+
+  // Independent columns run in parallel, up to this many at once
+  config.maxParallelColumns = config.maxParallelColumns ?? 4;
+  if (!Number.isInteger(config.maxParallelColumns) || config.maxParallelColumns < 1) {
+    issues.push({ path: 'maxParallelColumns', message: 'must be a positive integer' });
+  }
+  for (const key of ['concurrency', 'checkpointEvery']) {
+    if (config[key] !== undefined && !(Number.isInteger(config[key]) && config[key] > 0)) {
+      issues.push({ path: key, message: 'must be a positive integer' });
+    }
+  }
+
+  // Per-model rate limits: { "<model>" | default: { requestsPerMinute, tokensPerMinute } }
+  if (config.rateLimits !== undefined && (typeof config.rateLimits !== 'object' || Array.isArray(config.rateLimits))) {
+    issues.push({ path: 'rateLimits', message: 'must map model names (or default) to { requestsPerMinute, tokensPerMinute }' });
+  } else {
+    for (const [model, limits] of Object.entries(config.rateLimits || {})) {
+      for (const [name, value] of Object.entries(limits || {})) {
+        if (!['requestsPerMinute', 'tokensPerMinute'].includes(name) || !(Number.isFinite(value) && value > 0)) {
+          issues.push({ path: keyPath(keyPath('rateLimits', model), name), message: 'is invalid (expected requestsPerMinute/tokensPerMinute > 0)' });
+        }
+      }
+    }
+  }
+
+  check('budget', 'budget', () => normalizeBudget(config.budget, 'budget'));
+  let runSelection = null;
+  check('rows', 'rows', () => {
+    runSelection = normalizeSelection(config.rows, 'rows');
+  });
+  // The run-level filter applies before any column is generated, so it can only read input columns
+  for (const name of headers ? selectionColumns(runSelection).filter(name => !headers.includes(name)) : []) {
+    issues.push({ path: 'rows.where', message: `"${name}" is not an input column` });
+  }
+
+  for (const [key, known] of [['cache', ['enabled', 'dir', 'ttl']], ['runLog', ['enabled', 'dir']]]) {
+    const section = config[key];
+    if (section === undefined || typeof section === 'boolean') continue;
+    if (typeof section !== 'object' || Array.isArray(section)) {
+      issues.push({ path: key, message: `must be false or an object (${known.join(', ')})` });
+      continue;
+    }
+    for (const name of Object.keys(section).filter(name => !known.includes(name))) {
+      issues.push({ path: `${key}.${name}`, message: `is not a ${key} option (expected ${known.join(', ')})` });
+    }
+    if (section.ttl !== undefined) {
+      check(`${key}.ttl`, '', () => parseDuration(section.ttl));
+    }
+  }
+
+  // defaults: generation and validation settings shared by every column and group
+  const sharedSettings = [...GENERATION_SETTINGS, ...VALIDATION_SETTINGS];
+  for (const name of Object.keys(config.defaults || {})) {
+    if (!sharedSettings.includes(name)) {
+      issues.push({ path: `defaults.${name}`, message: `is not a shared setting (expected ${sharedSettings.join(', ')})` });
+    }
+  }
+
+  if (!Array.isArray(config.columns) || config.columns.length === 0) {
+    issues.push({ path: 'columns', message: 'must be a non-empty list of columns and groups' });
+    return { config, issues, warnings };
+  }
+
+  const columnIssues = issues.length;
+  config.columns.forEach((col, i) => {
+    if (!col || typeof col !== 'object' || Array.isArray(col) || (col.group !== undefined && (!col.group || typeof col.group !== 'object' || Array.isArray(col.group)))) {
+      issues.push({ path: `columns[${i}]`, message: 'must be a column (columnName, modelName, prompt) or a group (group: { groupName, modelName, prompt, columns })' });
+      return;
+    }
+    const path = columnPath(col, i);
+    const settings = col.group || col;
+    const before = issues.length;
+
+    const known = col.group ? GROUP_KEYS : COLUMN_KEYS;
+    for (const key of Object.keys(col).filter(key => col.group && key !== 'group')) {
+      warnings.push({ path: keyPath(`columns[${i}]`, key), message: 'is ignored next to group; move it into the group' });
+    }
+    for (const key of Object.keys(settings).filter(key => !known.includes(key))) {
+      warnings.push({ path: keyPath(path, key), message: unknownKeyMessage(key, known, `${col.group ? 'group' : 'column'} setting`) });
+    }
+
+    // Settings from the defaults section apply unless the column sets its own
+    for (const name of sharedSettings) {
+      const isSystemPrompt = name === 'systemPrompt' || name === 'systemPromptFile';
+      const alreadySet = isSystemPrompt ? (settings.systemPrompt !== undefined || settings.systemPromptFile !== undefined) : settings[name] !== undefined;
+      if (!alreadySet && config.defaults?.[name] !== undefined) {
+        settings[name] = config.defaults[name];
+      }
+    }
+
+    // promptFile/systemPromptFile: load the prompt from a file (path relative to the working directory)
+    for (const [fileKey, promptKey] of [['promptFile', 'prompt'], ['systemPromptFile', 'systemPrompt']]) {
+      if (!settings[fileKey]) continue;
+      if (settings[promptKey]) {
+        issues.push({ path: `${path}.${fileKey}`, message: `can't be used together with ${promptKey}` });
+      } else if (!fs.existsSync(settings[fileKey])) {
+        issues.push({ path: `${path}.${fileKey}`, message: `file not found: ${settings[fileKey]}` });
+      } else {
+        settings[promptKey] = fs.readFileSync(settings[fileKey], 'utf8');
+      }
+    }
+
+    const nameKey = col.group ? 'groupName' : 'columnName';
+    if (typeof settings[nameKey] !== 'string' || settings[nameKey].trim() === '') {
+      issues.push({ path: `${path}.${nameKey}`, message: 'is required' });
+    }
+    if (!settings.modelName && !settings.voting) {
+      issues.push({ path, message: 'needs modelName (or voting)' });
+    }
+    if (typeof settings.prompt !== 'string' || settings.prompt.trim() === '') {
+      if (!settings.promptFile) issues.push({ path, message: 'needs prompt (or promptFile)' });
+    }
+
+    if (col.group) {
+      if (!Array.isArray(settings.columns) || settings.columns.length === 0) {
+        issues.push({ path: `${path}.columns`, message: 'must be a non-empty list of column names or { name, type, ... } entries' });
+      } else {
+        settings.columns.forEach((entry, j) => {
+          const entryPath = `${path}.columns[${j}]`;
+          if (typeof entry === 'string') return;
+          if (!entry || typeof entry !== 'object' || !entry.name) {
+            issues.push({ path: entryPath, message: 'needs a name (or use a plain column name)' });
+            return;
+          }
+          for (const key of Object.keys(entry).filter(key => !GROUP_ENTRY_KEYS.includes(key))) {
+            warnings.push({ path: keyPath(entryPath, key), message: unknownKeyMessage(key, GROUP_ENTRY_KEYS, 'group column setting') });
+          }
+          if (entry.type && !GROUP_COLUMN_TYPES.includes(entry.type)) {
+            issues.push({ path: `${entryPath}.type`, message: `"${entry.type}" is not a column type (expected ${GROUP_COLUMN_TYPES.join(', ')})` });
+          }
+          if (entry.enum !== undefined && (!Array.isArray(entry.enum) || entry.enum.length === 0)) {
+            issues.push({ path: `${entryPath}.enum`, message: 'must be a non-empty list' });
+          }
+        });
+      }
+    }
+
+    if (settings.cooldown) {
+      warnings.push({ path: `${path}.cooldown`, message: 'is no longer used; set rateLimits for the model instead' });
+    }
+    applyPoolDefaults(settings);
+    for (const key of ['concurrency', 'checkpointEvery']) {
+      if (!(Number.isInteger(settings[key]) && settings[key] > 0)) {
+        issues.push({ path: `${path}.${key}`, message: 'must be a positive integer' });
+      }
+    }
+
+    // The rest needs the required fields
+    if (issues.length > before) return;
+
+    check(path, settings[nameKey], () => resolveColumnConfig(col));
+    for (const promptKey of ['prompt', 'systemPrompt']) {
+      if (typeof settings[promptKey] === 'string') {
+        check(`${path}.${settings[`${promptKey}File`] ? `${promptKey}File` : promptKey}`, '', () => compileTemplate(settings[promptKey]));
+      }
+    }
+
+    // cache: true | false | { ttl }
+    if (settings.cache !== undefined && typeof settings.cache !== 'boolean') {
+      if (!settings.cache || typeof settings.cache !== 'object' || Array.isArray(settings.cache)) {
+        issues.push({ path: `${path}.cache`, message: 'must be true, false or an object (ttl)' });
+      } else {
+        for (const name of Object.keys(settings.cache).filter(name => name !== 'ttl')) {
+          issues.push({ path: keyPath(`${path}.cache`, name), message: 'is not a column cache option (expected ttl)' });
+        }
+        check(`${path}.cache.ttl`, '', () => parseDuration(settings.cache.ttl));
+      }
+    }
+  });
+
+  // Dependencies between columns, and the eval section's variants of a column, can only be
+  // checked once every column is valid
+  const columnsValid = issues.length === columnIssues;
+  if (headers && columnsValid) {
+    try {
+      buildColumnGraph(config.columns, headers);
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      issues.push(...err.issues);
+    }
+  }
+  if (config.eval !== undefined && columnsValid) {
+    checkEval(raw, config, issues, warnings);
+  }
+
+  return { config, issues, warnings };
+}
@@ -0,0 +1,254 @@
+import { selectionColumns, selectRows } from './row-selection.js';
+import { fieldValue } from './formats.js';
+import { buildMessages } from './generation.js';
+import { DEFAULT_MODELS_CACHE, estimateTokens, estimateWebSearchCost, loadModelPricing, lookupPricing } from './pricing.js';
+import { buildColumnGraph, columnPlaceholders, columnStages, isRowComplete, resolveColumnConfig } from './columns.js';
+import { buildPackedMessages, packedResponseFormat } from './packing.js';
+import { fillPromptTemplate } from './process-row.js';
+
+/**
+ * Evenly spaced row indices for previews (first and last row included)
+ */
+function sampleRowIndices(rowCount, sampleSize) {
+  const count = Math.min(sampleSize, rowCount);
+  if (count <= 1) {
+    return count === 1 ? [0] : [];
+  }
+  return [...new Set(Array.from({ length: count }, (_, i) => Math.round(i * (rowCount - 1) / (count - 1))))];
+}
+
+/**
+ * Estimated completion tokens per request for a column config
+ */
+function estimatedCompletionTokens(columnConfig) {
+  const { isGrouped, outputColumns } = resolveColumnConfig(columnConfig);
+  const { estimatedCompletionTokens: configured, maxTokens } = columnConfig.group || columnConfig;
+  const estimate = configured || (isGrouped ? 20 * outputColumns.length + 10 : 50);
+  return maxTokens ? Math.min(estimate, maxTokens) : estimate;
+}
+
+/**
+ * Dry run: render prompts for a sample of rows, flag placeholder problems and
+ * project token usage and cost per column. Makes no completion calls.
+ * Returns { columns: [{ key, rows, requests, promptTokens, completionTokens, cost }], promptTokens,
+ * completionTokens, cost }; costs are null without model pricing
+ */
+export async function projectRun(run, config, rows, originalHeaders, { sample = 3, refreshModels = false, incremental = false } = {}, runSelection = null) {
+  const { log } = run;
+  log.log('\n[4/5] Dry run (no completion calls)...');
+
+  try {
+    const stages = columnStages(buildColumnGraph(config.columns, originalHeaders));
+    stages.forEach((keys, stageIndex) => log.log(`  ✓ Stage ${stageIndex + 1}: ${keys.join(', ')}`));
+  } catch (err) {
+    log.error(`  ✗ ${err.message}`);
+  }
+
+  const pricing = await loadModelPricing({ cacheFile: config.modelsCacheFile || DEFAULT_MODELS_CACHE, refresh: refreshModels, logger: run.log });
+  if (pricing) {
+    log.log(`  ✓ Model pricing: ${pricing.models.size} models from ${pricing.source} (fetched ${pricing.fetchedAt})`);
+  } else {
+    log.warn('  ⚠ No model pricing available; costs will not be projected (rerun with --refresh-models when online)');
+  }
+
+  // Generated column name -> estimated tokens of its value, for prompts that reference it
+  const generatedTokens = new Map();
+  for (const columnConfig of config.columns) {
+    const { outputColumns } = resolveColumnConfig(columnConfig);
+    for (const col of outputColumns) {
+      generatedTokens.set(col, Math.ceil(estimatedCompletionTokens(columnConfig) / outputColumns.length));
+    }
+  }
+
+  let projectedCost = 0;
+  let projectedPromptTokens = 0;
+  let projectedCompletionTokens = 0;
+  const unpricedModels = new Set();
+  const columns = [];
+
+  for (let i = 0; i < config.columns.length; i++) {
+    const columnConfig = config.columns[i];
+    const resolved = resolveColumnConfig(columnConfig);
+    const { isGrouped, label, modelName, prompt, plugins, outputColumns, selection, rowsPerRequest, columnInfo, requestOptions, budget } = resolved;
+    const { systemPrompt, examples, voting } = requestOptions;
+    const requestModels = voting ? voting.models : [modelName]; // fallbacks only run on failures
+    const placeholders = columnPlaceholders(resolved);
+    const generatedRefs = placeholders.filter(name => generatedTokens.has(name));
+    const inputRefs = placeholders.filter(name => !generatedTokens.has(name));
+
+    log.log(`\n${'='.repeat(80)}`);
+    log.log(`${isGrouped ? 'Column Group' : 'Column'} ${i + 1}/${config.columns.length}: "${label}"`);
+    log.log(`${'='.repeat(80)}`);
+    log.log(`Model:      ${requestModels.join(', ')}${voting ? ' (voting)' : ''}`);
+    if (examples.length > 0) {
+      log.log(`Examples:   ${examples.length} few-shot pair(s)`);
+    }
+    if (rowsPerRequest > 1) {
+      log.log(`Packing:    ${rowsPerRequest} rows per request`);
+    }
+
+    // Rows this column would process; filters on generated columns can't be evaluated yet
+    let selectedIndices = selectRows(rows, runSelection, outputColumns);
+    if (selectionColumns(selection).some(name => generatedTokens.has(name))) {
+      log.warn(`  ⚠ Row filter reads generated columns; estimates assume every row passes it`);
+    } else {
+      selectedIndices = selectRows(rows, selection, outputColumns, selectedIndices);
+    }
+    if (runSelection || selection) {
+      log.log(`Selection:  ${selectedIndices.length} of ${rows.length} rows`);
+    }
+    // An incremental run only generates the stale rows; the others were filled in by its plan
+    if (incremental) {
+      const selectedCount = selectedIndices.length;
+      selectedIndices = selectedIndices.filter(rowIndex => !isRowComplete(rows[rowIndex], outputColumns));
+      log.log(`Stale:      ${selectedIndices.length} of ${selectedCount} rows (the rest are up to date)`);
+    }
+    const selectedRows = selectedIndices.map(rowIndex => rows[rowIndex]);
+    if (selectedRows.length === 0) {
+      if (incremental) {
+        log.log('  ✓ Up to date, nothing to generate');
+      } else {
+        log.warn('  ⚠ No rows selected');
+      }
+      columns.push({ key: resolved.key, rows: 0, requests: 0, promptTokens: 0, completionTokens: 0, cost: pricing ? 0 : null });
+      continue;
+    }
+
+    // Sample prompts, with generated columns shown as markers
+    const markers = Object.fromEntries(generatedRefs.map(name => [name, `<generated: ${name}>`]));
+    for (const rowIndex of sampleRowIndices(selectedIndices.length, sample).map(i => selectedIndices[i])) {
+      for (const [name, template] of [['system prompt', systemPrompt], ['prompt', prompt]].filter(([, t]) => t)) {
+        log.log(`\n  Row ${rowIndex + 1} ${name}:`);
+        let filledPrompt;
+        try {
+          filledPrompt = fillPromptTemplate(run, template, { ...rows[rowIndex], ...markers }, rowIndex);
+        } catch (err) {
+          log.warn(`    ✗ ${err.message}`);
+          continue;
+        }
+        for (const line of filledPrompt.split('\n')) {
+          log.log(`    │ ${line}`);
+        }
+      }
+    }
+    log.log('');
+
+    // Placeholder problems across the selected rows
+    for (const name of inputRefs) {
+      const empty = selectedRows.filter(row => fieldValue(row, name) === '').length;
+      if (empty > 0) {
+        log.warn(`  ⚠ {{${name}}} is empty in ${empty}/${selectedRows.length} rows`);
+      }
+    }
+    for (const name of generatedRefs) {
+      log.log(`  ➜ {{${name}}} is filled from a generated column at run time (~${generatedTokens.get(name)} tokens assumed)`);
+    }
+
+    // Token estimate over every selected row
+    const generatedOnly = Object.fromEntries(generatedRefs.map(name => [name, '']));
+    const generatedPerRow = generatedRefs.reduce((sum, name) => sum + generatedTokens.get(name), 0);
+    let promptTokens = 0;
+    const renderErrors = [];
+    const renderedRows = [];
+    for (const rowIndex of selectedIndices) {
+      try {
+        const rowData = { ...rows[rowIndex], ...generatedOnly };
+        const messages = buildMessages(
+          fillPromptTemplate(run, prompt, rowData, rowIndex),
+          systemPrompt ? fillPromptTemplate(run, systemPrompt, rowData, rowIndex) : null,
+          examples
+        );
+        if (rowsPerRequest === 1) {
+          promptTokens += messages.reduce((sum, message) => sum + estimateTokens(message.content), 0) + generatedPerRow;
+        }
+        renderedRows.push(rowIndex);
+      } catch (err) {
+        renderErrors.push(err);
+      }
+    }
+    if (renderErrors.length > 0) {
+      log.warn(`  ✗ The prompt can't be filled in for ${renderErrors.length}/${selectedRows.length} rows, which would fail: ${renderErrors[0].message}`);
+    }
+    // Packed rows share one system prompt and set of examples per request
+    const wrapped = !!packedResponseFormat(requestOptions.responseFormat);
+    for (let start = 0; rowsPerRequest > 1 && start < renderedRows.length; start += rowsPerRequest) {
+      const packedIndices = renderedRows.slice(start, start + rowsPerRequest);
+      const packedRows = Object.fromEntries(packedIndices.map(rowIndex => [rowIndex, { ...rows[rowIndex], ...generatedOnly }]));
+      const { messages } = buildPackedMessages(run, packedRows, packedIndices, columnInfo, prompt, requestOptions, wrapped);
+      promptTokens += messages.reduce((sum, message) => sum + estimateTokens(message.content), 0) + generatedPerRow * packedIndices.length;
+    }
+    // Every voting model gets the same prompt
+    const completionTokens = estimatedCompletionTokens(columnConfig) * selectedRows.length;
+    const requestsPerModel = Math.ceil(selectedRows.length / rowsPerRequest);
+    const requests = requestsPerModel * requestModels.length;
+    projectedPromptTokens += promptTokens * requestModels.length;
+    projectedCompletionTokens += completionTokens * requestModels.length;
+    let columnCost = 0;
+
+    log.log(`  Requests:          ${requests}${requestModels.length > 1 ? ` (${requestsPerModel} per model)` : ''}`);
+    log.log(`  Est. prompt:       ${promptTokens.toLocaleString()} tokens (~${Math.round(promptTokens / selectedRows.length)}/row)${requestModels.length > 1 ? ' per model' : ''}`);
+    log.log(`  Est. completion:   ${completionTokens.toLocaleString()} tokens (~${estimatedCompletionTokens(columnConfig)}/row)${requestModels.length > 1 ? ' per model' : ''}`);
+
+    for (const model of requestModels) {
+      const modelPricing = lookupPricing(pricing, model);
+      if (requestModels.length > 1) {
+        log.log(`  ${model}:`);
+      }
+      if (modelPricing) {
+        const webCost = estimateWebSearchCost(model, plugins) * requestsPerModel;
+        const cost = promptTokens * modelPricing.prompt
+          + completionTokens * modelPricing.completion
+          + modelPricing.request * requestsPerModel
+          + webCost;
+        projectedCost += cost;
+        columnCost += cost;
+        log.log(`  Pricing:           $${(modelPricing.prompt * 1e6).toFixed(2)}/M prompt, $${(modelPricing.completion * 1e6).toFixed(2)}/M completion`);
+        if (webCost > 0) {
+          log.log(`  Est. web search:   $${webCost.toFixed(4)}`);
+        }
+        log.log(`  Est. cost:         $${cost.toFixed(4)}${rowsPerRequest > 1 ? ` (~$${(cost / selectedRows.length).toFixed(6)}/row)` : ''}`);
+      } else if (pricing) {
+        unpricedModels.add(model);
+        log.warn(`  ⚠ No pricing found for model ${model}`);
+      }
+    }
+    if (budget) {
+      warnOverBudget(run, budget, columnCost, (promptTokens + completionTokens) * requestModels.length, 'this column\'s budget');
+    }
+    columns.push({
+      key: resolved.key,
+      rows: selectedRows.length,
+      requests,
+      promptTokens: promptTokens * requestModels.length,
+      completionTokens: completionTokens * requestModels.length,
+      cost: pricing ? columnCost : null
+    });
+  }
+
+  log.log(`\n${'='.repeat(80)}`);
+  log.log('✓ Dry Run Complete (no completion calls made)');
+  log.log(`${'='.repeat(80)}`);
+  log.log(`  Est. tokens:    ${(projectedPromptTokens + projectedCompletionTokens).toLocaleString()} (${projectedPromptTokens.toLocaleString()} prompt + ${projectedCompletionTokens.toLocaleString()} completion)`);
+  if (pricing) {
+    log.log(`  Projected cost: $${projectedCost.toFixed(4)}${unpricedModels.size > 0 ? ` (excluding ${[...unpricedModels].join(', ')})` : ''}`);
+  }
+  if (run.budget) {
+    warnOverBudget(run, run.budget.limits, projectedCost, projectedPromptTokens + projectedCompletionTokens, 'the run budget');
+  }
+  log.log('  Estimates assume ~4 characters per token and exclude retries and re-asks');
+  log.log(`${'='.repeat(80)}\n`);
+
+  return { columns, promptTokens: projectedPromptTokens, completionTokens: projectedCompletionTokens, cost: pricing ? projectedCost : null };
+}
+
+/**
+ * Dry run warning when projected spend is over a budget's limits
+ */
+function warnOverBudget(run, limits, cost, tokens, name) {
+  if (limits.maxCost !== null && cost > limits.maxCost) {
+    run.log.warn(`  ⚠ Projected cost $${cost.toFixed(4)} is over ${name} ($${limits.maxCost}); the run would stop early`);
+  }
+  if (limits.maxTokens !== null && tokens > limits.maxTokens) {
+    run.log.warn(`  ⚠ Projected ${tokens.toLocaleString()} tokens are over ${name} (${limits.maxTokens.toLocaleString()}); the run would stop early`);
+  }
+}
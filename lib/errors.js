@@ -0,0 +1,36 @@
+/**
+ * Base class of the errors the generator raises; code names the kind of failure
+ */
+export class GeneratorError extends Error {
+  constructor(message, code = 'GENERATOR_ERROR') {
+    super(message);
+    this.name = 'GeneratorError';
+    this.code = code;
+  }
+}
+
+/**
+ * Invalid configuration
+ * issues lists every problem found as { path, message }, path being where in the config it is,
+ * e.g. "columns[2].group.columns[0].type" (or "line 4, column 7" for YAML syntax errors)
+ */
+export class ConfigError extends GeneratorError {
+  constructor(issues, file = null) {
+    const lines = issues.map(issue => (issue.path ? `${issue.path}: ${issue.message}` : issue.message));
+    super(`Invalid configuration${file ? ` in ${file}` : ''}:\n  ${lines.join('\n  ')}`, 'CONFIG_INVALID');
+    this.name = 'ConfigError';
+    this.issues = issues;
+    this.file = file;
+  }
+}
+
+/**
+ * Input, output or progress files that can't be used as they are
+ * (missing, empty, or not matching the progress being resumed)
+ */
+export class InputError extends GeneratorError {
+  constructor(message, code = 'INPUT_INVALID') {
+    super(message, code);
+    this.name = 'InputError';
+  }
+}
@@ -0,0 +1,135 @@
+import { cellText } from './formats.js';
+
+// Confusion matrix columns for predictions outside the labelled classes and for failed rows
+export const OTHER_CLASS = '(other)';
+export const FAILED_CLASS = '(failed)';
+
+/**
+ * Default comparison file of an eval: "<labelled file>-eval.csv" next to it
+ */
+export function comparisonFileName(inputFileName) {
+  return inputFileName.replace(/(\.[^./\\]+)?$/, '-eval.csv');
+}
+
+/**
+ * Index in columns of the column, or the group with a column, named name (-1 if none)
+ */
+export function findEvalTarget(columns, name) {
+  return columns.findIndex(col => (col?.group
+    ? (col.group.columns || []).some(entry => (typeof entry === 'string' ? entry : entry?.name) === name)
+    : col?.columnName === name));
+}
+
+/**
+ * A variant's column config: the target column's (or group's) settings with the variant's on top
+ * Setting prompt or promptFile replaces both, likewise systemPrompt and systemPromptFile.
+ */
+export function variantColumnConfig(target, variant) {
+  const { name, ...overrides } = variant;
+  const settings = { ...(target.group || target) };
+  for (const pair of [['prompt', 'promptFile'], ['systemPrompt', 'systemPromptFile']]) {
+    if (pair.some(key => overrides[key] !== undefined)) {
+      pair.forEach(key => delete settings[key]);
+    }
+  }
+  Object.assign(settings, overrides);
+  return target.group ? { group: settings } : settings;
+}
+
+/**
+ * Issues about a variant's column config ("columns[0]..." or "columns[0].group...")
+ * located at the variant instead: "eval.variants[2]..."
+ */
+export function variantIssues(issues, index) {
+  return issues.map(issue => ({ ...issue, path: issue.path.replace(/^columns\[0\](\.group)?/, `eval.variants[${index}]`) }));
+}
+
+/**
+ * Labels and predictions are compared trimmed, ignoring case
+ */
+function labelKey(value) {
+  return cellText(value).trim().toLowerCase();
+}
+
+/**
+ * Whether a prediction matches a label
+ */
+export function sameLabel(a, b) {
+  return labelKey(a) === labelKey(b);
+}
+
+/**
+ * Score a variant's predictions against the gold labels
+ * labels: gold label of each row; outcomes: Map of row index -> { value, error } for the rows
+ * the variant finished (rows it never got to aren't scored). Failed rows count as wrong.
+ * Returns { scored, correct, failed, accuracy, classes, predicted, counts }: classes are the
+ * labels, most frequent first, and counts[i][j] is how many rows labelled classes[i] were
+ * predicted as predicted[j] (the classes, then OTHER_CLASS and FAILED_CLASS).
+ */
+export function scoreVariant(labels, outcomes) {
+  const classIndex = new Map();
+  const classes = [];
+  const frequency = [];
+  for (const label of labels) {
+    const key = labelKey(label);
+    if (!classIndex.has(key)) {
+      classIndex.set(key, classes.length);
+      classes.push(cellText(label).trim());
+      frequency.push(0);
+    }
+    frequency[classIndex.get(key)]++;
+  }
+  const order = classes.map((_, i) => i).sort((a, b) => frequency[b] - frequency[a]);
+  const position = new Map(order.map((classNumber, i) => [classNumber, i]));
+
+  const predicted = [...order.map(i => classes[i]), OTHER_CLASS, FAILED_CLASS];
+  const counts = order.map(() => predicted.map(() => 0));
+  let correct = 0;
+  let failed = 0;
+  for (const [rowIndex, { value, error }] of outcomes) {
+    const row = position.get(classIndex.get(labelKey(labels[rowIndex])));
+    let column;
+    if (error) {
+      failed++;
+      column = predicted.length - 1;
+    } else {
+      const match = classIndex.get(labelKey(value));
+      column = match === undefined ? predicted.length - 2 : position.get(match);
+      if (column === row) correct++;
+    }
+    counts[row][column]++;
+  }
+
+  return {
+    scored: outcomes.size,
+    correct,
+    failed,
+    accuracy: outcomes.size > 0 ? correct / outcomes.size : null,
+    classes: order.map(i => classes[i]),
+    predicted,
+    counts
+  };
+}
+
+/**
+ * The comparison of an eval: rows where some variant's prediction differs from the label,
+ * with each variant's prediction added as "<column> (<variant>)" ("(failed)" for failed rows)
+ * variants: [{ name, outcomes }] as for scoreVariant
+ * Returns { rows, columns: the added column names }
+ */
+export function comparisonRows(rows, labels, variants, column) {
+  const columns = variants.map(variant => `${column} (${variant.name})`);
+  const disagreements = [];
+  rows.forEach((row, rowIndex) => {
+    const outcomes = variants.map(variant => variant.outcomes.get(rowIndex));
+    if (!outcomes.some(outcome => outcome && (outcome.error || !sameLabel(outcome.value, labels[rowIndex])))) {
+      return;
+    }
+    const compared = { ...row };
+    outcomes.forEach((outcome, i) => {
+      compared[columns[i]] = !outcome ? '' : (outcome.error ? FAILED_CLASS : outcome.value);
+    });
+    disagreements.push(compared);
+  });
+  return { rows: disagreements, columns };
+}
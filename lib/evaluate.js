@@ -0,0 +1,100 @@
+import { cellText } from './formats.js';
+import { ConfigError, InputError } from './errors.js';
+import { comparisonRows, scoreVariant, variantIssues } from './eval.js';
+import { buildColumnGraph } from './columns.js';
+import { processColumn } from './process-column.js';
+import { checkRunFilter } from './run.js';
+
+/**
+ * Run every variant of the eval column on the labelled rows and score it against the labels
+ * (shared by evaluateColumn and evaluateFile). Variants go one after another through the same
+ * pipeline as a run, each on fresh copies of the labelled rows without the label column.
+ * Returns what evaluateColumn does.
+ */
+export async function evaluateRows(run, rows, headers, config, runSelection, step) {
+  const { column, labelColumn, variants } = config.eval;
+  if (!headers.includes(labelColumn)) {
+    throw new InputError(`Label column "${labelColumn}" not found in the labelled rows`, 'INPUT_INVALID');
+  }
+  const originalHeaders = headers.filter(h => h !== labelColumn);
+  run.inputColumns = originalHeaders;
+  checkRunFilter(runSelection, originalHeaders);
+
+  // Variants can only read the labelled rows' columns (never the label itself)
+  const issues = [];
+  variants.forEach((variant, i) => {
+    try {
+      buildColumnGraph([variant.columnConfig], originalHeaders);
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      issues.push(...variantIssues(err.issues, i));
+    }
+  });
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+
+  const labelled = rows.filter(row => cellText(row[labelColumn]).trim() !== '');
+  const labels = labelled.map(row => row[labelColumn]);
+  run.log.log(`  ✓ ${labelled.length} labelled row(s) for "${column}" in "${labelColumn}"${labelled.length < rows.length ? ` (${rows.length - labelled.length} without a label skipped)` : ''}`);
+  if (labelled.length === 0) {
+    throw new InputError(`No rows have a label in "${labelColumn}"`, 'INPUT_EMPTY');
+  }
+  run.log.log(`  ➜ Variants (${variants.length}): ${variants.map(variant => variant.name).join(', ')}`);
+  if (!config.eval.cache) {
+    run.log.log('  ➜ Variants skip the response cache, so their tokens, cost and latency are measured (eval.cache: true to use it)');
+  }
+
+  step(4, 'Evaluating variants...');
+  const runHooks = run.hooks;
+  const results = [];
+  try {
+    for (const [i, variant] of variants.entries()) {
+      if (run.stopReason) {
+        break;
+      }
+      const outcomes = new Map();
+      run.hooks = {
+        onProgress: progress => runHooks.onProgress?.({ ...progress, variant: variant.name }),
+        onRowComplete: event => {
+          outcomes.set(event.rowIndex, { value: event.row[column], error: event.error });
+          runHooks.onRowComplete?.({ ...event, variant: variant.name });
+        }
+      };
+      run.evalVariant = variant.name;
+      run.callLatencies = [];
+
+      run.log.log(`\n➜ Variant "${variant.name}"`);
+      const copies = labelled.map(row => {
+        const copy = { ...row };
+        delete copy[labelColumn];
+        return copy;
+      });
+      const stats = await processColumn(run, variant.columnConfig, copies, i, variants.length, null, { selection: runSelection });
+      results.push({
+        name: variant.name,
+        ...scoreVariant(labels, outcomes),
+        cost: stats.cost,
+        tokens: stats.tokens,
+        cacheHits: stats.cacheHits,
+        latencies: run.callLatencies,
+        outcomes
+      });
+    }
+  } finally {
+    run.hooks = runHooks;
+    run.evalVariant = null;
+    run.callLatencies = null;
+  }
+
+  const comparison = comparisonRows(labelled, labels, results, column);
+  return {
+    column,
+    labelColumn,
+    rows: labelled.length,
+    variants: results,
+    comparison: { rows: comparison.rows, headers: [...headers, ...comparison.columns] },
+    stopped: run.stopReason,
+    runLogPath: run.runLog?.path ?? null
+  };
+}
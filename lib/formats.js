@@ -0,0 +1,279 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import csv from 'csv-parser';
+import ExcelJS from 'exceljs';
+import iconv from 'iconv-lite';
+
+export const FORMAT_TYPES = ['csv', 'tsv', 'jsonl', 'xlsx'];
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.xlsx': 'xlsx'
+};
+
+const DEFAULT_DELIMITERS = { csv: ',', tsv: '\t' };
+
+/**
+ * Resolve how a data file is read or written
+ * The type comes from the config value or else the file extension (CSV when unknown).
+ *
+ * inputFormat: jsonl               # or an object:
+ * inputFormat:
+ *   type: csv                      # csv, tsv, jsonl or xlsx
+ *   delimiter: ";"                 # csv/tsv only
+ *   encoding: latin1               # text formats only (default utf8)
+ *   sheet: Videos                  # xlsx only (default: first sheet when reading)
+ *
+ * Returns { type, delimiter, encoding, sheet }
+ */
+export function resolveFormat(fileName, value, label = 'format') {
+  const options = typeof value === 'string' ? { type: value } : (value || {});
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${label} must be a format name (${FORMAT_TYPES.join(', ')}) or an object`);
+  }
+
+  const known = ['type', 'delimiter', 'encoding', 'sheet'];
+  for (const key of Object.keys(options)) {
+    if (!known.includes(key)) {
+      throw new Error(`${label}.${key} is not a format option (expected ${known.join(', ')})`);
+    }
+  }
+
+  const type = options.type || EXTENSION_FORMATS[path.extname(fileName || '').toLowerCase()] || 'csv';
+  if (!FORMAT_TYPES.includes(type)) {
+    throw new Error(`${label}.type "${type}" is not supported (expected ${FORMAT_TYPES.join(', ')})`);
+  }
+
+  if (options.delimiter !== undefined && !(type in DEFAULT_DELIMITERS)) {
+    throw new Error(`${label}.delimiter only applies to csv and tsv`);
+  }
+  const delimiter = options.delimiter ?? DEFAULT_DELIMITERS[type] ?? null;
+  if (delimiter !== null && (typeof delimiter !== 'string' || delimiter.length !== 1)) {
+    throw new Error(`${label}.delimiter must be a single character`);
+  }
+  if (delimiter !== null && /["\r\n]/.test(delimiter)) {
+    throw new Error(`${label}.delimiter can't be a quote or a line break`);
+  }
+
+  if (options.encoding !== undefined && type === 'xlsx') {
+    throw new Error(`${label}.encoding does not apply to xlsx`);
+  }
+  const encoding = options.encoding ?? 'utf8';
+  if (!iconv.encodingExists(encoding)) {
+    throw new Error(`${label}.encoding "${encoding}" is not a known encoding`);
+  }
+
+  if (options.sheet !== undefined && type !== 'xlsx') {
+    throw new Error(`${label}.sheet only applies to xlsx`);
+  }
+
+  return { type, delimiter, encoding, sheet: options.sheet ?? null };
+}
+
+/**
+ * Value of a field, by exact name first, then as a dotted path into nested
+ * JSONL values ("author.name", "tags.0")
+ */
+export function fieldValue(row, name) {
+  if (name in row) {
+    return row[name];
+  }
+  let value = row;
+  for (const part of name.split('.')) {
+    if (value === null || typeof value !== 'object' || !(part in value)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * A field as text: nested values as JSON, null/undefined as empty
+ */
+export function cellText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Decoded text stream of a file (strips a byte order mark)
+ */
+function openText(filePath, format) {
+  return fs.createReadStream(filePath).pipe(iconv.decodeStream(format.encoding));
+}
+
+/**
+ * Rows of a JSONL file, one JSON object per non-empty line
+ */
+async function* jsonlRows(filePath, format) {
+  const lines = readline.createInterface({ input: openText(filePath, format), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${filePath} line ${lineNumber}: ${err.message}`);
+    }
+    if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`${filePath} line ${lineNumber}: expected a JSON object`);
+    }
+    yield row;
+  }
+}
+
+/**
+ * Plain value of a worksheet cell (formulas give their result, dates ISO strings)
+ */
+function worksheetValue(cell) {
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if ('result' in value) return value.result instanceof Date ? value.result.toISOString() : (value.result ?? '');
+    return cell.text;
+  }
+  return value;
+}
+
+async function readWorksheet(filePath, format) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = format.sheet ? workbook.getWorksheet(format.sheet) : workbook.worksheets[0];
+  if (!sheet) {
+    const names = workbook.worksheets.map(ws => `"${ws.name}"`).join(', ');
+    throw new Error(format.sheet ? `Sheet "${format.sheet}" not found in ${filePath} (sheets: ${names})` : `${filePath} has no sheets`);
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col - 1] = cellText(worksheetValue(cell)) || `Column ${col}`;
+  });
+
+  const rows = [];
+  for (let r = 2; r <= sheet.rowCount; r++) {
+    const sheetRow = sheet.getRow(r);
+    if (!sheetRow.hasValues) continue;
+    rows.push(Object.fromEntries(headers.map((header, i) => [header, worksheetValue(sheetRow.getCell(i + 1))])));
+  }
+  return { rows, headers };
+}
+
+/**
+ * Read every row of a data file
+ * Returns { rows, headers }; for JSONL the headers are every top-level key, in first-seen order
+ */
+export async function readRows(filePath, format) {
+  if (format.type === 'xlsx') {
+    return readWorksheet(filePath, format);
+  }
+
+  const rows = [];
+  let headers = null;
+  if (format.type === 'jsonl') {
+    const seen = new Set();
+    for await (const row of jsonlRows(filePath, format)) {
+      Object.keys(row).forEach(key => seen.add(key));
+      rows.push(row);
+    }
+    headers = [...seen];
+  } else {
+    await new Promise((resolve, reject) => {
+      openText(filePath, format)
+        .pipe(csv({ separator: format.delimiter }))
+        .on('headers', (names) => { headers = names; })
+        .on('data', (data) => rows.push(data))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+  }
+  return { rows, headers: headers || [] };
+}
+
+/**
+ * Rows of a data file, read lazily (async iterable); xlsx can't be read this way
+ */
+export function streamRows(filePath, format) {
+  if (format.type === 'xlsx') {
+    throw new Error('xlsx files cannot be streamed; convert to csv or jsonl, or run without streaming');
+  }
+  if (format.type === 'jsonl') {
+    return jsonlRows(filePath, format);
+  }
+  return openText(filePath, format).pipe(csv({ separator: format.delimiter }));
+}
+
+/**
+ * Turns rows into encoded text chunks, for formats that can be appended to
+ * Returns { header(): Buffer, rows(records): Buffer }
+ */
+export function createRowSerializer(headers, format) {
+  if (format.type === 'xlsx') {
+    throw new Error('xlsx files cannot be appended to; write csv or jsonl, or run without streaming');
+  }
+  const encode = (text) => iconv.encode(text, format.encoding);
+
+  if (format.type === 'jsonl') {
+    // Nested values are kept, headers come first; fields a row doesn't have are left out
+    const line = (row) => JSON.stringify(Object.fromEntries(
+      [...new Set([...headers, ...Object.keys(row)])].filter(h => row[h] !== undefined).map(h => [h, row[h]])
+    ));
+    return {
+      header: () => encode(''),
+      rows: (records) => encode(records.map(row => `${line(row)}\n`).join(''))
+    };
+  }
+
+  return {
+    header: () => encode(delimitedLine(headers, format.delimiter)),
+    rows: (records) => encode(records.map(row => delimitedLine(headers.map(h => cellText(row[h])), format.delimiter)).join(''))
+  };
+}
+
+/**
+ * One line of a CSV/TSV file with any single-character delimiter: fields holding the
+ * delimiter, a quote or a line break are quoted, with their quotes doubled
+ */
+function delimitedLine(fields, delimiter) {
+  const quoted = fields.map(field => (field.includes(delimiter) || /["\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field));
+  return `${quoted.join(delimiter)}\n`;
+}
+
+/**
+ * Write rows to a data file, replacing it
+ */
+export async function writeRows(filePath, rows, headers, format) {
+  if (format.type !== 'xlsx') {
+    const serializer = createRowSerializer(headers, format);
+    await fs.promises.writeFile(filePath, Buffer.concat([serializer.header(), serializer.rows(rows)]));
+    return;
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(format.sheet || 'Sheet1');
+  sheet.addRow(headers);
+  for (const row of rows) {
+    sheet.addRow(headers.map(h => (row[h] !== null && typeof row[h] === 'object' ? cellText(row[h]) : row[h] ?? '')));
+  }
+  await workbook.xlsx.writeFile(filePath);
+}
+
+/**
+ * Every field of a set of rows, in first-seen order
+ */
+export function rowHeaders(rows) {
+  const headers = new Set();
+  for (const row of rows) {
+    Object.keys(row).forEach(key => headers.add(key));
+  }
+  return [...headers];
+}
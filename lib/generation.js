@@ -0,0 +1,133 @@
+// Column settings that shape each request, and the OpenRouter request fields they map to
+const PARAMETER_FIELDS = {
+  temperature: 'temperature',
+  maxTokens: 'max_tokens',
+  topP: 'top_p',
+  seed: 'seed',
+  stop: 'stop'
+};
+
+const ROUTING_FIELDS = {
+  order: 'order',
+  allowFallbacks: 'allow_fallbacks',
+  dataCollection: 'data_collection',
+  only: 'only',
+  ignore: 'ignore',
+  sort: 'sort',
+  requireParameters: 'require_parameters'
+};
+
+export const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+
+// Settings a config's top-level defaults section may give every column and group
+export const GENERATION_SETTINGS = [
+  'systemPrompt', 'systemPromptFile', 'examples', ...Object.keys(PARAMETER_FIELDS), 'reasoningEffort', 'providerRouting'
+];
+
+/**
+ * Validate and normalize a column's generation settings
+ *
+ *   systemPrompt: "You are ..."          # template, filled in per row like the prompt
+ *   examples:                            # few-shot pairs sent before the prompt
+ *     - input: "..."
+ *       output: "..."                    # objects are sent as JSON (for groups)
+ *   temperature: 0
+ *   maxTokens: 200
+ *   topP: 0.9
+ *   seed: 42
+ *   stop: ["\n\n"]
+ *   reasoningEffort: low                 # minimal, low, medium or high
+ *   providerRouting:                     # OpenRouter provider preferences
+ *     order: [openai, together]
+ *     allowFallbacks: false
+ *     dataCollection: deny
+ *
+ * Returns { systemPrompt, examples, parameters }, parameters being request body fields
+ */
+export function normalizeGenerationSettings(settings, label) {
+  const parameters = {};
+
+  const { temperature, maxTokens, topP, seed, stop } = settings;
+  if (temperature !== undefined && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+    throw new Error(`${label}.temperature must be a number from 0 to 2`);
+  }
+  if (maxTokens !== undefined && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    throw new Error(`${label}.maxTokens must be a positive integer`);
+  }
+  if (topP !== undefined && !(typeof topP === 'number' && topP > 0 && topP <= 1)) {
+    throw new Error(`${label}.topP must be a number above 0 and at most 1`);
+  }
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    throw new Error(`${label}.seed must be an integer`);
+  }
+  if (stop !== undefined && typeof stop !== 'string'
+    && !(Array.isArray(stop) && stop.length > 0 && stop.length <= 4 && stop.every(s => typeof s === 'string'))) {
+    throw new Error(`${label}.stop must be a string or a list of up to 4 strings`);
+  }
+  for (const [name, field] of Object.entries(PARAMETER_FIELDS)) {
+    if (settings[name] !== undefined) {
+      parameters[field] = settings[name];
+    }
+  }
+
+  if (settings.reasoningEffort !== undefined) {
+    if (!REASONING_EFFORTS.includes(settings.reasoningEffort)) {
+      throw new Error(`${label}.reasoningEffort must be one of ${REASONING_EFFORTS.join(', ')}`);
+    }
+    parameters.reasoning = { effort: settings.reasoningEffort };
+  }
+
+  if (settings.providerRouting !== undefined) {
+    const routing = settings.providerRouting;
+    if (!routing || typeof routing !== 'object' || Array.isArray(routing)) {
+      throw new Error(`${label}.providerRouting must be an object (order, allowFallbacks, dataCollection, ...)`);
+    }
+    parameters.provider = {};
+    for (const [name, value] of Object.entries(routing)) {
+      if (!ROUTING_FIELDS[name]) {
+        throw new Error(`${label}.providerRouting.${name} is not a routing option (expected ${Object.keys(ROUTING_FIELDS).join(', ')})`);
+      }
+      parameters.provider[ROUTING_FIELDS[name]] = value;
+    }
+    if (routing.dataCollection !== undefined && !['allow', 'deny'].includes(routing.dataCollection)) {
+      throw new Error(`${label}.providerRouting.dataCollection must be allow or deny`);
+    }
+  }
+
+  if (settings.systemPrompt !== undefined && typeof settings.systemPrompt !== 'string') {
+    throw new Error(`${label}.systemPrompt must be a string`);
+  }
+
+  const examples = settings.examples ?? [];
+  if (!Array.isArray(examples)) {
+    throw new Error(`${label}.examples must be a list of { input, output } pairs`);
+  }
+  examples.forEach((example, i) => {
+    if (!example || typeof example !== 'object' || example.input === undefined || example.output === undefined) {
+      throw new Error(`${label}.examples[${i}] must have an input and an output`);
+    }
+  });
+
+  return {
+    systemPrompt: settings.systemPrompt ?? null,
+    examples: examples.map(example => ({
+      input: String(example.input),
+      output: typeof example.output === 'object' ? JSON.stringify(example.output) : String(example.output)
+    })),
+    parameters
+  };
+}
+
+/**
+ * Chat messages for a request: system prompt, few-shot pairs, then the prompt
+ */
+export function buildMessages(prompt, systemPrompt = null, examples = []) {
+  return [
+    ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+    ...examples.flatMap(example => [
+      { role: 'user', content: example.input },
+      { role: 'assistant', content: example.output }
+    ]),
+    { role: 'user', content: prompt }
+  ];
+}
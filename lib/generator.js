@@ -0,0 +1,481 @@
+import fs from 'fs';
+import { createProvider } from './providers.js';
+import { createResponseCache, DEFAULT_CACHE_DIR } from './cache.js';
+import { describeSelection, normalizeSelection, selectRows } from './row-selection.js';
+import { readRows, resolveFormat, rowHeaders, writeRows } from './formats.js';
+import { createBudgetTracker, describeBudget, normalizeBudget } from './budget.js';
+import { createRunLog, DEFAULT_RUN_LOG_DIR, newRunLogPath } from './run-log.js';
+import { ConfigError, GeneratorError, InputError } from './errors.js';
+import { validateConfig } from './config.js';
+import { manifestPath } from './manifest.js';
+import { buildColumnGraph, columnStages, isRowComplete, resolveColumnConfig, writtenColumns } from './columns.js';
+import { beginRun, checkRunFilter, endRun } from './run.js';
+import { JSONL_FORMAT, progressPath, restoreProgress, saveProgress, writeProgressMeta } from './progress.js';
+import { loadPreviousRun, logPlan, planIncremental, recordRowInputs, trackInputs, writeRunManifest } from './incremental.js';
+import { processColumn, runColumnGraph, stoppedDependency } from './process-column.js';
+import { processStream } from './stream.js';
+import { projectRun } from './dry-run.js';
+import { evaluateRows } from './evaluate.js';
+
+export { stopRun } from './run.js';
+
+/**
+ * Selected rows each column has no value for yet: Map of column key -> row indices
+ */
+function pendingRowsByColumn(graph, rows, runSelection) {
+  return new Map(graph.order.map(key => {
+    const { outputColumns, selection } = resolveColumnConfig(graph.nodes.get(key).columnConfig);
+    const selected = selectRows(rows, selection, outputColumns, selectRows(rows, runSelection, outputColumns));
+    return [key, selected.filter(rowIndex => !isRowComplete(rows[rowIndex], outputColumns))];
+  }));
+}
+
+/**
+ * Validate a config for a run and log its warnings
+ * Throws a ConfigError listing every issue found.
+ */
+function checkedConfig(run, rawConfig, validateOptions) {
+  const { config, issues, warnings } = validateConfig(rawConfig, validateOptions);
+  for (const warning of warnings) {
+    run.log.warn(`  ⚠ ${warning.path}: ${warning.message}`);
+  }
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+  return config;
+}
+
+/**
+ * Set up the provider, response cache, run log, rate limits and budget of a run from its
+ * config and options (see generateColumns). A dry run (callsApi false) only needs the budget.
+ * Returns the run-level row selection.
+ */
+function setUpRun(run, config, options, { callsApi = true } = {}) {
+  const { log } = run;
+  if (options.retryFailed && (options.resume || options.force?.length > 0)) {
+    throw new GeneratorError('retryFailed can\'t be combined with resume or force', 'OPTION_INVALID');
+  }
+  if (options.retryFailed && !config.columns.some(c => resolveColumnConfig(c).errorColumn)) {
+    throw new ConfigError([{ path: 'columns', message: 'retrying failed rows needs a column or group with errorColumn set' }]);
+  }
+
+  // Set up the API provider (OpenRouter unless configured otherwise); a dry run never calls it
+  if (callsApi) {
+    try {
+      run.provider = options.provider || createProvider(config.provider);
+    } catch (err) {
+      throw new ConfigError([{ path: 'provider', message: err.message }]);
+    }
+    log.log(`  ✓ Provider: ${run.provider.description}`);
+    if (run.provider.apiKey) {
+      log.log(`  ✓ API key loaded (${run.provider.apiKey.substring(0, 8)}...)`);
+    }
+
+    // Response cache, on unless disabled in the config or with the cache option
+    const cacheConfig = config.cache === false ? { enabled: false } : (config.cache || {});
+    if (options.clearCache) {
+      createResponseCache({ dir: cacheConfig.dir || DEFAULT_CACHE_DIR }).clear();
+      log.log(`  ✓ Cleared response cache (${cacheConfig.dir || DEFAULT_CACHE_DIR})`);
+    }
+    if (cacheConfig.enabled !== false && options.cache !== false) {
+      run.responseCache = createResponseCache({ dir: cacheConfig.dir, ttl: cacheConfig.ttl, refresh: !!options.refreshCache });
+      log.log(`  ✓ Response cache: ${run.responseCache.dir}${cacheConfig.ttl ? ` (ttl ${cacheConfig.ttl})` : ''}${options.refreshCache ? ' (refreshing)' : ''}`);
+    } else {
+      log.log('  ➜ Response cache disabled');
+    }
+
+    // Run log of every API call, on unless disabled in the config or with the runLog option
+    const runLogConfig = config.runLog === false ? { enabled: false } : (config.runLog || {});
+    if (runLogConfig.enabled !== false && options.runLog !== false) {
+      run.runLog = createRunLog(newRunLogPath(runLogConfig.dir || DEFAULT_RUN_LOG_DIR, config.outputFileName || 'rows'));
+      log.log(`  ✓ Run log: ${run.runLog.path}`);
+    } else {
+      log.log('  ➜ Run log disabled');
+    }
+  }
+
+  run.rateLimitConfig = config.rateLimits || {};
+
+  // Run-wide spending limits; columns and groups can have their own budget too
+  const budget = normalizeBudget(config.budget, 'budget');
+  run.budget = budget ? createBudgetTracker(budget, 'The run') : null;
+  if (run.budget) {
+    log.log(`    Budget:  ${describeBudget(run.budget.limits)}`);
+  }
+
+  // Run-level row selection; the rows option replaces the config's settings one by one
+  let runSelection;
+  try {
+    runSelection = normalizeSelection(options.rows ? { ...(config.rows || {}), ...options.rows } : config.rows, 'rows');
+  } catch (err) {
+    throw new ConfigError([{ path: 'rows', message: err.message }]);
+  }
+  if (runSelection) {
+    log.log(`    Rows:    ${describeSelection(runSelection)}`);
+  }
+  return runSelection;
+}
+
+/**
+ * Generate every configured column for rows already in memory (shared by generateColumns
+ * and generateFile). rows are filled in place. With options.previous (see loadPreviousRun)
+ * only the stale rows of each column are generated (see planIncremental).
+ * Returns { rows, headers, columns, stopped, pendingRows, runLogPath } (see generateColumns)
+ */
+async function generateRows(run, rows, originalHeaders, config, runSelection, options, step) {
+  const { log } = run;
+  run.inputColumns = originalHeaders;
+  checkRunFilter(runSelection, originalHeaders);
+
+  // List new columns to be generated
+  const newColumns = config.columns.flatMap(c => writtenColumns(resolveColumnConfig(c)));
+  log.log(`  ➜ Will generate columns (${newColumns.length}): ${newColumns.join(', ')}`);
+
+  // Resolve column dependencies into an execution plan
+  const graph = buildColumnGraph(config.columns, originalHeaders);
+  const stages = columnStages(graph);
+  log.log(`  ✓ Execution plan (${stages.length} stage${stages.length === 1 ? '' : 's'}, up to ${config.maxParallelColumns} column(s) in parallel):`);
+  stages.forEach((keys, stageIndex) => {
+    const described = keys.map(key => {
+      const deps = [...graph.nodes.get(key).dependsOn];
+      return deps.length > 0 ? `${key} (after ${deps.join(', ')})` : key;
+    });
+    log.log(`    Stage ${stageIndex + 1}: ${described.join(', ')}`);
+  });
+
+  // Add the generated columns up front so output column order follows the config
+  for (const row of rows) {
+    for (const col of newColumns) {
+      if (row[col] === undefined) {
+        row[col] = '';
+      }
+    }
+  }
+
+  // Incremental run: reuse the previous output's values wherever they are up to date
+  const { progressFile = null, resume = false, force = [], retryFailed = false, previous = null } = options;
+  if (previous) {
+    logPlan(run, planIncremental(run, graph, rows, previous, force, runSelection), previous, rows.length);
+  }
+  if (progressFile) {
+    if (resume) {
+      log.log(`\n  Resuming from progress file: ${progressFile}`);
+      const restored = await restoreProgress(run, progressFile, rows, originalHeaders, graph, force);
+      // Restored values were generated from the restored values they use
+      for (const key of restored) {
+        const resolved = resolveColumnConfig(graph.nodes.get(key).columnConfig);
+        rows.forEach((row, rowIndex) => recordRowInputs(run, resolved, isRowComplete(row, resolved.outputColumns) ? row : null, rowIndex));
+      }
+    } else if (fs.existsSync(progressFile) && !retryFailed && !previous) {
+      log.warn(`  ⚠ Progress file exists (${progressFile}); pass --resume to continue from it`);
+    }
+
+    // Rewrite progress right away so its contents always match the metadata
+    writeProgressMeta(progressFile, config.inputFileName ?? null, rows.length, config.columns);
+    await saveProgress(progressFile, rows, run.progressFormat);
+  } else if (resume) {
+    throw new GeneratorError('resume needs a progressFile', 'OPTION_INVALID');
+  }
+
+  // Process columns, running independent ones in parallel
+  step(4, 'Processing columns...');
+  const totalColumns = config.columns.length;
+
+  // Once the run is stopping, columns that haven't started are left for resume. A column
+  // stopped by its own budget only holds back the columns that use its values.
+  const columnStops = new Map(); // key -> reason
+  const columns = await runColumnGraph(
+    graph,
+    async (key, node) => {
+      const dependency = stoppedDependency(node.dependsOn, columnStops);
+      if (dependency) {
+        columnStops.set(key, `"${dependency}" stopped on its budget`);
+        log.warn(`\n  ⚠ "${key}" not started: it uses "${dependency}", which stopped on its budget`);
+        return null;
+      }
+      const result = run.stopReason ? null : await processColumn(run, node.columnConfig, rows, node.index, totalColumns, progressFile, { skipCompleted: resume || !!previous, selection: runSelection, retryFailed, dependsOn: [...node.dependsOn] });
+      if (result?.stopped) {
+        columnStops.set(key, result.stopped);
+      }
+      return result;
+    },
+    config.maxParallelColumns
+  );
+
+  // Rows left when the run or a column stopped early; a stop after the last rows stopped nothing
+  let stopped = run.stopReason || columnStops.values().next().value || null;
+  const pendingRows = stopped ? pendingRowsByColumn(graph, rows, runSelection) : null;
+  if (pendingRows && [...pendingRows.values()].every(indices => indices.length === 0)) {
+    run.stopReason = null;
+    stopped = null;
+  }
+
+  // Original columns first, then the new ones
+  const headers = [...originalHeaders, ...rowHeaders(rows).filter(h => !originalHeaders.includes(h))];
+  return { rows, headers, columns, stopped, pendingRows: stopped ? pendingRows : null, runLogPath: run.runLog?.path ?? null };
+}
+
+/**
+ * Generate the configured columns for rows in memory
+ *
+ *   const result = await generateColumns(rows, config, { onRowComplete: ({ rowIndex, row }) => ... });
+ *
+ * config is a config object as in config.yaml (validated here; inputFileName and outputFileName
+ * aren't needed). The rows are copied, not changed. options:
+ *   headers       - input column names (default: every key of the rows)
+ *   rows          - row selection replacing the config's rows settings one by one ({ range, where, ... })
+ *   provider      - provider to send requests to instead of the config's (see lib/providers.js)
+ *   cache         - false to turn the response cache off; refreshCache, clearCache as on the CLI
+ *   runLog        - false to turn the run log off
+ *   progressFile  - checkpoint to this file (JSONL) as columns go; resume continues from it,
+ *                   force lists columns to regenerate anyway
+ *   retryFailed   - only rerun rows marked in error columns
+ *   signal        - AbortSignal; aborting stops the run like stopRun()
+ *   onProgress    - called at each checkpoint with { column, processed, failed, total, cost, tokens }
+ *   onRowComplete - called as each column finishes a row with { column, rowIndex, row, error }
+ *                   (error is set when the row failed for good)
+ *   logger        - where progress messages go ({ log, warn, error }; default console)
+ * Returns { rows, headers, columns: Map of column key -> stats (null if it never started),
+ * stopped: reason the run stopped early or null, pendingRows: Map of column key -> row indices
+ * still to generate (when stopped), runLogPath }.
+ * Throws a ConfigError for an invalid config, and GeneratorError / InputError for options and
+ * progress files that can't be used. Rows that fail don't throw; see errorColumn.
+ */
+export async function generateColumns(rows, config, options = {}) {
+  const run = beginRun(options);
+  try {
+    const prepared = checkedConfig(run, config, { requireFiles: false });
+    const runSelection = setUpRun(run, prepared, options);
+    const copies = rows.map(row => ({ ...row }));
+    return await generateRows(run, copies, options.headers || rowHeaders(rows), prepared, runSelection, options, (n, text) => run.log.log(`\n${text}`));
+  } finally {
+    endRun(run);
+  }
+}
+
+/**
+ * Input and output formats of a config's files
+ */
+function fileFormats(run, config) {
+  const inputFormat = resolveFormat(config.inputFileName, config.inputFormat, 'inputFormat');
+  const outputFormat = resolveFormat(config.outputFileName, config.outputFormat, 'outputFormat');
+  run.log.log(`    Input:   ${config.inputFileName} (${inputFormat.type})`);
+  run.log.log(`    Output:  ${config.outputFileName} (${outputFormat.type})`);
+  run.log.log(`    Columns: ${config.columns.length}`);
+  return { inputFormat, outputFormat };
+}
+
+/**
+ * Read the rows a run works on: the input file, or the output file when retrying failed rows
+ * (its generated columns are left out of the original headers)
+ */
+async function readSourceRows(run, config, { inputFormat, outputFormat }, retryFailed) {
+  const sourceFileName = retryFailed ? config.outputFileName : config.inputFileName;
+  run.log.log(`\n[3/5] Reading ${retryFailed ? 'output' : 'input'} file...`);
+  if (!fs.existsSync(sourceFileName)) {
+    throw new InputError(`${retryFailed ? 'Output' : 'Input'} file not found: ${sourceFileName}`, retryFailed ? 'OUTPUT_NOT_FOUND' : 'INPUT_NOT_FOUND');
+  }
+
+  const { rows, headers } = await readRows(sourceFileName, retryFailed ? outputFormat : inputFormat);
+  const newColumns = config.columns.flatMap(c => writtenColumns(resolveColumnConfig(c)));
+  const originalHeaders = retryFailed ? headers.filter(h => !newColumns.includes(h)) : headers;
+  run.log.log(`  ✓ Loaded ${rows.length} rows`);
+  if (rows.length === 0) {
+    throw new InputError('Input file is empty', 'INPUT_EMPTY');
+  }
+  run.log.log(`  ✓ Original columns (${originalHeaders.length}): ${originalHeaders.join(', ')}`);
+  return { rows, originalHeaders };
+}
+
+/**
+ * Generate the configured columns from the config's input file into its output file
+ * Takes the generateColumns options (but not headers or progressFile: progress goes to
+ * <output>.progress) plus:
+ *   stream      - read, process and write rows incrementally (also set by streaming: true)
+ *   incremental - false to regenerate every row; otherwise, when the output file and its
+ *                 manifest exist, only rows whose column config or inputs changed are generated
+ * retryFailed reads the output file instead of the input file. Runs that aren't streamed write
+ * <output>.manifest.json next to the output for the next run to compare against.
+ * Returns what generateColumns does (rows is null when streaming) plus outputFile and
+ * progressFile (kept for resume when the run stopped early).
+ */
+export async function generateFile(config, options = {}) {
+  const run = beginRun(options);
+  const { log } = run;
+  try {
+    const prepared = checkedConfig(run, config, { requireFiles: true });
+    const formats = fileFormats(run, prepared);
+    run.progressFormat = formats.outputFormat.type === 'xlsx' ? JSONL_FORMAT : formats.outputFormat;
+    const runSelection = setUpRun(run, prepared, options);
+    const progressFile = progressPath(prepared.outputFileName);
+
+    // Streaming mode reads, processes and writes rows incrementally. It keeps no manifest, so
+    // one left by an earlier run would no longer describe the output
+    if ((prepared.streaming || options.stream) && !options.retryFailed) {
+      fs.rmSync(manifestPath(prepared.outputFileName), { force: true });
+      const { columns, headers } = await processStream(run, prepared, { resume: !!options.resume, force: options.force || [] }, runSelection, formats);
+      return {
+        rows: null, headers, columns, stopped: run.stopReason, pendingRows: null, runLogPath: run.runLog?.path ?? null,
+        outputFile: prepared.outputFileName, progressFile: run.stopReason ? progressFile : null
+      };
+    }
+
+    const { rows, originalHeaders } = await readSourceRows(run, prepared, formats, options.retryFailed);
+    const incremental = options.incremental !== false && !options.resume && !options.retryFailed;
+    const previous = incremental ? await loadPreviousRun(run, prepared.outputFileName, formats.outputFormat) : null;
+    trackInputs(run, prepared.columns, rows.length, options.retryFailed ? manifestPath(prepared.outputFileName) : null);
+    const result = await generateRows(run, rows, originalHeaders, prepared, runSelection, { ...options, progressFile, previous }, (n, text) => log.log(`\n[${n}/5] ${text}`));
+
+    // Write output file, and the manifest the next run compares against
+    log.log('\n[5/5] Writing output file...');
+    await writeRows(prepared.outputFileName, result.rows, result.headers, formats.outputFormat);
+    log.log(`  ✓ Output written to: ${prepared.outputFileName}${result.stopped ? ' (partial)' : ''}`);
+    log.log(`  ✓ Total columns: ${result.headers.length} (${originalHeaders.length} original + ${result.headers.length - originalHeaders.length} new)`);
+    writeRunManifest(run, prepared.outputFileName, prepared.inputFileName, prepared.columns);
+    log.log(`  ✓ Manifest written to: ${manifestPath(prepared.outputFileName)}`);
+
+    return { ...result, outputFile: prepared.outputFileName, progressFile: result.stopped ? progressFile : null };
+  } finally {
+    endRun(run);
+  }
+}
+
+/**
+ * Dry run for rows in memory: sample prompts, placeholder problems and projected tokens and
+ * cost per column, without completion calls. options: headers, rows and logger as for
+ * generateColumns, sample (prompts shown per column, default 3) and refreshModels (refetch pricing).
+ * Returns { columns: [{ key, rows, requests, promptTokens, completionTokens, cost }],
+ * promptTokens, completionTokens, cost } (costs are null without model pricing)
+ */
+export async function dryRun(rows, config, options = {}) {
+  const run = beginRun(options);
+  try {
+    const prepared = checkedConfig(run, config, { requireFiles: false });
+    const runSelection = setUpRun(run, prepared, options, { callsApi: false });
+    const headers = options.headers || rowHeaders(rows);
+    run.inputColumns = headers;
+    checkRunFilter(runSelection, headers);
+    return await projectRun(run, prepared, rows, headers, options, runSelection);
+  } finally {
+    endRun(run);
+  }
+}
+
+/**
+ * Dry run of a config's input file (see dryRun)
+ * Like generateFile, it compares with the output's manifest (unless options.incremental is
+ * false) and projects only the stale rows.
+ */
+export async function dryRunFile(config, options = {}) {
+  const run = beginRun(options);
+  try {
+    const prepared = checkedConfig(run, config, { requireFiles: true });
+    const formats = fileFormats(run, prepared);
+    const runSelection = setUpRun(run, prepared, options, { callsApi: false });
+    const { rows, originalHeaders } = await readSourceRows(run, prepared, formats, false);
+    run.inputColumns = originalHeaders;
+    checkRunFilter(runSelection, originalHeaders);
+    const newColumns = prepared.columns.flatMap(c => writtenColumns(resolveColumnConfig(c)));
+    run.log.log(`  ➜ Will generate columns (${newColumns.length}): ${newColumns.join(', ')}`);
+
+    // Plan as the run would, projecting only the stale rows
+    const previous = options.incremental !== false ? await loadPreviousRun(run, prepared.outputFileName, formats.outputFormat) : null;
+    if (previous) {
+      logPlan(run, planIncremental(run, buildColumnGraph(prepared.columns, originalHeaders), rows, previous, options.force || [], runSelection), previous, rows.length);
+    }
+    return await projectRun(run, prepared, rows, originalHeaders, { ...options, incremental: !!previous }, runSelection);
+  } finally {
+    endRun(run);
+  }
+}
+
+/**
+ * Config of an eval, validated (see checkedConfig); it needs an eval section
+ */
+function checkedEvalConfig(run, rawConfig) {
+  const config = checkedConfig(run, rawConfig, { requireFiles: false });
+  if (!config.eval) {
+    throw new ConfigError([{ path: 'eval', message: 'is required to evaluate a column (column, labelColumn, variants)' }]);
+  }
+  return config;
+}
+
+/**
+ * Run options for an eval: its calls skip the response cache unless eval.cache is set, so every
+ * variant's tokens, cost and latency are measured again on a rerun
+ */
+function evalRunOptions(config, options) {
+  return config.eval.cache ? options : { ...options, cache: false };
+}
+
+/**
+ * Score variants of a column against gold labels in rows in memory
+ *
+ *   const { variants } = await evaluateColumn(rows, config);
+ *   variants.forEach(v => console.log(v.name, v.accuracy, v.cost));
+ *
+ * config is a config object with an eval section:
+ *   eval:
+ *     column: Category             # the column to score (a column, or a column of a group)
+ *     labelColumn: Gold Category   # the expected values (default: the column itself)
+ *     variants:                    # default: the column as configured
+ *       - name: mini
+ *         modelName: openai/gpt-4o-mini   # any column setting, replacing the column's
+ *     cache: true                  # answer unchanged variants from the response cache (default false)
+ * options as for generateColumns except progressFile, resume, force and retryFailed;
+ * onProgress and onRowComplete get the variant's name too. Rows without a label are skipped.
+ * Returns { column, labelColumn, rows: labelled rows, variants: [{ name, scored, correct, failed,
+ * accuracy, classes, predicted, counts, cost, tokens, cacheHits, latencies, outcomes }] (see
+ * scoreVariant; latencies are the ms of each API call, cacheHits the calls answered from the
+ * response cache, which only eval.cache allows), comparison: { rows, headers } of the rows some
+ * variant got wrong, stopped, runLogPath }.
+ */
+export async function evaluateColumn(rows, config, options = {}) {
+  const run = beginRun(options);
+  try {
+    const prepared = checkedEvalConfig(run, config);
+    const runSelection = setUpRun(run, prepared, evalRunOptions(prepared, options));
+    return await evaluateRows(run, rows, options.headers || rowHeaders(rows), prepared, runSelection, (n, text) => run.log.log(`\n${text}`));
+  } finally {
+    endRun(run);
+  }
+}
+
+/**
+ * Score variants of a column against the eval section's labelled file (see evaluateColumn),
+ * writing the comparison to its outputFileName
+ * Returns what evaluateColumn does plus outputFile.
+ */
+export async function evaluateFile(config, options = {}) {
+  const run = beginRun(options);
+  const { log } = run;
+  try {
+    const prepared = checkedEvalConfig(run, config);
+    const { inputFileName, inputFormat, outputFileName } = prepared.eval;
+    if (!inputFileName) {
+      throw new ConfigError([{ path: 'eval.inputFileName', message: 'is required (the labelled file)' }]);
+    }
+    const formats = {
+      inputFormat: resolveFormat(inputFileName, inputFormat, 'eval.inputFormat'),
+      outputFormat: resolveFormat(outputFileName, undefined, 'eval.outputFileName')
+    };
+    log.log(`    Labels:  ${inputFileName} (${formats.inputFormat.type})`);
+    log.log(`    Output:  ${outputFileName} (${formats.outputFormat.type})`);
+    const runSelection = setUpRun(run, { ...prepared, outputFileName }, evalRunOptions(prepared, options));
+
+    log.log('\n[3/5] Reading labelled file...');
+    if (!fs.existsSync(inputFileName)) {
+      throw new InputError(`Labelled file not found: ${inputFileName}`, 'INPUT_NOT_FOUND');
+    }
+    const { rows, headers } = await readRows(inputFileName, formats.inputFormat);
+    log.log(`  ✓ Loaded ${rows.length} rows`);
+    const result = await evaluateRows(run, rows, headers, prepared, runSelection, (n, text) => log.log(`\n[${n}/5] ${text}`));
+
+    log.log('\n[5/5] Writing comparison file...');
+    await writeRows(outputFileName, result.comparison.rows, result.comparison.headers, formats.outputFormat);
+    log.log(`  ✓ ${result.comparison.rows.length} row(s) where a variant disagrees with the label written to: ${outputFileName}`);
+    return { ...result, outputFile: outputFileName };
+  } finally {
+    endRun(run);
+  }
+}
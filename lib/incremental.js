@@ -0,0 +1,180 @@
+import fs from 'fs';
+import { describeRowIndices, selectRows } from './row-selection.js';
+import { readRows } from './formats.js';
+import { columnSignature, describeConfigChange, manifestPath, readManifest, shortHash, writeManifest } from './manifest.js';
+import { isRowComplete, resolveColumnConfig, writtenColumns } from './columns.js';
+import { fillPromptTemplate } from './process-row.js';
+
+/**
+ * Hash of what a column's value for a row is generated from: its prompt and system prompt
+ * filled in with the row, so a change to any cell they reference (or to the row's position,
+ * for {{@index}}) changes it. null when the prompt can't be filled in for the row.
+ */
+function rowInputsHash(run, { prompt, requestOptions }, row, rowIndex) {
+  try {
+    const { systemPrompt } = requestOptions;
+    return shortHash([fillPromptTemplate(run, prompt, row, rowIndex), systemPrompt ? fillPromptTemplate(run, systemPrompt, row, rowIndex) : null]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The previous output and its manifest, for an incremental run; null when either is missing
+ */
+export async function loadPreviousRun(run, outputFileName, outputFormat) {
+  const filePath = manifestPath(outputFileName);
+  let manifest;
+  try {
+    manifest = readManifest(filePath);
+  } catch (err) {
+    run.log.warn(`  ⚠ Ignoring ${filePath} (${err.message}); every row will be generated`);
+    return null;
+  }
+  if (!manifest || !fs.existsSync(outputFileName)) {
+    return null;
+  }
+  const { rows } = await readRows(outputFileName, outputFormat);
+  return { rows, manifest, path: filePath };
+}
+
+/**
+ * Start recording what each value the run writes was generated from, for writeRunManifest: a
+ * column's rows are recorded as processColumn generates them (see recordRowInputs) or
+ * planIncremental reuses them, and are null otherwise. With manifestFile (retry-failed), the rows
+ * the run leaves alone keep what that manifest recorded, for columns whose config is unchanged.
+ */
+export function trackInputs(run, columns, rowCount, manifestFile = null) {
+  let manifest = null;
+  try {
+    manifest = manifestFile ? readManifest(manifestFile) : null;
+  } catch {
+    // Without it the rows left alone are recorded as unknown, and the next run regenerates them
+  }
+  run.inputHashes = new Map(columns.map(columnConfig => {
+    const { key } = resolveColumnConfig(columnConfig);
+    const previous = manifest?.columns[key];
+    const kept = previous && !describeConfigChange(previous, columnSignature(columnConfig)) && previous.rows?.length === rowCount;
+    return [key, kept ? [...previous.rows] : new Array(rowCount).fill(null)];
+  }));
+}
+
+/**
+ * Record the inputs a column's value for a row was just generated from (see rowInputsHash), or
+ * with row null that it has none. Does nothing unless the run writes a manifest (see trackInputs).
+ */
+export function recordRowInputs(run, resolved, row, rowIndex) {
+  const hashes = run.inputHashes?.get(resolved.key);
+  if (hashes) {
+    hashes[rowIndex] = row ? rowInputsHash(run, resolved, row, rowIndex) : null;
+  }
+}
+
+/**
+ * Write the manifest of an output file: each column config's signature, and the inputs hash of
+ * each of its rows as recorded while the run went (see trackInputs), for the next run to find
+ * what is stale
+ */
+export function writeRunManifest(run, outputFileName, inputFileName, columns) {
+  const entries = columns.map(columnConfig => {
+    const { key } = resolveColumnConfig(columnConfig);
+    return [key, { ...columnSignature(columnConfig), rows: run.inputHashes.get(key) }];
+  });
+  writeManifest(manifestPath(outputFileName), inputFileName, entries);
+}
+
+/**
+ * Plan an incremental run, the way make does: a column's value for a selected row is reused
+ * from the same row of the previous output when the column's config is unchanged (see
+ * columnSignature), that value was generated from the same inputs (see rowInputsHash), it isn't
+ * empty, and nothing it depends on is stale for that row. Reused values are copied into rows;
+ * every other selected row of a column is stale and left for processColumn to generate. Rows
+ * outside the run's selection or the column's are neither. Columns listed in force are stale
+ * on every row.
+ * Returns [{ key, reason, stale: row indices, changed, upstream, missing }] in run order, reason
+ * being set when the whole column is stale, and the other counts saying why its rows are.
+ */
+export function planIncremental(run, graph, rows, previous, force = [], selection = null) {
+  const staleRows = new Map();
+  const matchedForce = new Set();
+  const plan = [];
+
+  for (const key of graph.order) {
+    const { columnConfig, dependsOn } = graph.nodes.get(key);
+    const resolved = resolveColumnConfig(columnConfig);
+    const { outputColumns } = resolved;
+    const forcedBy = [key, ...outputColumns].filter(name => force.includes(name));
+    forcedBy.forEach(name => matchedForce.add(name));
+    const reason = forcedBy.length > 0 ? 'forced' : describeConfigChange(previous.manifest.columns[key], columnSignature(columnConfig));
+    const entry = { key, reason, stale: [], changed: 0, upstream: 0, missing: 0 };
+
+    const previousHashes = reason ? [] : previous.manifest.columns[key].rows || [];
+    const selected = new Set(selectRows(rows, resolved.selection, outputColumns, selectRows(rows, selection, outputColumns)));
+
+    rows.forEach((row, rowIndex) => {
+      if (!selected.has(rowIndex)) {
+        return;
+      }
+      if (reason) {
+        entry.stale.push(rowIndex);
+        return;
+      }
+      if ([...dependsOn].some(dep => staleRows.get(dep).has(rowIndex))) {
+        entry.upstream++;
+        entry.stale.push(rowIndex);
+        return;
+      }
+      const previousRow = previous.rows[rowIndex];
+      if (!previousRow || previousHashes[rowIndex] == null || !isRowComplete(previousRow, outputColumns)) {
+        entry.missing++;
+        entry.stale.push(rowIndex);
+        return;
+      }
+      if (previousHashes[rowIndex] !== rowInputsHash(run, resolved, row, rowIndex)) {
+        entry.changed++;
+        entry.stale.push(rowIndex);
+        return;
+      }
+      for (const col of writtenColumns(resolved)) {
+        row[col] = previousRow[col] ?? '';
+      }
+      recordRowInputs(run, resolved, row, rowIndex);
+    });
+
+    staleRows.set(key, new Set(entry.stale));
+    plan.push(entry);
+  }
+
+  for (const name of force.filter(name => !matchedForce.has(name))) {
+    run.log.warn(`  ⚠ --force "${name}" does not match any configured column`);
+  }
+  return plan;
+}
+
+/**
+ * Print what an incremental run will generate, before anything is spent
+ */
+export function logPlan(run, plan, previous, rowCount) {
+  const { log } = run;
+  log.log(`  ✓ Incremental run: comparing with ${previous.path}`);
+  let staleTotal = 0;
+  for (const { key, reason, stale, changed, upstream, missing } of plan) {
+    staleTotal += stale.length;
+    if (stale.length === 0) {
+      log.log(`    "${key}": up to date (${rowCount} rows)`);
+    } else if (reason) {
+      log.log(`    "${key}": ${reason} -> all ${rowCount} rows`);
+    } else {
+      const why = [
+        changed > 0 && `${changed} with changed inputs`,
+        upstream > 0 && `${upstream} after stale upstream values`,
+        missing > 0 && `${missing} without a value`
+      ].filter(Boolean);
+      log.log(`    "${key}": ${stale.length} of ${rowCount} rows stale (${why.join(', ')}): rows ${describeRowIndices(stale)}`);
+    }
+  }
+  const cells = plan.length * rowCount;
+  log.log(staleTotal === 0
+    ? '  ✓ Everything is up to date'
+    : `  ➜ ${staleTotal.toLocaleString()} of ${cells.toLocaleString()} column row(s) to generate, ${(cells - staleTotal).toLocaleString()} reused (--full regenerates everything)`);
+}
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { columnFingerprint, resolveColumnConfig } from './columns.js';
+
+// Bumped when the manifest layout or meaning changes; manifests of another version are ignored
+// (version 2 records each row's inputs when its value was generated, not when it was written)
+const MANIFEST_VERSION = 2;
+
+/**
+ * Path of the manifest for an output file: its extension replaced with .manifest.json
+ */
+export function manifestPath(outputFileName) {
+  return `${outputFileName.replace(/\.[^./\\]+$/, '')}.manifest.json`;
+}
+
+/**
+ * Short SHA-256 hash of a JSON-serializable value (row hashes are kept for every row)
+ */
+export function shortHash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * What a column config's values depend on, besides the rows: its whole fingerprint
+ * (see columnFingerprint) and, to explain what changed, its model, prompt and parameters
+ */
+export function columnSignature(columnConfig) {
+  const { modelName, prompt, requestOptions } = resolveColumnConfig(columnConfig);
+  const { systemPrompt, examples, parameters, voting } = requestOptions;
+  return {
+    fingerprint: columnFingerprint(columnConfig),
+    model: voting ? voting.models.join(', ') : modelName,
+    prompt: shortHash({ prompt, systemPrompt, examples }),
+    parameters: shortHash(parameters)
+  };
+}
+
+/**
+ * Why a column's saved values no longer match its config, or null when they do
+ * previous is its manifest entry (undefined for a column the manifest doesn't have)
+ */
+export function describeConfigChange(previous, current) {
+  if (!previous) {
+    return 'new column';
+  }
+  if (previous.fingerprint === current.fingerprint) {
+    return null;
+  }
+  if (previous.model !== current.model) {
+    return `model changed (${previous.model} → ${current.model})`;
+  }
+  if (previous.prompt !== current.prompt) {
+    return 'prompt changed';
+  }
+  if (previous.parameters !== current.parameters) {
+    return 'parameters changed';
+  }
+  return 'settings changed';
+}
+
+/**
+ * The manifest at filePath, or null if there is none
+ * Throws if it can't be read or was written in another layout.
+ */
+export function readManifest(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (manifest?.version !== MANIFEST_VERSION || !manifest.columns || typeof manifest.columns !== 'object') {
+    throw new Error(`not a version ${MANIFEST_VERSION} manifest`);
+  }
+  return manifest;
+}
+
+/**
+ * Write the manifest of an output file
+ * columns: Map of column key -> { ...columnSignature, rows: hash of the inputs each output row's
+ * value was generated from, null for rows without one }
+ */
+export function writeManifest(filePath, inputFileName, columns) {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    inputFileName,
+    writtenAt: new Date().toISOString(),
+    columns: Object.fromEntries(columns)
+  };
+  fs.writeFileSync(filePath, JSON.stringify(manifest));
+}
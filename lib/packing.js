@@ -0,0 +1,175 @@
+import { cellText } from './formats.js';
+import { buildMessages } from './generation.js';
+import { cacheResponse, logCall, requestForRows, ZERO_USAGE } from './api.js';
+import { checkColumnResponse, checkGroupValues, fillPromptTemplate, stripCodeFences } from './process-row.js';
+
+/**
+ * Prompt for several rows packed into one request: each row's filled prompt tagged with
+ * its row number as id, then the shape of the JSON array to answer with
+ * wrapped: the array goes in the "results" field of an object (for structured outputs)
+ */
+function packedPrompt(items, columnInfo, wrapped) {
+  const fields = typeof columnInfo === 'string'
+    ? '"value": "..."'
+    : columnInfo.columns.map(name => `${JSON.stringify(name)}: ...`).join(', ');
+  const array = `[{"id": <request id>, ${fields}}, ...]`;
+  return [
+    `Answer each of the ${items.length} requests below on its own. Each request has an id.`,
+    ...items.map(({ id, prompt }) => `<request id="${id}">\n${prompt}\n</request>`),
+    `Reply with ONLY ${wrapped ? `a JSON object {"results": ${array}}` : `a JSON array ${array}`}, with one entry per request.`
+  ].join('\n\n');
+}
+
+/**
+ * response_format for a packed group request: an object whose "results" array holds
+ * one answer per row, each with its request id
+ */
+export function packedResponseFormat(responseFormat) {
+  if (!responseFormat) {
+    return null;
+  }
+  const { schema } = responseFormat.json_schema;
+  const item = { ...schema, properties: { id: { type: 'integer' }, ...schema.properties }, required: ['id', ...schema.required] };
+  return {
+    ...responseFormat,
+    json_schema: {
+      ...responseFormat.json_schema,
+      schema: {
+        type: 'object',
+        properties: { results: { type: 'array', items: item } },
+        required: ['results'],
+        additionalProperties: false
+      }
+    }
+  };
+}
+
+/**
+ * Chat messages for rows packed into one request; few-shot examples are packed the
+ * same way, as one example request. Rows whose prompt can't be filled in are left out.
+ * Returns { messages, rowIndices, failed } - rowIndices being the rows included
+ */
+export function buildPackedMessages(run, rows, rowIndices, columnInfo, prompt, requestOptions, wrapped) {
+  const items = [];
+  const failed = [];
+  for (const rowIndex of rowIndices) {
+    try {
+      items.push({ id: rowIndex + 1, rowIndex, prompt: fillPromptTemplate(run, prompt, rows[rowIndex], rowIndex) });
+    } catch {
+      failed.push(rowIndex);
+    }
+  }
+  if (items.length === 0) {
+    return { messages: null, rowIndices: [], failed };
+  }
+
+  const answers = (list) => (wrapped ? { results: list } : list);
+  const examples = requestOptions.examples.length === 0 ? [] : [{
+    input: packedPrompt(requestOptions.examples.map((example, i) => ({ id: i + 1, prompt: example.input })), columnInfo, wrapped),
+    output: JSON.stringify(answers(requestOptions.examples.map((example, i) => (typeof columnInfo === 'string'
+      ? { id: i + 1, value: example.output }
+      : { id: i + 1, ...JSON.parse(example.output) }))))
+  }];
+
+  // The system prompt can't read row columns when packing, so it's the same for every row
+  const first = items[0].rowIndex;
+  const systemPrompt = requestOptions.systemPrompt ? fillPromptTemplate(run, requestOptions.systemPrompt, rows[first], first) : null;
+
+  return {
+    messages: buildMessages(packedPrompt(items, columnInfo, wrapped), systemPrompt, examples),
+    rowIndices: items.map(item => item.rowIndex),
+    failed
+  };
+}
+
+/**
+ * Answers of a packed response by id (a JSON array, or an object with a "results" array)
+ * Ids answered more than once are left out.
+ */
+function parsePackedResponse(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(stripCodeFences(text));
+  } catch {
+    return new Map();
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.results;
+  const answers = new Map();
+  const repeated = new Set();
+  for (const answer of Array.isArray(list) ? list : []) {
+    if (!answer || typeof answer !== 'object' || answer.id === undefined) continue;
+    const id = Number(answer.id);
+    if (answers.has(id)) {
+      repeated.add(id);
+    }
+    answers.set(id, answer);
+  }
+  repeated.forEach(id => answers.delete(id));
+  return answers;
+}
+
+/**
+ * Process several rows with one request (rowsPerRequest)
+ * Answers are split back onto the rows by id. Rows that are missing from the response,
+ * answered twice or invalid are returned in unanswered, to be processed on their own.
+ */
+export async function processPackedRows(run, rows, rowIndices, columnInfo, modelName, prompt, requestOptions, { attempt = 1 } = {}) {
+  const { validation } = requestOptions;
+  const outputColumns = typeof columnInfo === 'string' ? [columnInfo] : columnInfo.columns;
+  const responseFormat = packedResponseFormat(requestOptions.responseFormat);
+  const packed = buildPackedMessages(run, rows, rowIndices, columnInfo, prompt, requestOptions, !!responseFormat);
+  if (!packed.messages) {
+    return { ...ZERO_USAGE, success: true, unanswered: packed.failed };
+  }
+
+  // maxTokens is per row, so a packed request gets room for every row's answer
+  const { max_tokens: maxTokens } = requestOptions.parameters;
+  const parameters = maxTokens ? { ...requestOptions.parameters, max_tokens: maxTokens * packed.rowIndices.length } : requestOptions.parameters;
+  const call = { column: requestOptions.column, rowIndices: packed.rowIndices, attempt, reask: 0 };
+  const apiResult = await requestForRows(run, modelName, packed.messages, { ...requestOptions, responseFormat, parameters }, call);
+
+  const answers = parsePackedResponse(apiResult.result);
+  const unanswered = [...packed.failed];
+  const answered = {};
+  for (const rowIndex of packed.rowIndices) {
+    const answer = answers.get(rowIndex + 1);
+    let checked = null;
+    if (answer && typeof columnInfo === 'string') {
+      checked = answer.value === undefined || answer.value === null ? null : checkColumnResponse(cellText(answer.value).trim(), columnInfo, validation);
+    } else if (answer) {
+      const { id, ...fields } = answer;
+      checked = checkGroupValues(fields, columnInfo.schemas, validation);
+    }
+
+    if (!checked || checked.errors.length > 0) {
+      unanswered.push(rowIndex);
+      continue;
+    }
+    for (const colName of outputColumns) {
+      rows[rowIndex][colName] = checked.values[colName] ?? validation.unknown.value;
+    }
+    answered[rowIndex] = checked.values;
+  }
+
+  const missing = packed.rowIndices.filter(rowIndex => !(rowIndex in answered));
+  logCall(run, call, modelName, packed.messages, apiResult, { outcome: missing.length === 0 ? 'ok' : 'partial', values: answered, unanswered: missing });
+  if (missing.length === 0) {
+    cacheResponse(run, apiResult);
+  }
+
+  if (unanswered.length > 0) {
+    run.log.warn(`    ⚠ Rows ${rowIndices[0] + 1}-${rowIndices[rowIndices.length - 1] + 1}: ${unanswered.length}/${rowIndices.length} row(s) missing or invalid in the packed response, re-queued individually`);
+  }
+
+  return {
+    success: true,
+    cost: apiResult.cost,
+    promptTokens: apiResult.promptTokens,
+    completionTokens: apiResult.completionTokens,
+    cacheHits: apiResult.cacheHits,
+    cacheMisses: apiResult.cacheMisses,
+    searchResults: apiResult.searchResults,
+    unanswered
+  };
+}
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+
+export const OPENROUTER_MODELS_URL = 'https://openrouter.ai/api/v1/models';
+export const DEFAULT_MODELS_CACHE = '.cache/openrouter-models.json';
+
+// OpenRouter's web plugin bills per search result (Exa: $4 per 1000 results)
+const WEB_SEARCH_COST_PER_RESULT = 0.004;
+const WEB_SEARCH_DEFAULT_RESULTS = 5;
+
+/**
+ * Rough token count for a piece of text (~4 characters per token)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Load per-token model pricing from the cached OpenRouter models list
+ * The list is downloaded when there is no cache yet or refresh is set; if the
+ * download fails an existing cache is used anyway, so this works offline; the warning
+ * goes to logger.
+ * Returns { models: Map<id, { prompt, completion, request }>, fetchedAt, source } or null
+ */
+export async function loadModelPricing({ cacheFile = DEFAULT_MODELS_CACHE, refresh = false, logger = console } = {}) {
+  const cached = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : null;
+
+  if (cached && !refresh) {
+    return { ...parseModels(cached.data), fetchedAt: cached.fetchedAt, source: cacheFile };
+  }
+
+  try {
+    const response = await axios.get(OPENROUTER_MODELS_URL, { timeout: 30000 });
+    const snapshot = { fetchedAt: new Date().toISOString(), data: response.data.data };
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(snapshot));
+    return { ...parseModels(snapshot.data), fetchedAt: snapshot.fetchedAt, source: OPENROUTER_MODELS_URL };
+  } catch (err) {
+    if (cached) {
+      logger.warn(`  ⚠ Could not refresh model pricing (${err.message}); using cache from ${cached.fetchedAt}`);
+      return { ...parseModels(cached.data), fetchedAt: cached.fetchedAt, source: cacheFile };
+    }
+    logger.warn(`  ⚠ Could not download model pricing (${err.message}) and no cache at ${cacheFile}`);
+    return null;
+  }
+}
+
+function parseModels(data = []) {
+  const models = new Map();
+  for (const model of data) {
+    const pricing = model.pricing || {};
+    models.set(model.id, {
+      prompt: Number(pricing.prompt) || 0,
+      completion: Number(pricing.completion) || 0,
+      request: Number(pricing.request) || 0
+    });
+  }
+  return { models };
+}
+
+/**
+ * Pricing for a model name, ignoring variant suffixes such as :online or :nitro
+ * when the exact id isn't listed
+ */
+export function lookupPricing(pricing, modelName) {
+  if (!pricing) return null;
+  if (pricing.models.has(modelName)) return pricing.models.get(modelName);
+  const base = modelName.replace(/:[^/:]+$/, '');
+  return pricing.models.get(base) || null;
+}
+
+/**
+ * Estimated web search cost of one request, or 0 when it doesn't search
+ * (the web plugin or an :online model)
+ */
+export function estimateWebSearchCost(modelName, plugins) {
+  const webPlugin = (plugins || []).find(plugin => plugin.id === 'web');
+  if (!webPlugin && !modelName.endsWith(':online')) {
+    return 0;
+  }
+  return (webPlugin?.max_results || WEB_SEARCH_DEFAULT_RESULTS) * WEB_SEARCH_COST_PER_RESULT;
+}
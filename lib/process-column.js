@@ -0,0 +1,358 @@
+import { describeSelection, selectRows } from './row-selection.js';
+import { cellText } from './formats.js';
+import { createBudgetTracker, describeBudget } from './budget.js';
+import { estimateWebSearchCost } from './pricing.js';
+import { isRowComplete, resolveColumnConfig } from './columns.js';
+import { MAX_RETRIES, withRetries } from './api.js';
+import { processPackedRows } from './packing.js';
+import { markRowFailed, processRowWithRetries } from './process-row.js';
+import { saveProgress } from './progress.js';
+import { recordRowInputs } from './incremental.js';
+import { chargeBudgets, getRateLimiter } from './run.js';
+
+/**
+ * Run every node of the graph, starting each one as soon as its dependencies have finished
+ * At most maxParallel nodes run at once. Returns Map<key, result of runNode>.
+ */
+export async function runColumnGraph(graph, runNode, maxParallel = Infinity) {
+  const results = new Map();
+  const pending = [...graph.order];
+  const running = new Map();
+
+  while (pending.length > 0 || running.size > 0) {
+    for (const key of [...pending]) {
+      if (running.size >= maxParallel) break;
+      const deps = graph.nodes.get(key).dependsOn;
+      if ([...deps].every(dep => results.has(dep))) {
+        pending.splice(pending.indexOf(key), 1);
+        running.set(key, runNode(key, graph.nodes.get(key)).then(result => ({ key, result })));
+      }
+    }
+
+    const { key, result } = await Promise.race(running.values());
+    running.delete(key);
+    results.set(key, result);
+  }
+
+  return results;
+}
+
+/**
+ * Key of the first column in keys stopped by its own budget (see chargeBudgets), or undefined
+ */
+export function stoppedDependency(keys, columnStops) {
+  return [...keys].find(key => columnStops.has(key));
+}
+
+/**
+ * Error for a row a column can't generate because a column it uses failed on that row
+ */
+export function upstreamError(dependency) {
+  return { errorClass: 'upstream', message: `"${dependency}" failed on this row` };
+}
+
+/**
+ * Process a single column configuration (single or grouped)
+ * options:
+ *   skipCompleted - leave rows that already have values alone (restored from a progress file, or
+ *                   reused by an incremental run)
+ *   selection     - run-level row selection, narrowed further by the column's own rows setting
+ *   retryFailed   - only process rows marked in the column's error column, and the rows the
+ *                   columns it uses reran
+ *   dependsOn     - keys of the columns its prompts use (see buildColumnGraph)
+ * Rows that still fail after every retry are marked failed (see markRowFailed) and the rest go on.
+ * Rows a column in dependsOn failed on are marked failed too, with the error class "upstream".
+ * A used-up column budget stops only this column; the returned stats carry its reason in stopped.
+ */
+export async function processColumn(run, columnConfig, rows, columnIndex, totalColumns, progressFilePath, { skipCompleted = false, selection = null, retryFailed = false, dependsOn = [] } = {}) {
+  const { log } = run;
+  const column = resolveColumnConfig(columnConfig);
+  const {
+    isGrouped, key, label: columnName, modelName, concurrency, checkpointEvery, rowsPerRequest, prompt, plugins, webSearchOptions, columnInfo, requestOptions, outputColumns,
+    selection: columnSelection, budget, errorColumn
+  } = column;
+  const limiter = getRateLimiter(run, modelName);
+  const columnBudget = budget ? createBudgetTracker(budget, `"${key}"`) : null;
+  let columnStopReason = null;
+
+  log.log(`\n${'='.repeat(80)}`);
+  log.log(`${isGrouped ? 'Column Group' : 'Column'} ${columnIndex + 1}/${totalColumns}: "${columnName}"`);
+  log.log(`${'='.repeat(80)}`);
+  log.log(`Model:       ${requestOptions.voting ? requestOptions.voting.models.join(', ') : modelName}`);
+  if (requestOptions.fallback) {
+    log.log(`Fallbacks:   ${requestOptions.fallback.models.join(' → ')} (on ${requestOptions.fallback.on.join(', ')})`);
+  }
+  if (requestOptions.voting) {
+    log.log(`Voting:      majority of ${requestOptions.voting.models.length} models (quorum ${requestOptions.voting.quorum}, agreement in "${requestOptions.voting.agreementColumn}")`);
+  }
+  const validatedColumns = Object.keys(requestOptions.validation.rules).filter(name => requestOptions.validation.rules[name]);
+  if (validatedColumns.length > 0) {
+    const { unknown, maxReasks } = requestOptions.validation;
+    log.log(`Validation:  ${validatedColumns.join(', ')} (up to ${maxReasks} re-asks, unknown value "${unknown.value}")`);
+  }
+  log.log(`Concurrency: ${concurrency} (checkpoint every ${checkpointEvery} rows)`);
+  if (rowsPerRequest > 1) {
+    log.log(`Packing:     ${rowsPerRequest} rows per request`);
+  }
+  if (budget) {
+    log.log(`Budget:      ${describeBudget(budget)}`);
+  }
+  if (errorColumn) {
+    log.log(`Errors:      rows that fail are recorded in "${errorColumn}"`);
+  }
+  if (limiter.requestsPerMinute || limiter.tokensPerMinute) {
+    const limits = [
+      limiter.requestsPerMinute && `${limiter.requestsPerMinute.toLocaleString()} requests/min`,
+      limiter.tokensPerMinute && `${limiter.tokensPerMinute.toLocaleString()} tokens/min`
+    ].filter(Boolean);
+    log.log(`Rate limit:  ${limits.join(', ')} (shared by all columns using this model)`);
+  }
+  if (plugins && plugins.length > 0) {
+    log.log(`Plugins:     ${JSON.stringify(plugins)}`);
+  }
+  if (webSearchOptions) {
+    log.log(`Web Search:  ${JSON.stringify(webSearchOptions)}`);
+  }
+  if (requestOptions.citations) {
+    log.log(`Citations:   ${Object.values(requestOptions.citations.columns).map(col => `"${col}"`).join(', ')}`);
+    if (estimateWebSearchCost(modelName, plugins) === 0) {
+      log.warn('  ⚠ Citations come from web search; without the web plugin or an :online model these columns stay empty');
+    }
+  }
+  if (run.responseCache) {
+    const cacheSetting = requestOptions.cache ?? true;
+    log.log(`Cache:       ${cacheSetting === false ? 'off' : `on${cacheSetting.ttl ? ` (ttl ${cacheSetting.ttl})` : ''}`}`);
+  }
+  log.log(`Total rows:  ${rows.length}`);
+
+  const totalRows = rows.length;
+
+  // Rows chosen by the run and column selections; the rest are left untouched
+  const selectedRows = selectRows(rows, columnSelection, outputColumns, selectRows(rows, selection, outputColumns));
+  const selectedCount = selectedRows.length;
+  if (selection || columnSelection) {
+    const described = [selection, columnSelection].filter(Boolean).map(describeSelection).join('; ');
+    log.log(`Selection:   ${described} -> ${selectedCount} of ${totalRows} rows (${totalRows - selectedCount} skipped)`);
+  }
+
+  // Selected rows that still need a value (all of them unless resuming), or that failed last time
+  // or use values rerun since
+  const markedFailed = i => errorColumn && cellText(rows[i][errorColumn]) !== '';
+  const upstreamRetried = i => dependsOn.some(dep => run.retriedRows.get(dep)?.has(i));
+  const pendingRows = retryFailed
+    ? selectedRows.filter(i => markedFailed(i) || upstreamRetried(i))
+    : selectedRows.filter(i => !skipCompleted || !isRowComplete(rows[i], outputColumns));
+  const pendingCount = pendingRows.length;
+  const skippedCount = selectedCount - pendingCount;
+
+  if (retryFailed) {
+    const marked = pendingRows.filter(markedFailed).length;
+    const retrying = [
+      errorColumn && `${marked} failed row(s) marked in "${errorColumn}"`,
+      pendingCount > marked && `${pendingCount - marked} row(s) using values rerun upstream`
+    ].filter(Boolean);
+    log.log(`Retrying:    ${retrying.length > 0 ? retrying.join(', ') : 'nothing (no errorColumn)'}`);
+    run.retriedRows.set(key, new Set(pendingRows));
+  } else if (skippedCount > 0) {
+    log.log(`Skipping:    ${skippedCount} row(s) already complete, ${pendingCount} remaining`);
+  }
+
+  // Rows a column this one uses failed on can't be generated; mark them failed up front
+  const failedRows = new Set();
+  run.failedRows.set(key, failedRows);
+  const queuedRows = [];
+  for (const rowIndex of pendingRows) {
+    const dependency = dependsOn.find(dep => run.failedRows.get(dep)?.has(rowIndex));
+    if (!dependency) {
+      queuedRows.push(rowIndex);
+      continue;
+    }
+    const error = upstreamError(dependency);
+    markRowFailed(rows[rowIndex], { outputColumns, errorColumn }, error);
+    recordRowInputs(run, column, null, rowIndex);
+    failedRows.add(rowIndex);
+    run.hooks.onRowComplete?.({ column: key, rowIndex, row: rows[rowIndex], error });
+  }
+  if (failedRows.size > 0) {
+    log.warn(`  ⚠ ${failedRows.size} row(s) skipped: a column they use failed on them`);
+  }
+
+  let processedCount = 0;
+  let totalCost = 0;
+  let totalPromptTokens = 0;
+  let totalCompletionTokens = 0;
+  let totalCacheHits = 0;
+  let totalCacheMisses = 0;
+  let requestCount = 0;
+  let requeuedCount = 0;
+  let failedCount = failedRows.size;
+  let totalSearchResults = 0;
+  const startTime = Date.now();
+
+  // Stats since the last checkpoint
+  let interval = { rows: 0, cost: 0, tokens: 0, cacheHits: 0, cacheMisses: 0, startTime: Date.now() };
+  let checkpointCount = 0;
+
+  // Report stats and write progress file with all data so far
+  const checkpoint = async () => {
+    if (interval.rows === 0) {
+      return;
+    }
+    checkpointCount++;
+    const elapsed = Date.now() - interval.startTime;
+    log.log(`\n  "${key}" checkpoint ${checkpointCount}: ${interval.rows} row(s) in ${(elapsed / 1000).toFixed(2)}s | Success: ${processedCount}/${pendingCount}${failedCount > 0 ? ` | Failed: ${failedCount}` : ''}`);
+    log.log(`    Tokens: ${interval.tokens.toLocaleString()} | Cost: $${interval.cost.toFixed(8)}`
+      + (rowsPerRequest > 1 ? ` ($${(interval.cost / interval.rows).toFixed(8)}/row)` : '')
+      + (interval.cacheHits + interval.cacheMisses > 0 ? ` | Cache: ${interval.cacheHits} hit(s), ${interval.cacheMisses} miss(es)` : ''));
+    log.log(`    Running total: ${(totalPromptTokens + totalCompletionTokens).toLocaleString()} tokens | $${totalCost.toFixed(8)}`);
+    interval = { rows: 0, cost: 0, tokens: 0, cacheHits: 0, cacheMisses: 0, startTime: Date.now() };
+    run.hooks.onProgress?.({ column: key, processed: processedCount, failed: failedCount, total: pendingCount, cost: totalCost, tokens: totalPromptTokens + totalCompletionTokens });
+
+    // stopOnProjection: after the first checkpoint, stop if the remaining rows would cost too much
+    const remaining = pendingCount - processedCount;
+    if (checkpointCount === 1 && remaining > 0 && processedCount > 0 && !run.stopReason && !columnStopReason) {
+      const moreCost = totalCost / processedCount * remaining;
+      const moreTokens = (totalPromptTokens + totalCompletionTokens) / processedCount * remaining;
+      columnStopReason = columnBudget?.projectionExceeds(moreCost, moreTokens) || null;
+      run.stopReason = run.budget?.projectionExceeds(moreCost, moreTokens) || null;
+      if (run.stopReason || columnStopReason) {
+        log.log(`    Projected for the remaining ${remaining} row(s): ~$${moreCost.toFixed(4)}, ~${Math.round(moreTokens).toLocaleString()} tokens`);
+      }
+    }
+
+    if (progressFilePath) {
+      try {
+        await saveProgress(progressFilePath, rows, run.progressFormat);
+      } catch (err) {
+        log.warn(`    ⚠ Failed to write progress file: ${err.message}`);
+      }
+    }
+  };
+
+  // Sliding pool: each worker takes the next pending row (or rowsPerRequest rows) as soon as
+  // its previous request finishes. Rows a packed response didn't answer go again on their own.
+  let nextPending = 0;
+  const requeued = [];
+  // Count what a request (or a failed row's attempts) spent
+  const account = (result) => {
+    totalCost += result.cost;
+    totalPromptTokens += result.promptTokens;
+    totalCompletionTokens += result.completionTokens;
+    totalCacheHits += result.cacheHits;
+    totalCacheMisses += result.cacheMisses;
+    totalSearchResults += result.searchResults;
+    interval.cost += result.cost;
+    interval.tokens += result.promptTokens + result.completionTokens;
+    interval.cacheHits += result.cacheHits;
+    interval.cacheMisses += result.cacheMisses;
+    columnStopReason = columnStopReason || chargeBudgets(run, columnBudget, result);
+  };
+
+  const worker = async () => {
+    while ((requeued.length > 0 || nextPending < queuedRows.length) && !run.stopReason && !columnStopReason) {
+      let batch;
+      if (requeued.length > 0) {
+        batch = [requeued.shift()];
+      } else {
+        batch = queuedRows.slice(nextPending, nextPending + rowsPerRequest);
+        nextPending += batch.length;
+      }
+
+      let result;
+      try {
+        result = batch.length > 1
+          ? await withRetries(run, `Rows ${batch[0] + 1}-${batch[batch.length - 1] + 1}`, modelName, requestOptions, MAX_RETRIES, (model, { attempt }) =>
+            processPackedRows(run, rows, batch, columnInfo, model, prompt, requestOptions, { attempt }))
+          : await processRowWithRetries(run, rows[batch[0]], batch[0], columnInfo, modelName, prompt, requestOptions);
+      } catch (error) {
+        for (const rowIndex of batch) {
+          markRowFailed(rows[rowIndex], { outputColumns, errorColumn }, error);
+          recordRowInputs(run, column, null, rowIndex);
+          failedRows.add(rowIndex);
+          run.hooks.onRowComplete?.({ column: key, rowIndex, row: rows[rowIndex], error });
+        }
+        failedCount += batch.length;
+        if (error.spent) {
+          account(error.spent);
+        }
+        continue;
+      }
+
+      const unanswered = result.unanswered || [];
+      requeued.push(...unanswered);
+      requeuedCount += unanswered.length;
+      const finishedRows = batch.length - unanswered.length;
+      for (const rowIndex of batch.filter(i => !unanswered.includes(i))) {
+        if (errorColumn) {
+          rows[rowIndex][errorColumn] = '';
+        }
+        recordRowInputs(run, column, rows[rowIndex], rowIndex);
+        run.hooks.onRowComplete?.({ column: key, rowIndex, row: rows[rowIndex], error: null });
+      }
+
+      requestCount++;
+      processedCount += finishedRows;
+      interval.rows += finishedRows;
+      account(result);
+
+      if (interval.rows >= checkpointEvery) {
+        await checkpoint();
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queuedRows.length) }, worker));
+  await checkpoint();
+
+  if ((run.stopReason || columnStopReason) && processedCount + failedCount < pendingCount) {
+    log.warn(`\n  ⚠ "${key}" stopped with ${pendingCount - processedCount - failedCount} row(s) pending: ${run.stopReason || columnStopReason}`);
+  }
+
+  const totalElapsed = Date.now() - startTime;
+  const avgTimePerRow = processedCount > 0 ? totalElapsed / processedCount : 0;
+  const totalTokens = totalPromptTokens + totalCompletionTokens;
+
+  log.log(`\n${'─'.repeat(80)}`);
+  log.log(`${isGrouped ? 'Column Group' : 'Column'} "${key}" Summary:`);
+  log.log(`  Total time:     ${(totalElapsed / 1000).toFixed(2)}s`);
+  log.log(`  Avg per row:    ${avgTimePerRow.toFixed(0)}ms`);
+  log.log(`  Rows selected:  ${selectedCount}/${totalRows}${selectedCount < totalRows ? ` (${totalRows - selectedCount} skipped by selection)` : ''}`);
+  log.log(`  Rows processed: ${processedCount}/${selectedCount}`);
+  if (skippedCount > 0) {
+    log.log(`  Rows skipped:   ${skippedCount} (${retryFailed ? 'not marked as failed' : 'already complete'})`);
+  }
+  if (failedCount > 0) {
+    log.log(`  Rows failed:    ${failedCount}${errorColumn ? ` (see "${errorColumn}")` : ''}`);
+  }
+  if (rowsPerRequest > 1 && requestCount > 0) {
+    log.log(`  Requests:       ${requestCount} (${(processedCount / requestCount).toFixed(1)} rows/request, ${requeuedCount} row(s) re-queued individually)`);
+  }
+  log.log(`  Total tokens:   ${totalTokens.toLocaleString()} (${totalPromptTokens.toLocaleString()} prompt + ${totalCompletionTokens.toLocaleString()} completion)`);
+  if (totalCacheHits + totalCacheMisses > 0) {
+    log.log(`  Cache:          ${totalCacheHits} hit(s), ${totalCacheMisses} miss(es)`);
+  }
+  if (totalSearchResults > 0) {
+    log.log(`  Search results: ${totalSearchResults.toLocaleString()} (${(totalSearchResults / Math.max(processedCount, 1)).toFixed(1)}/row)`);
+  }
+  if (totalCost > 0) {
+    log.log(`  Total cost:     $${totalCost.toFixed(8)}`);
+    if (processedCount > 0) {
+      log.log(`  Avg cost/row:   $${(totalCost / processedCount).toFixed(8)}`);
+    }
+  }
+  log.log(`${'─'.repeat(80)}`);
+
+  return {
+    rowsSelected: selectedCount,
+    rowsSkipped: totalRows - selectedCount,
+    cost: totalCost,
+    tokens: totalTokens,
+    promptTokens: totalPromptTokens,
+    completionTokens: totalCompletionTokens,
+    cacheHits: totalCacheHits,
+    cacheMisses: totalCacheMisses,
+    searchResults: totalSearchResults,
+    failed: failedCount,
+    stopped: columnStopReason
+  };
+}
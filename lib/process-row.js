@@ -0,0 +1,257 @@
+import { renderTemplate } from './template.js';
+import { buildMessages } from './generation.js';
+import { applyRules, isUnknownValue } from './validation.js';
+import { addUsage, cacheResponse, errorClass, logCall, MAX_RETRIES, requestForRows, withRetries, withSpend } from './api.js';
+import { processRowWithVoting } from './voting.js';
+
+/**
+ * Fill a prompt template with a row's values (template syntax: see lib/template.js)
+ * Throws a TemplateError when the prompt references a column the row doesn't have.
+ */
+export function fillPromptTemplate(run, prompt, rowData, rowIndex) {
+  return renderTemplate(prompt, rowData, { rowIndex, inputColumns: run.inputColumns });
+}
+
+/**
+ * Coerce one value to its declared column schema
+ * Returns { value } or { error }; value is null when an optional column is empty or unknown
+ */
+function coerceColumnValue(value, schema, unknown) {
+  if (value === undefined || value === null || value === '' || isUnknownValue(value, unknown)) {
+    return schema.required ? { error: `"${schema.name}" is required` } : { value: null };
+  }
+
+  let coerced = value;
+  if (schema.type === 'number' || schema.type === 'integer') {
+    coerced = typeof value === 'string' ? Number(value.trim().replace(/,/g, '')) : value;
+    if (typeof coerced !== 'number' || !Number.isFinite(coerced)) {
+      return { error: `"${schema.name}" must be a number, got ${JSON.stringify(value)}` };
+    }
+    if (schema.type === 'integer' && !Number.isInteger(coerced)) {
+      return { error: `"${schema.name}" must be an integer, got ${JSON.stringify(value)}` };
+    }
+  } else if (schema.type === 'boolean') {
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(normalized)) {
+      coerced = true;
+    } else if (['false', 'no', '0'].includes(normalized)) {
+      coerced = false;
+    } else {
+      return { error: `"${schema.name}" must be true or false, got ${JSON.stringify(value)}` };
+    }
+  } else if (typeof value === 'object') {
+    return { error: `"${schema.name}" must be a ${schema.type}, got ${JSON.stringify(value)}` };
+  } else {
+    coerced = String(value);
+  }
+
+  if (schema.enum) {
+    // Accept case/whitespace differences, but always write the declared spelling
+    const match = schema.enum.find(allowed => String(allowed).trim().toLowerCase() === String(coerced).trim().toLowerCase());
+    if (match === undefined) {
+      return { error: `"${schema.name}" must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` };
+    }
+    coerced = match;
+  }
+
+  return { value: coerced };
+}
+
+/**
+ * Response text without surrounding markdown code fences (```json ... ``` or ``` ... ```)
+ */
+export function stripCodeFences(text) {
+  let jsonText = text.trim();
+  if (jsonText.startsWith('```')) {
+    // Remove opening fence (```json or ```)
+    jsonText = jsonText.replace(/^```(?:json)?\s*\n?/, '');
+    // Remove closing fence (```)
+    jsonText = jsonText.replace(/\n?```\s*$/, '');
+  }
+  return jsonText;
+}
+
+/**
+ * Parse a grouped column response and check it against the column schemas and validation rules
+ * Returns { values: { column: value }, errors: string[] }
+ */
+function parseGroupResponse(text, schemas, validation) {
+  let parsed;
+  try {
+    parsed = JSON.parse(stripCodeFences(text));
+  } catch (parseError) {
+    return { values: {}, errors: [`Failed to parse JSON - ${parseError.message}`] };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { values: {}, errors: ['Response must be a JSON object'] };
+  }
+
+  return checkGroupValues(parsed, schemas, validation);
+}
+
+/**
+ * Check a group's parsed JSON object against the column schemas and validation rules
+ * Returns { values: { column: value }, errors: string[] }
+ */
+export function checkGroupValues(parsed, schemas, validation) {
+  const values = {};
+  const errors = [];
+  for (const schema of schemas) {
+    const raw = parsed[schema.name];
+    const checked = raw === undefined || raw === null ? { value: raw } : applyRules(raw, validation.rules[schema.name], validation.unknown, schema.name);
+    const { value, error } = checked.error ? checked : coerceColumnValue(checked.value, schema, validation.unknown);
+    if (error) {
+      errors.push(error);
+    } else if (value !== null) {
+      values[schema.name] = value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Check a single column's response against its validation rules
+ * Returns { values: { column: value }, errors: string[] }
+ */
+export function checkColumnResponse(text, columnName, validation) {
+  const { value, error } = applyRules(text, validation.rules[columnName], validation.unknown, columnName);
+  return error ? { values: {}, errors: [error] } : { values: { [columnName]: value }, errors: [] };
+}
+
+/**
+ * Process a single row (helper for processRowWithRetries)
+ * The system prompt and few-shot examples come from requestOptions.systemPrompt/examples
+ * Responses that fail validation are re-asked with the problems spelled out, up to
+ * requestOptions.validation.maxReasks times.
+ * failOnInvalid: throw instead of writing the unknown value when a response is still
+ * invalid after its re-asks (so another model can be tried)
+ * attempt: 1-based try number from withRetries, for the run log
+ */
+async function processRow(run, row, rowIndex, columnInfo, modelName, prompt, requestOptions, { failOnInvalid = false, attempt = 1 } = {}) {
+  // Fill prompt templates with row data
+  const filledPrompt = fillPromptTemplate(run, prompt, row, rowIndex);
+  const systemPrompt = requestOptions.systemPrompt ? fillPromptTemplate(run, requestOptions.systemPrompt, row, rowIndex) : null;
+  const conversation = buildMessages(filledPrompt, systemPrompt, requestOptions.examples);
+  const { validation } = requestOptions;
+  const isGroup = typeof columnInfo !== 'string';
+  const outputColumns = isGroup ? columnInfo.columns : [columnInfo];
+
+  let apiResult = null;
+  let messages = conversation;
+  const sources = new Map(); // url -> citation, across re-asks
+
+  // Call the API, check the response (grouped columns are parsed as JSON) and distribute it to the columns
+  for (let reask = 0; ; reask++) {
+    const call = { column: requestOptions.column, rowIndex, attempt, reask };
+    let response;
+    try {
+      response = await requestForRows(run, modelName, messages, requestOptions, call);
+    } catch (error) {
+      throw withSpend(error, apiResult);
+    }
+    apiResult = apiResult ? addUsage(apiResult, response) : response;
+    response.citations.forEach(citation => sources.set(citation.url, sources.get(citation.url) || citation));
+
+    const { values, errors } = isGroup
+      ? parseGroupResponse(response.result, columnInfo.schemas, validation)
+      : checkColumnResponse(response.result, columnInfo, validation);
+    logCall(run, call, modelName, messages, response, errors.length === 0 ? { outcome: 'ok', values } : { outcome: 'invalid', errors, values });
+
+    if (errors.length === 0) {
+      cacheResponse(run, response);
+      for (const colName of outputColumns) {
+        row[colName] = values[colName] ?? validation.unknown.value;
+      }
+      break;
+    }
+
+    if (reask < validation.maxReasks) {
+      // Re-ask with the problems spelled out, keeping the bad answer in the conversation
+      run.log.warn(`    ⚠ Row ${rowIndex + 1}: Invalid response, re-asking (${reask + 1}/${validation.maxReasks}) - ${errors.join('; ')}`);
+      const instruction = isGroup
+        ? 'Reply again with ONLY a JSON object that fixes these problems.'
+        : `Reply again with ONLY the corrected value, or ${validation.unknown.value} if it can't be determined.`;
+      messages = [
+        ...messages,
+        { role: 'assistant', content: response.result },
+        { role: 'user', content: `That response was invalid:\n- ${errors.join('\n- ')}\n${instruction}` }
+      ];
+      continue;
+    }
+
+    if (failOnInvalid) {
+      const error = new Error(`Invalid response after ${validation.maxReasks} re-ask(s) - ${errors.join('; ')}`);
+      error.errorClass = 'invalid_response';
+      throw withSpend(error, apiResult);
+    }
+
+    // Out of re-asks - keep whatever was valid and set the rest to the unknown value
+    run.log.error(`    ✗ Row ${rowIndex + 1}: Invalid response after ${validation.maxReasks} re-ask(s) - ${errors.join('; ')}`);
+    run.log.error(`      Response: ${apiResult.result.substring(0, 200)}...`);
+    for (const colName of outputColumns) {
+      row[colName] = values[colName] ?? validation.unknown.value;
+    }
+    break;
+  }
+
+  if (requestOptions.citations) {
+    writeCitations(row, requestOptions.citations, [...sources.values()]);
+  }
+
+  return {
+    success: true,
+    cost: apiResult.cost,
+    promptTokens: apiResult.promptTokens,
+    completionTokens: apiResult.completionTokens,
+    cacheHits: apiResult.cacheHits,
+    cacheMisses: apiResult.cacheMisses,
+    searchResults: apiResult.searchResults,
+    rowIndex
+  };
+}
+
+/**
+ * Write a row's sources into the citation columns, one entry per source joined by the
+ * separator (whitespace in titles and snippets is collapsed so entries stay on one line)
+ */
+function writeCitations(row, citations, sources) {
+  for (const [field, column] of Object.entries(citations.columns)) {
+    row[column] = sources.map(source => source[field].replace(/\s+/g, ' ').trim()).join(citations.separator);
+  }
+}
+
+/**
+ * Process one row, retrying failed requests (see withRetries)
+ * columnInfo can be:
+ * - String: single column name (backward compatible)
+ * - Object: { isGroup: true, columns: ["Col1", "Col2", ...] } for grouped columns
+ * requestOptions: passed through to callOpenRouterAPI; requestOptions.fallback switches to the
+ * next fallback model on the chosen error classes, requestOptions.voting asks every voting model
+ */
+export async function processRowWithRetries(run, row, rowIndex, columnInfo, modelName, prompt, requestOptions = {}, maxRetries = MAX_RETRIES) {
+  if (requestOptions.voting) {
+    const single = { ...requestOptions, voting: null };
+    return processRowWithVoting(run, row, rowIndex, columnInfo, requestOptions.voting, (model, ballot) =>
+      processRowWithRetries(run, ballot, rowIndex, columnInfo, model, prompt, single, maxRetries)
+    );
+  }
+
+  return withRetries(run, `Row ${rowIndex + 1}`, modelName, requestOptions, maxRetries, (model, options) =>
+    processRow(run, row, rowIndex, columnInfo, model, prompt, requestOptions, options)
+  );
+}
+
+/**
+ * Record a row that failed for good: its values stay empty, so --resume tries it again,
+ * and the error column (if any) gets the error class and message
+ */
+export function markRowFailed(row, { outputColumns, errorColumn }, error) {
+  for (const col of outputColumns) {
+    row[col] = row[col] ?? '';
+  }
+  if (errorColumn) {
+    row[errorColumn] = `${errorClass(error)}: ${error.detail || error.message}`;
+  }
+}
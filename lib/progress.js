@@ -0,0 +1,137 @@
+import fs from 'fs';
+import { cellText, readRows, rowHeaders, writeRows } from './formats.js';
+import { InputError } from './errors.js';
+import { columnFingerprint, isRowComplete, resolveColumnConfig, writtenColumns } from './columns.js';
+
+// Progress files of in-memory runs, and of runs writing xlsx (which can't be appended to)
+export const JSONL_FORMAT = { type: 'jsonl', delimiter: null, encoding: 'utf8', sheet: null };
+
+// Pending progress file write per path, so parallel columns never write concurrently
+const progressWrites = new Map();
+
+/**
+ * Write all rows to the progress file in format, queued behind any write already in flight
+ */
+export function saveProgress(progressFilePath, rows, format) {
+  const previous = progressWrites.get(progressFilePath) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(() => writeRows(progressFilePath, rows, rowHeaders(rows), format));
+  progressWrites.set(progressFilePath, next);
+  return next;
+}
+
+/**
+ * Path of the progress file for an output file: its extension replaced with .progress
+ */
+export function progressPath(outputFileName) {
+  return `${outputFileName.replace(/\.[^./\\]+$/, '')}.progress`;
+}
+
+/**
+ * Path of the metadata file written alongside the progress file
+ */
+export function progressMetaPath(progressFilePath) {
+  return `${progressFilePath}.json`;
+}
+
+/**
+ * Record which input and column configs the progress file belongs to
+ */
+export function writeProgressMeta(progressFilePath, inputFileName, rowCount, columns) {
+  const meta = {
+    inputFileName,
+    rowCount,
+    columns: Object.fromEntries(columns.map(col => [resolveColumnConfig(col).key, columnFingerprint(col)]))
+  };
+  fs.writeFileSync(progressMetaPath(progressFilePath), JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Copy already generated values from a progress file back into the input rows
+ * Throws if the progress file doesn't belong to this input. Columns whose config
+ * changed since the progress was saved, or that are listed in force, are not restored,
+ * and neither is anything that depends on them.
+ * Returns the keys of the column configs that were restored.
+ */
+export async function restoreProgress(run, progressFilePath, rows, originalHeaders, graph, force = []) {
+  const { log } = run;
+  if (!fs.existsSync(progressFilePath)) {
+    log.log(`  ➜ No progress file found at ${progressFilePath}, starting fresh`);
+    return [];
+  }
+
+  const { rows: progressRows, headers: progressHeaders } = await readRows(progressFilePath, run.progressFormat);
+  if (progressRows.length !== rows.length) {
+    throw new InputError(`Progress file has ${progressRows.length} rows but input has ${rows.length}; refusing to resume`, 'PROGRESS_MISMATCH');
+  }
+
+  // Every original cell must be unchanged, otherwise generated values could land on the wrong rows
+  for (let i = 0; i < rows.length; i++) {
+    for (const header of originalHeaders) {
+      if (cellText(progressRows[i][header]) !== cellText(rows[i][header])) {
+        throw new InputError(`Progress file does not match input at row ${i + 1}, column "${header}"; refusing to resume`, 'PROGRESS_MISMATCH');
+      }
+    }
+  }
+
+  const metaPath = progressMetaPath(progressFilePath);
+  const meta = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf8')) : null;
+  if (!meta) {
+    log.warn(`  ⚠ No progress metadata found (${metaPath}); column configs cannot be verified`);
+  }
+
+  const matchedForce = new Set();
+  const restored = [];
+
+  for (const key of graph.order) {
+    const { columnConfig, dependsOn } = graph.nodes.get(key);
+    const resolved = resolveColumnConfig(columnConfig);
+    const { outputColumns } = resolved;
+
+    const forcedBy = [key, ...outputColumns].filter(name => force.includes(name));
+    if (forcedBy.length > 0) {
+      forcedBy.forEach(name => matchedForce.add(name));
+      log.log(`  ➜ "${key}": forced regeneration`);
+      continue;
+    }
+
+    if (meta && meta.columns?.[key] !== columnFingerprint(columnConfig)) {
+      log.warn(`  ⚠ "${key}": config changed since progress was saved, regenerating`);
+      continue;
+    }
+
+    const staleDeps = [...dependsOn].filter(dep => !restored.includes(dep));
+    if (staleDeps.length > 0) {
+      if (outputColumns.some(col => progressHeaders.includes(col))) {
+        log.log(`  ➜ "${key}": regenerating because it depends on ${staleDeps.map(dep => `"${dep}"`).join(', ')}`);
+      }
+      continue;
+    }
+
+    if (!outputColumns.some(col => progressHeaders.includes(col))) {
+      continue;
+    }
+
+    let completeRows = 0;
+    for (let i = 0; i < rows.length; i++) {
+      for (const col of writtenColumns(resolved)) {
+        rows[i][col] = progressRows[i][col] ?? '';
+      }
+      if (isRowComplete(rows[i], outputColumns)) {
+        completeRows++;
+      }
+    }
+
+    restored.push(key);
+    log.log(`  ✓ "${key}": restored ${completeRows}/${rows.length} rows`);
+  }
+
+  for (const name of force) {
+    if (!matchedForce.has(name)) {
+      log.warn(`  ⚠ --force "${name}" does not match any configured column`);
+    }
+  }
+
+  return restored;
+}
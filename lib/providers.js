@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { seededRandom } from './random.js';
+
+// Defaults per provider type; anything can be overridden in the config's provider section
+const PROVIDER_DEFAULTS = {
+  openrouter: {
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    headers: {
+      'HTTP-Referer': 'https://github.com/yourusername/youtube-analytics',
+      'X-Title': 'YouTube Analytics CSV Generator'
+    }
+  },
+  // Any OpenAI-compatible server (vLLM, Ollama, LiteLLM, ...)
+  openai: {
+    baseUrl: 'http://localhost:8000/v1',
+    apiKeyEnv: null,
+    headers: {}
+  }
+};
+
+export const PROVIDER_TYPES = [...Object.keys(PROVIDER_DEFAULTS), 'mock'];
+
+/**
+ * Create the provider described by the config's provider section
+ * Every provider has complete(requestBody) which resolves to { data, headers },
+ * data being an OpenAI-style chat completion ({ choices, usage }), or throws an
+ * axios-style error (error.response = { status, data, headers }). identity is what the
+ * response cache keys its answers on, and description what messages call it.
+ */
+export function createProvider(providerConfig = {}, env = process.env) {
+  const type = providerConfig.type || 'openrouter';
+
+  if (type === 'mock') {
+    return createMockProvider(providerConfig);
+  }
+
+  if (!PROVIDER_DEFAULTS[type]) {
+    throw new Error(`Unknown provider type "${type}" (expected ${PROVIDER_TYPES.join(', ')})`);
+  }
+
+  return createHttpProvider(type, { ...PROVIDER_DEFAULTS[type], ...providerConfig }, env);
+}
+
+/**
+ * Provider that POSTs to <baseUrl>/chat/completions
+ */
+function createHttpProvider(type, options, env) {
+  const apiKey = options.apiKeyEnv ? env[options.apiKeyEnv] : null;
+  if (options.apiKeyEnv && !apiKey) {
+    throw new Error(`${options.apiKeyEnv} not found in environment or .env file`);
+  }
+
+  const url = `${options.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+    ...(type === 'openrouter' ? PROVIDER_DEFAULTS.openrouter.headers : {}),
+    ...(options.headers || {})
+  };
+
+  return {
+    type,
+    description: `${type} (${url})`,
+    identity: `${type} (${url})`,
+    apiKey,
+    async complete(requestBody) {
+      const response = await axios.post(url, requestBody, {
+        headers,
+        timeout: options.timeout || 60000 // 60 second timeout
+      });
+      return { data: response.data, headers: response.headers };
+    }
+  };
+}
+
+/**
+ * Build an error shaped like the one axios throws for an HTTP error response
+ */
+function simulatedHttpError(status, message, retryAfter) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = {
+    status,
+    data: { error: { code: status, message } },
+    headers: retryAfter !== undefined ? { 'retry-after': String(retryAfter) } : {}
+  };
+  return error;
+}
+
+/**
+ * Deterministic placeholder value for a JSON schema property
+ */
+function mockSchemaValue(name, property) {
+  if (property.enum) {
+    return property.enum.find(value => value !== null) ?? null;
+  }
+  const type = Array.isArray(property.type) ? property.type.find(t => t !== 'null') : property.type;
+  if (type === 'number' || type === 'integer') return 0;
+  if (type === 'boolean') return false;
+  return `mock ${name}`;
+}
+
+/**
+ * url_citation annotations for a mock rule's citations, as web search returns them
+ */
+function mockAnnotations(rule) {
+  if (!rule?.citations) {
+    return {};
+  }
+  return {
+    annotations: rule.citations.map(citation => ({ type: 'url_citation', url_citation: { start_index: 0, end_index: 0, ...citation } }))
+  };
+}
+
+/**
+ * Offline provider returning deterministic or scripted responses
+ *
+ * provider:
+ *   type: mock
+ *   seed: 42                    # makes errorRates reproducible
+ *   latencyMs: 0                # simulated response time
+ *   costPerToken: 0.000001      # reported in usage.cost
+ *   errorRates: { 429: 0.1 }    # random failures by status code
+ *   responses:                  # first matching rule wins
+ *     - match: "regex"          # tested against the last user message (optional)
+ *       model: "regex"          # tested against the requested model (optional)
+ *       content: "text"         # or json: {...}, or status: 500 to fail
+ *       retryAfter: 2           # Retry-After header for simulated errors
+ *       citations:              # returned as url_citation annotations, like web search
+ *         - { url: "https://...", title: "...", content: "snippet" }
+ *       times: 3                # rule is used this many times (default: always)
+ *
+ * Without a matching rule, JSON schema requests get an object built from the schema
+ * and other requests get "mock-" plus a hash of the prompt.
+ */
+function createMockProvider(options) {
+  const random = seededRandom(options.seed ?? 1);
+  const rules = (options.responses || []).map(rule => ({
+    ...rule,
+    pattern: rule.match ? new RegExp(rule.match) : null,
+    modelPattern: rule.model ? new RegExp(rule.model) : null,
+    remaining: rule.times ?? Infinity
+  }));
+  const costPerToken = options.costPerToken ?? 0.000001;
+  let callCount = 0;
+
+  return {
+    type: 'mock',
+    description: `mock (${rules.length} scripted response rule${rules.length === 1 ? '' : 's'})`,
+    // The rules decide the answers, so a cached answer is only reused for the same rules
+    identity: `mock ${crypto.createHash('sha256').update(JSON.stringify([options.responses || [], costPerToken])).digest('hex').slice(0, 16)}`,
+    apiKey: null,
+    async complete(requestBody) {
+      callCount++;
+      if (options.latencyMs) {
+        await new Promise(resolve => setTimeout(resolve, options.latencyMs));
+      }
+
+      const userMessages = requestBody.messages.filter(message => message.role === 'user');
+      const prompt = userMessages.length > 0 ? String(userMessages[userMessages.length - 1].content) : '';
+
+      for (const [status, rate] of Object.entries(options.errorRates || {})) {
+        if (random() < rate) {
+          throw simulatedHttpError(Number(status), `Simulated ${status} error`, options.retryAfter);
+        }
+      }
+
+      const rule = rules.find(r => r.remaining > 0
+        && (!r.pattern || r.pattern.test(prompt))
+        && (!r.modelPattern || r.modelPattern.test(requestBody.model)));
+      if (rule) {
+        rule.remaining--;
+        if (rule.status) {
+          throw simulatedHttpError(rule.status, rule.message || `Simulated ${rule.status} error`, rule.retryAfter);
+        }
+      }
+
+      let content;
+      if (rule && rule.json !== undefined) {
+        content = JSON.stringify(rule.json);
+      } else if (rule && rule.content !== undefined) {
+        content = String(rule.content);
+      } else if (requestBody.response_format?.type === 'json_schema') {
+        const properties = requestBody.response_format.json_schema.schema.properties || {};
+        content = JSON.stringify(Object.fromEntries(
+          Object.entries(properties).map(([name, property]) => [name, mockSchemaValue(name, property)])
+        ));
+      } else {
+        content = `mock-${crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8)}`;
+      }
+
+      const promptChars = requestBody.messages.reduce((sum, message) => sum + String(message.content).length, 0);
+      const promptTokens = Math.ceil(promptChars / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+
+      const data = {
+        id: `gen-mock-${callCount}`,
+        model: requestBody.model,
+        choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content, ...mockAnnotations(rule) } }],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+          cost: (promptTokens + completionTokens) * costPerToken
+        }
+      };
+      return { data, headers: {} };
+    }
+  };
+}
@@ -0,0 +1,126 @@
+const WINDOW_MS = 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sliding one-minute window limiter for requests and tokens per minute
+ * Either limit may be omitted. acquire() resolves once a request may start;
+ * callers report the real token count with settle() when it is known.
+ */
+export function createRateLimiter({ requestsPerMinute = null, tokensPerMinute = null } = {}) {
+  const events = []; // { time, tokens } for requests started in the last minute
+  let pausedUntil = 0;
+  let queue = Promise.resolve(); // acquires are served in order
+
+  const waitTime = (estimatedTokens) => {
+    const now = Date.now();
+    while (events.length > 0 && events[0].time <= now - WINDOW_MS) {
+      events.shift();
+    }
+
+    let wait = pausedUntil - now;
+
+    if (requestsPerMinute && events.length >= requestsPerMinute) {
+      wait = Math.max(wait, events[events.length - requestsPerMinute].time + WINDOW_MS - now);
+    }
+
+    if (tokensPerMinute && events.length > 0) {
+      // Wait until enough of the oldest requests leave the window to make room
+      let used = events.reduce((sum, event) => sum + event.tokens, 0);
+      for (const event of events) {
+        if (used + estimatedTokens <= tokensPerMinute) break;
+        used -= event.tokens;
+        wait = Math.max(wait, event.time + WINDOW_MS - now);
+      }
+    }
+
+    return wait;
+  };
+
+  return {
+    requestsPerMinute,
+    tokensPerMinute,
+
+    /**
+     * Wait for a slot; returns a handle to pass to settle()
+     */
+    acquire(estimatedTokens = 0) {
+      const acquired = queue.then(async () => {
+        for (let wait = waitTime(estimatedTokens); wait > 0; wait = waitTime(estimatedTokens)) {
+          await sleep(wait);
+        }
+        const event = { time: Date.now(), tokens: estimatedTokens };
+        events.push(event);
+        return event;
+      });
+      queue = acquired.catch(() => {});
+      return acquired;
+    },
+
+    /**
+     * Replace a request's estimated tokens with the actual count
+     */
+    settle(event, actualTokens) {
+      if (event && Number.isFinite(actualTokens)) {
+        event.tokens = actualTokens;
+      }
+    },
+
+    /**
+     * Hold back every request for the next ms milliseconds
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+
+    /**
+     * Pause when OpenRouter reports the rate limit as used up
+     * (X-RateLimit-Remaining: 0, X-RateLimit-Reset: epoch ms)
+     */
+    updateFromHeaders(headers = {}) {
+      const remaining = Number(headerValue(headers, 'x-ratelimit-remaining'));
+      const reset = Number(headerValue(headers, 'x-ratelimit-reset'));
+      if (remaining === 0 && reset > Date.now()) {
+        pausedUntil = Math.max(pausedUntil, reset);
+      }
+    }
+  };
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Milliseconds to wait according to a Retry-After header (seconds or HTTP date), or null
+ */
+export function retryAfterMs(headers) {
+  const value = headerValue(headers, 'retry-after');
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * Delay before retrying a failed request
+ * Honours Retry-After; otherwise exponential backoff (2^attempt seconds, capped)
+ * with jitter so parallel requests don't retry in lockstep
+ */
+export function retryDelayMs(error, attempt, { baseMs = 1000, maxMs = 60000 } = {}) {
+  const retryAfter = retryAfterMs(error.response?.headers);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  const backoff = Math.min(maxMs, Math.pow(2, attempt) * baseMs);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
@@ -0,0 +1,236 @@
+import { seededRandom } from './random.js';
+
+export const DEFAULT_SAMPLE_SEED = 42;
+
+// Symbolic operators may be written without spaces ("Views>100000"); word operators need them
+const SYMBOL_CONDITION = /^(.+?)\s*(>=|<=|==|!=|=|>|<)\s*(.+)$/;
+const WORD_CONDITION = /^(.+?)\s+(is not empty|is empty|not contains|contains|matches)(?:\s+(.+))?$/i;
+
+/**
+ * Parse a 1-based inclusive row range: "500-600", "500-" (to the end), "-100" or "42"
+ */
+export function parseRange(value) {
+  const match = String(value).trim().match(/^(\d*)\s*(?:-\s*(\d*))?$/);
+  if (!match || (match[1] === '' && (match[2] === undefined || match[2] === ''))) {
+    throw new Error(`Invalid row range "${value}" (expected e.g. 500-600, 500-, -100 or 42)`);
+  }
+  const start = match[1] === '' ? 1 : Number(match[1]);
+  const end = match[2] === undefined ? start : (match[2] === '' ? Infinity : Number(match[2]));
+  if (start < 1 || end < start) {
+    throw new Error(`Invalid row range "${value}" (rows are numbered from 1 and the end must not be before the start)`);
+  }
+  return { start, end };
+}
+
+function unquote(value) {
+  const trimmed = value.trim();
+  const quoted = trimmed.match(/^(["'])(.*)\1$/);
+  return quoted ? quoted[2] : trimmed;
+}
+
+/**
+ * Parse a filter condition such as "Views > 100000", "Category == gaming",
+ * "Video contains balatro", "Video matches ^\[.*\]", "Game Name is empty"
+ */
+export function parseCondition(text) {
+  const trimmed = String(text).trim();
+  const word = trimmed.match(WORD_CONDITION);
+  const match = word || trimmed.match(SYMBOL_CONDITION);
+  if (!match) {
+    throw new Error(`Invalid filter "${text}" (expected "<column> <op> <value>", ops: > >= < <= == != contains, not contains, matches, is empty, is not empty)`);
+  }
+
+  const column = unquote(match[1]);
+  const op = match[2].toLowerCase() === '=' ? '==' : match[2].toLowerCase();
+  const value = match[3] !== undefined ? unquote(match[3]) : undefined;
+
+  if (op.startsWith('is ') && value !== undefined) {
+    throw new Error(`Invalid filter "${text}" ("${op}" takes no value)`);
+  }
+  if (!op.startsWith('is ') && value === undefined) {
+    throw new Error(`Invalid filter "${text}" ("${op}" needs a value)`);
+  }
+
+  const condition = { column, op, value, text: trimmed };
+  if (op === 'matches') {
+    try {
+      condition.pattern = new RegExp(value, 'i');
+    } catch (err) {
+      throw new Error(`Invalid filter "${text}": ${err.message}`);
+    }
+  }
+  return condition;
+}
+
+function asNumber(value) {
+  if (value === undefined || value === null) return NaN;
+  const text = String(value).trim().replace(/,/g, '');
+  return text === '' ? NaN : Number(text);
+}
+
+/**
+ * True when a row satisfies a parsed condition
+ * Comparisons are numeric when both sides are numbers, otherwise string comparisons
+ */
+export function matchesCondition(row, condition) {
+  const cell = row[condition.column] ?? '';
+  const isEmpty = String(cell).trim() === '';
+
+  switch (condition.op) {
+    case 'is empty': return isEmpty;
+    case 'is not empty': return !isEmpty;
+    case 'contains': return String(cell).toLowerCase().includes(condition.value.toLowerCase());
+    case 'not contains': return !String(cell).toLowerCase().includes(condition.value.toLowerCase());
+    case 'matches': return condition.pattern.test(String(cell));
+  }
+
+  const a = asNumber(cell);
+  const b = asNumber(condition.value);
+  const numeric = !Number.isNaN(a) && !Number.isNaN(b);
+  const left = numeric ? a : String(cell);
+  const right = numeric ? b : condition.value;
+
+  switch (condition.op) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+  }
+  return false;
+}
+
+/**
+ * Validate and normalize a row selection from the config or CLI
+ *
+ * rows:
+ *   range: 500-600          # 1-based, inclusive
+ *   where: Views > 100000   # or a list of conditions, all must match
+ *   onlyEmpty: true         # only rows where the column(s) being generated are empty
+ *   sample: 20              # random sample of whatever is left
+ *   seed: 42                # sample seed (default 42, so reruns pick the same rows)
+ *
+ * Returns null when nothing is selected out.
+ */
+export function normalizeSelection(raw, label = 'rows') {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object with range, where, onlyEmpty, sample or seed`);
+  }
+
+  const known = ['range', 'where', 'onlyEmpty', 'sample', 'seed'];
+  for (const key of Object.keys(raw)) {
+    if (!known.includes(key)) {
+      throw new Error(`${label}.${key} is not a row selection option (expected ${known.join(', ')})`);
+    }
+  }
+
+  const where = raw.where === undefined ? [] : (Array.isArray(raw.where) ? raw.where : [raw.where]);
+  const selection = {
+    range: raw.range !== undefined ? parseRange(raw.range) : null,
+    where: where.map(condition => parseCondition(condition)),
+    onlyEmpty: !!raw.onlyEmpty,
+    sample: raw.sample ?? null,
+    seed: raw.seed ?? DEFAULT_SAMPLE_SEED
+  };
+
+  if (selection.sample !== null && !(Number.isInteger(selection.sample) && selection.sample > 0)) {
+    throw new Error(`${label}.sample must be a positive integer`);
+  }
+  if (!Number.isInteger(selection.seed)) {
+    throw new Error(`${label}.seed must be an integer`);
+  }
+
+  const empty = !selection.range && selection.where.length === 0 && !selection.onlyEmpty && selection.sample === null;
+  return empty ? null : selection;
+}
+
+/**
+ * Column names a selection's conditions read
+ */
+export function selectionColumns(selection) {
+  return selection ? [...new Set(selection.where.map(condition => condition.column))] : [];
+}
+
+/**
+ * Short human-readable description of a selection
+ */
+export function describeSelection(selection) {
+  if (!selection) return 'all rows';
+  const parts = [];
+  if (selection.range) {
+    parts.push(`rows ${selection.range.start}-${selection.range.end === Infinity ? 'end' : selection.range.end}`);
+  }
+  parts.push(...selection.where.map(condition => `where ${condition.text}`));
+  if (selection.onlyEmpty) parts.push('only empty');
+  if (selection.sample !== null) parts.push(`sample ${selection.sample} (seed ${selection.seed})`);
+  return parts.join(', ');
+}
+
+/**
+ * 0-based row indices as 1-based ranges, e.g. [0, 1, 2, 6] -> "1-3, 7"
+ * (the --rows syntax). At most maxRanges ranges are listed.
+ */
+export function describeRowIndices(indices, maxRanges = 10) {
+  const ranges = [];
+  for (const index of [...indices].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && index === last.end + 1) {
+      last.end = index;
+    } else {
+      ranges.push({ start: index, end: index });
+    }
+  }
+  const described = ranges.slice(0, maxRanges).map(({ start, end }) => (start === end ? `${start + 1}` : `${start + 1}-${end + 1}`));
+  return ranges.length > maxRanges ? `${described.join(', ')}, … (${ranges.length - maxRanges} more ranges)` : described.join(', ');
+}
+
+/**
+ * True when a row passes a selection's range, where and onlyEmpty checks
+ * (sampling needs every row, see selectRows). rowIndex is 0-based.
+ */
+export function isRowSelected(row, rowIndex, selection, outputColumns = []) {
+  if (!selection) {
+    return true;
+  }
+  if (selection.range && (rowIndex + 1 < selection.range.start || rowIndex + 1 > selection.range.end)) {
+    return false;
+  }
+  if (!selection.where.every(condition => matchesCondition(row, condition))) {
+    return false;
+  }
+  if (selection.onlyEmpty && !outputColumns.some(col => String(row[col] ?? '').trim() === '')) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Indices of the rows a selection keeps, in input order
+ * Applied in order: range, where, onlyEmpty (against outputColumns), then sample.
+ * candidates narrows the starting set, so selections can be chained.
+ */
+export function selectRows(rows, selection, outputColumns = [], candidates = null) {
+  let indices = candidates ? [...candidates] : rows.map((_, i) => i);
+  if (!selection) {
+    return indices;
+  }
+
+  indices = indices.filter(i => isRowSelected(rows[i], i, selection, outputColumns));
+
+  if (selection.sample !== null && selection.sample < indices.length) {
+    // Partial Fisher-Yates shuffle, then back into input order
+    const random = seededRandom(selection.seed);
+    const pool = [...indices];
+    for (let i = 0; i < selection.sample; i++) {
+      const j = i + Math.floor(random() * (pool.length - i));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    indices = pool.slice(0, selection.sample).sort((a, b) => a - b);
+  }
+
+  return indices;
+}
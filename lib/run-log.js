@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_RUN_LOG_DIR = 'runs';
+
+/**
+ * Path of a new run log: <dir>/<start time>-<output file name>.jsonl
+ */
+export function newRunLogPath(dir, outputFileName, startedAt = new Date()) {
+  const stamp = startedAt.toISOString().replace(/\.\d+Z$/, '').replace(/:/g, '-');
+  const base = path.basename(outputFileName).replace(/\.[^.]+$/, '');
+  return path.join(dir, `${stamp}-${base}.jsonl`);
+}
+
+/**
+ * JSONL log of every API call in a run, one line per call
+ * Lines are appended as calls finish, so the log survives a crash.
+ */
+export function createRunLog(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, '');
+
+  return {
+    path: filePath,
+
+    write(entry) {
+      fs.appendFileSync(filePath, `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`);
+    }
+  };
+}
+
+/**
+ * Every entry of a run log
+ */
+export function readRunLog(filePath) {
+  const entries = [];
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, i) => {
+    if (line.trim() === '') return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      throw new Error(`${filePath} line ${i + 1}: ${err.message}`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Rows (0-based indices) a log entry was for; packed requests cover several
+ */
+function entryRows(entry) {
+  return entry.rowIndices || (entry.rowIndex !== undefined ? [entry.rowIndex] : []);
+}
+
+function emptyBucket() {
+  return { calls: 0, rows: new Set(), errors: 0, invalid: 0, cached: 0, promptTokens: 0, completionTokens: 0, cost: 0, latencies: [] };
+}
+
+function addToBucket(bucket, entry) {
+  bucket.calls++;
+  entryRows(entry).forEach(rowIndex => bucket.rows.add(rowIndex));
+  if (entry.outcome === 'error') bucket.errors++;
+  if (entry.outcome === 'invalid' || entry.outcome === 'partial') bucket.invalid++;
+  if (entry.cached) bucket.cached++;
+  bucket.promptTokens += entry.promptTokens || 0;
+  bucket.completionTokens += entry.completionTokens || 0;
+  bucket.cost += entry.cost || 0;
+  if (typeof entry.latencyMs === 'number' && !entry.cached) {
+    bucket.latencies.push(entry.latencyMs);
+  }
+}
+
+/**
+ * Totals, calls by column, model, error type and eval variant, and the costliest rows of a run log
+ * Buckets hold { calls, rows: Set, errors, invalid, cached, promptTokens, completionTokens,
+ * cost, latencies }; a packed request's cost is split evenly over its rows.
+ */
+export function summarizeRunLog(entries, topRows = 10) {
+  const totals = emptyBucket();
+  const byColumn = new Map();
+  const byModel = new Map();
+  const byError = new Map();
+  const byVariant = new Map();
+  const rowCosts = new Map(); // "column\0row" -> { column, rowIndex, cost, calls }
+
+  const bucket = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyBucket());
+    return map.get(key);
+  };
+
+  for (const entry of entries) {
+    addToBucket(totals, entry);
+    addToBucket(bucket(byColumn, entry.column), entry);
+    addToBucket(bucket(byModel, entry.model), entry);
+    if (entry.variant !== undefined) {
+      addToBucket(bucket(byVariant, entry.variant), entry);
+    }
+    if (entry.outcome !== 'ok') {
+      addToBucket(bucket(byError, entry.outcome === 'error' ? (entry.errorClass || 'error') : entry.outcome), entry);
+    }
+
+    const rows = entryRows(entry);
+    for (const rowIndex of rows) {
+      const key = `${entry.column}\0${rowIndex}`;
+      const rowCost = rowCosts.get(key) || { column: entry.column, rowIndex, cost: 0, calls: 0 };
+      rowCost.cost += (entry.cost || 0) / rows.length;
+      rowCost.calls++;
+      rowCosts.set(key, rowCost);
+    }
+  }
+
+  const costliestRows = [...rowCosts.values()]
+    .filter(row => row.cost > 0)
+    .sort((a, b) => b.cost - a.cost)
+    .slice(0, topRows);
+
+  return { totals, byColumn, byModel, byError, byVariant, costliestRows };
+}
+
+/**
+ * Latest accepted values of every row in a run log: Map "column\0row" -> { column, rowIndex, values }
+ */
+function finalValues(entries) {
+  const values = new Map();
+  for (const entry of entries) {
+    if (!entry.values || (entry.outcome !== 'ok' && entry.outcome !== 'partial')) continue;
+    const perRow = entry.rowIndices ? entry.values : { [entry.rowIndex]: entry.values };
+    for (const [rowIndex, rowValues] of Object.entries(perRow)) {
+      values.set(`${entry.column}\0${rowIndex}`, { column: entry.column, rowIndex: Number(rowIndex), values: rowValues });
+    }
+  }
+  return values;
+}
+
+/**
+ * Compare two run logs: per-column summaries side by side, and the rows whose
+ * accepted values differ
+ * Returns { columns: [{ column, before, after }], changed: [{ column, rowIndex, before, after }],
+ * same, onlyBefore, onlyAfter }
+ */
+export function diffRunLogs(beforeEntries, afterEntries) {
+  const before = summarizeRunLog(beforeEntries);
+  const after = summarizeRunLog(afterEntries);
+  const columnNames = [...new Set([...before.byColumn.keys(), ...after.byColumn.keys()])];
+
+  const beforeValues = finalValues(beforeEntries);
+  const afterValues = finalValues(afterEntries);
+  const changed = [];
+  let same = 0;
+  for (const [key, entry] of afterValues) {
+    if (!beforeValues.has(key)) continue;
+    const previous = beforeValues.get(key).values;
+    if (JSON.stringify(previous) === JSON.stringify(entry.values)) {
+      same++;
+    } else {
+      changed.push({ column: entry.column, rowIndex: entry.rowIndex, before: previous, after: entry.values });
+    }
+  }
+  changed.sort((a, b) => (a.column === b.column ? a.rowIndex - b.rowIndex : String(a.column).localeCompare(String(b.column))));
+
+  return {
+    columns: columnNames.map(column => ({ column, before: before.byColumn.get(column) || emptyBucket(), after: after.byColumn.get(column) || emptyBucket() })),
+    changed,
+    same,
+    onlyBefore: [...beforeValues.keys()].filter(key => !afterValues.has(key)).length,
+    onlyAfter: [...afterValues.keys()].filter(key => !beforeValues.has(key)).length
+  };
+}
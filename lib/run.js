@@ -0,0 +1,115 @@
+import { createRateLimiter } from './rate-limiter.js';
+import { selectionColumns } from './row-selection.js';
+import { ConfigError } from './errors.js';
+import { JSONL_FORMAT } from './progress.js';
+
+// Runs in progress, for stopRun()
+const activeRuns = new Set();
+
+/**
+ * Start a run: the state of one generateColumns/generateFile/dryRun/eval call, passed down to
+ * everything the run does so runs in one process never share any. Watches options.signal.
+ *
+ *   provider        - where requests are sent (set by setUpRun; null for a dry run)
+ *   responseCache   - on-disk response cache, or null when disabled
+ *   runLog          - JSONL log of every API call, or null when disabled
+ *   rateLimitConfig - the config's rateLimits section; rateLimiters holds one limiter per model,
+ *                     shared by the run's columns
+ *   progressFormat  - format progress files are written in: the output's, or JSONL for xlsx
+ *   inputColumns    - input file columns once read; {{@row}} renders these
+ *   budget          - spend against the config's budget section (null when there is none)
+ *   stopReason      - why the run is stopping early (its budget, stopRun() or the signal), or null;
+ *                     workers stop taking rows once set
+ *   inputHashes     - column key -> what each row's value was generated from, for the output's
+ *                     manifest (see trackInputs); null when the run writes none
+ *   failedRows      - column key -> indices of the rows it failed on, and retriedRows the rows it
+ *                     reran for retry-failed; the columns using it skip or rerun the same rows
+ *   log, hooks      - where progress messages go, and the onProgress/onRowComplete options
+ *   evalVariant     - variant being evaluated, recorded in the run log, and callLatencies the
+ *                     latencies of its API calls (null outside evals)
+ */
+export function beginRun(options) {
+  const run = {
+    provider: null,
+    responseCache: null,
+    runLog: null,
+    rateLimitConfig: {},
+    rateLimiters: new Map(),
+    progressFormat: JSONL_FORMAT,
+    inputColumns: null,
+    budget: null,
+    stopReason: null,
+    inputHashes: null,
+    failedRows: new Map(),
+    retriedRows: new Map(),
+    log: options.logger || console,
+    hooks: { onProgress: options.onProgress, onRowComplete: options.onRowComplete },
+    evalVariant: null,
+    callLatencies: null,
+    signal: options.signal || null,
+    onAbort: () => {
+      run.stopReason = run.stopReason || 'Aborted';
+    }
+  };
+  if (run.signal?.aborted) {
+    run.onAbort();
+  }
+  run.signal?.addEventListener('abort', run.onAbort, { once: true });
+  activeRuns.add(run);
+  return run;
+}
+
+/**
+ * Finish a run: stop watching its abort signal and forget it
+ */
+export function endRun(run) {
+  run.signal?.removeEventListener('abort', run.onAbort);
+  activeRuns.delete(run);
+}
+
+/**
+ * Stop every run in progress like a reached budget: requests in flight finish, progress is
+ * saved and each run returns what it has, with stopped set to reason. Does nothing when idle.
+ */
+export function stopRun(reason = 'Stopped') {
+  for (const run of activeRuns) {
+    run.stopReason = run.stopReason || reason;
+  }
+}
+
+/**
+ * Add a request's spend to a column's budget (may be null) and the run's, and stop the run
+ * if its budget is used up. Returns why the column has to stop, or null: a used-up column
+ * budget only stops that column.
+ */
+export function chargeBudgets(run, columnBudget, result) {
+  const tokens = result.promptTokens + result.completionTokens;
+  for (const budget of [columnBudget, run.budget]) {
+    budget?.add(result.cost, tokens);
+  }
+  run.stopReason = run.stopReason || run.budget?.exceeded() || null;
+  return columnBudget?.exceeded() || null;
+}
+
+/**
+ * Rate limiter for a model, using its rateLimits entry or the default one
+ */
+export function getRateLimiter(run, modelName) {
+  if (!run.rateLimiters.has(modelName)) {
+    run.rateLimiters.set(modelName, createRateLimiter(run.rateLimitConfig[modelName] || run.rateLimitConfig.default || {}));
+  }
+  return run.rateLimiters.get(modelName);
+}
+
+/**
+ * The run-level filter applies before any column is generated, so it can only read input columns
+ */
+export function checkRunFilter(runSelection, originalHeaders) {
+  const unknown = selectionColumns(runSelection).filter(name => !originalHeaders.includes(name));
+  if (unknown.length > 0) {
+    throw new ConfigError([{
+      path: 'rows.where',
+      message: `${unknown.map(name => `"${name}"`).join(', ')} ${unknown.length === 1 ? 'is not an input column' : 'are not input columns'}`
+    }]);
+  }
+}
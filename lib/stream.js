@@ -0,0 +1,310 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { isRowSelected } from './row-selection.js';
+import { createRowSerializer, streamRows } from './formats.js';
+import { createBudgetTracker } from './budget.js';
+import { ConfigError, GeneratorError, InputError } from './errors.js';
+import { buildColumnGraph, columnFingerprint, columnPath, columnStages, resolveColumnConfig, writtenColumns } from './columns.js';
+import { errorClass } from './api.js';
+import { runColumnGraph, stoppedDependency, upstreamError } from './process-column.js';
+import { markRowFailed, processRowWithRetries } from './process-row.js';
+import { progressMetaPath, progressPath } from './progress.js';
+import { chargeBudgets, checkRunFilter } from './run.js';
+
+/**
+ * Streaming mode: read rows lazily, run every column on each row, and append
+ * finished rows to the progress file in input order at each checkpoint.
+ * Memory stays bounded by concurrency and checkpointEvery rather than file size.
+ * With --resume, continues after the last checkpoint. On success the progress
+ * file becomes the output file; when a budget stops the run, it is copied there.
+ * Returns { columns: Map of column key -> stats, headers, rowsWritten }
+ */
+export async function processStream(run, config, { resume, force }, runSelection, { inputFormat, outputFormat }) {
+  const { log } = run;
+  const concurrency = config.concurrency || 10;
+  const checkpointEvery = config.checkpointEvery || 100;
+  const maxBuffered = concurrency * 4; // finished rows waiting on an earlier, slower row
+  const progressFilePath = progressPath(config.outputFileName);
+  const metaPath = progressMetaPath(progressFilePath);
+
+  // Sampling needs every row up front
+  const resolvedConfigs = new Map(config.columns.map(col => [resolveColumnConfig(col).key, resolveColumnConfig(col)]));
+  const sampled = [['rows', runSelection], ...config.columns.map((col, i) => [`${columnPath(col, i)}.rows`, resolveColumnConfig(col).selection])]
+    .filter(([, selection]) => selection && selection.sample !== null);
+  if (sampled.length > 0) {
+    throw new ConfigError(sampled.map(([path]) => ({ path: `${path}.sample`, message: 'is not supported in streaming mode' })));
+  }
+
+  log.log('\n[3/5] Opening input stream...');
+  if (!fs.existsSync(config.inputFileName)) {
+    throw new InputError(`Input file not found: ${config.inputFileName}`, 'INPUT_NOT_FOUND');
+  }
+  const rowIterator = streamRows(config.inputFileName, inputFormat)[Symbol.asyncIterator]();
+  const first = await rowIterator.next();
+  if (first.done) {
+    throw new InputError('Input file is empty', 'INPUT_EMPTY');
+  }
+
+  const originalHeaders = Object.keys(first.value);
+  run.inputColumns = originalHeaders;
+  log.log(`  ✓ Original columns (${originalHeaders.length}): ${originalHeaders.join(', ')}`);
+  checkRunFilter(runSelection, originalHeaders);
+
+  const graph = buildColumnGraph(config.columns, originalHeaders);
+  columnStages(graph).forEach((keys, stageIndex) => log.log(`  ✓ Stage ${stageIndex + 1}: ${keys.join(', ')}`));
+  for (const [key, resolved] of resolvedConfigs) {
+    if (resolved.rowsPerRequest > 1) {
+      log.warn(`  ⚠ "${key}": rowsPerRequest is not used in streaming mode; rows are sent one per request`);
+    }
+    if (resolved.budget?.stopOnProjection) {
+      log.warn(`  ⚠ "${key}": budget.stopOnProjection is not used in streaming mode; only the limits apply`);
+    }
+  }
+  if (run.budget?.limits.stopOnProjection) {
+    log.warn('  ⚠ budget.stopOnProjection is not used in streaming mode; only the limits apply');
+  }
+  const columnBudgets = new Map([...resolvedConfigs].map(([key, resolved]) => [key, resolved.budget ? createBudgetTracker(resolved.budget, `"${key}"`) : null]));
+
+  const newColumns = config.columns.flatMap(c => writtenColumns(resolveColumnConfig(c)));
+  const headers = [...originalHeaders, ...newColumns.filter(col => !originalHeaders.includes(col))];
+  const serializer = createRowSerializer(headers, outputFormat);
+  const fingerprints = Object.fromEntries([...resolvedConfigs.keys()].map((key, i) => [key, columnFingerprint(config.columns[i])]));
+
+  // Hash of the original cells of every written row, so resume can tell if the input changed
+  const inputHash = crypto.createHash('sha256');
+  const originalValues = (row) => JSON.stringify(originalHeaders.map(h => row[h]));
+
+  let rowsWritten = 0;
+  let bytesWritten = 0;
+  let skipRows = 0;
+  let expectedInputHash = null;
+
+  if (resume && fs.existsSync(metaPath) && fs.existsSync(progressFilePath)) {
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    if (!meta.streaming) {
+      throw new InputError('Progress file was not written in streaming mode; resume without streaming', 'PROGRESS_MISMATCH');
+    }
+    if (force.length > 0) {
+      throw new GeneratorError('force is not supported when resuming in streaming mode', 'OPTION_INVALID');
+    }
+    if (JSON.stringify(meta.columns) !== JSON.stringify(fingerprints)) {
+      throw new InputError('Column configs changed since the progress was saved; rerun without --resume to start over', 'PROGRESS_MISMATCH');
+    }
+    // Drop anything written after the last checkpoint (possibly a partial row)
+    fs.truncateSync(progressFilePath, meta.bytesWritten);
+    skipRows = meta.rowsWritten;
+    rowsWritten = meta.rowsWritten;
+    bytesWritten = meta.bytesWritten;
+    expectedInputHash = meta.inputHash;
+    log.log(`  ✓ Resuming after ${skipRows} row(s) already written to ${progressFilePath}`);
+  } else {
+    if (resume) {
+      log.log(`  ➜ No streaming progress found at ${progressFilePath}, starting fresh`);
+    }
+    const header = serializer.header();
+    fs.writeFileSync(progressFilePath, header);
+    bytesWritten = header.length;
+  }
+
+  const writeMeta = () => {
+    fs.writeFileSync(metaPath, JSON.stringify({
+      streaming: true,
+      inputFileName: config.inputFileName,
+      rowsWritten,
+      bytesWritten,
+      inputHash: inputHash.copy().digest('hex'),
+      columns: fingerprints
+    }, null, 2));
+  };
+  writeMeta();
+
+  const stats = new Map(graph.order.map(key => [key, {
+    rowsSelected: 0, rowsSkipped: 0, cost: 0, tokens: 0, promptTokens: 0, completionTokens: 0, cacheHits: 0, cacheMisses: 0, searchResults: 0, failed: 0,
+    rowsStopped: 0, stopped: null
+  }]));
+
+  // Columns stopped by their own budget (or using one that was), key -> reason; their later
+  // rows are marked failed so retry-failed can fill them in
+  const columnStops = new Map();
+  const stopColumn = (key, reason) => {
+    if (!columnStops.has(key)) {
+      columnStops.set(key, reason);
+      stats.get(key).stopped = reason;
+      log.warn(`\n  ⚠ "${key}" stopped: ${reason}; its remaining rows are left empty`);
+    }
+  };
+
+  // Run every column (in dependency order) on one row; a column using one that failed on the
+  // row is marked failed too
+  const processStreamRow = (row, rowIndex) => {
+    const failedKeys = new Set();
+    return runColumnGraph(graph, async (key, node) => {
+      const { outputColumns, selection, columnInfo, modelName, prompt, requestOptions, errorColumn } = resolvedConfigs.get(key);
+      const columnStats = stats.get(key);
+      if (!isRowSelected(row, rowIndex, runSelection, outputColumns) || !isRowSelected(row, rowIndex, selection, outputColumns)) {
+        columnStats.rowsSkipped++;
+        return;
+      }
+      const dependency = stoppedDependency(node.dependsOn, columnStops);
+      if (dependency) {
+        stopColumn(key, `"${dependency}" stopped on its budget`);
+      }
+      if (columnStops.has(key)) {
+        markRowFailed(row, { outputColumns, errorColumn }, { errorClass: 'budget', message: columnStops.get(key) });
+        columnStats.rowsStopped++;
+        return;
+      }
+      columnStats.rowsSelected++;
+      const failedDependency = [...node.dependsOn].find(dep => failedKeys.has(dep));
+      if (failedDependency) {
+        const error = upstreamError(failedDependency);
+        markRowFailed(row, { outputColumns, errorColumn }, error);
+        failedKeys.add(key);
+        columnStats.failed++;
+        run.hooks.onRowComplete?.({ column: key, rowIndex, row, error });
+        return;
+      }
+      const account = (result) => {
+        const exceeded = chargeBudgets(run, columnBudgets.get(key), result);
+        if (exceeded) {
+          stopColumn(key, exceeded);
+        }
+        columnStats.cost += result.cost;
+        columnStats.promptTokens += result.promptTokens;
+        columnStats.completionTokens += result.completionTokens;
+        columnStats.tokens += result.promptTokens + result.completionTokens;
+        columnStats.cacheHits += result.cacheHits;
+        columnStats.cacheMisses += result.cacheMisses;
+        columnStats.searchResults += result.searchResults;
+      };
+      let result;
+      try {
+        result = await processRowWithRetries(run, row, rowIndex, columnInfo, modelName, prompt, requestOptions);
+      } catch (error) {
+        markRowFailed(row, { outputColumns, errorColumn }, error);
+        failedKeys.add(key);
+        columnStats.failed++;
+        run.hooks.onRowComplete?.({ column: key, rowIndex, row, error });
+        if (error.spent) {
+          account(error.spent);
+        }
+        return;
+      }
+      run.hooks.onRowComplete?.({ column: key, rowIndex, row, error: null });
+      account(result);
+    }, config.maxParallelColumns);
+  };
+
+  const inFlight = new Set();
+  const finished = new Map(); // row index -> { row, original }, waiting for earlier rows
+  let nextToBuffer = skipRows;
+  let buffer = [];
+  let failure = null;
+  const startTime = Date.now();
+
+  // Move finished rows into the write buffer in input order; append it at each checkpoint
+  const flush = async (final = false) => {
+    while (finished.has(nextToBuffer)) {
+      buffer.push(finished.get(nextToBuffer));
+      finished.delete(nextToBuffer);
+      nextToBuffer++;
+    }
+    if (buffer.length === 0 || (!final && buffer.length < checkpointEvery)) {
+      return;
+    }
+
+    const chunk = serializer.rows(buffer.map(entry => entry.row));
+    await fs.promises.appendFile(progressFilePath, chunk);
+    for (const entry of buffer) {
+      inputHash.update(entry.original);
+    }
+    rowsWritten += buffer.length;
+    bytesWritten += chunk.length;
+    buffer = [];
+    writeMeta();
+
+    const totals = [...stats.values()].reduce((sum, c) => ({ cost: sum.cost + c.cost, tokens: sum.tokens + c.tokens, failed: sum.failed + c.failed }), { cost: 0, tokens: 0, failed: 0 });
+    const rate = (rowsWritten - skipRows) / Math.max((Date.now() - startTime) / 1000, 0.001);
+    log.log(`  ✓ Checkpoint: ${rowsWritten.toLocaleString()} rows written (${rate.toFixed(1)} rows/s) | Running total: ${totals.tokens.toLocaleString()} tokens | $${totals.cost.toFixed(8)}`);
+    run.hooks.onProgress?.({ column: null, processed: rowsWritten, failed: totals.failed, total: null, cost: totals.cost, tokens: totals.tokens });
+  };
+
+  log.log(`\n[4/5] Streaming rows (${concurrency} in flight, checkpoint every ${checkpointEvery} rows)...`);
+
+  let rowIndex = 0;
+  let next = first;
+  for (; !next.done && !failure && !run.stopReason; next = await rowIterator.next()) {
+    const row = next.value;
+    const index = rowIndex++;
+
+    // Rows written before the last checkpoint only feed the input check
+    if (index < skipRows) {
+      inputHash.update(originalValues(row));
+      if (index === skipRows - 1 && inputHash.copy().digest('hex') !== expectedInputHash) {
+        throw new InputError(`Input does not match the progress file in the first ${skipRows} rows; refusing to resume`, 'PROGRESS_MISMATCH');
+      }
+      continue;
+    }
+
+    // Bounded memory: wait while the pool is full or too many rows wait on a slow one
+    while (!failure && !run.stopReason && (inFlight.size >= concurrency || index - nextToBuffer >= maxBuffered)) {
+      if (inFlight.size > 0) {
+        await Promise.race(inFlight);
+      }
+      await flush();
+    }
+    if (failure || run.stopReason) break;
+
+    const original = originalValues(row);
+    const task = processStreamRow(row, index)
+      .then(() => { finished.set(index, { row, original }); })
+      .catch((error) => { failure = failure || error; })
+      .finally(() => inFlight.delete(task));
+    inFlight.add(task);
+  }
+
+  // Rows already in flight when the run stops still finish and are written;
+  // a stop after the last row stopped nothing
+  await Promise.all(inFlight);
+  if (run.stopReason && next.done) {
+    run.stopReason = null;
+  }
+  if (failure || run.stopReason) {
+    await rowIterator.return?.();
+  }
+  await flush(true);
+
+  if (rowIndex < skipRows) {
+    throw new InputError(`Input has ${rowIndex} rows but the progress file already has ${skipRows}; refusing to resume`, 'PROGRESS_MISMATCH');
+  }
+
+  for (const [key, columnStats] of stats) {
+    const cache = columnStats.cacheHits + columnStats.cacheMisses > 0 ? ` | Cache: ${columnStats.cacheHits} hit(s), ${columnStats.cacheMisses} miss(es)` : '';
+    const failed = (columnStats.failed > 0 ? `, ${columnStats.failed} failed` : '')
+      + (columnStats.rowsStopped > 0 ? `, ${columnStats.rowsStopped} left empty by its budget stop` : '');
+    const search = columnStats.searchResults > 0 ? ` | ${columnStats.searchResults} search result(s)` : '';
+    log.log(`  "${key}": ${columnStats.rowsSelected} row(s) processed${failed}, ${columnStats.rowsSkipped} skipped | ${columnStats.tokens.toLocaleString()} tokens | $${columnStats.cost.toFixed(8)}${cache}${search}`);
+  }
+
+  if (failure) {
+    log.error(`  ✗ Stopped after ${rowsWritten} row(s) were written to ${progressFilePath}; rerun with --resume to continue`);
+    throw failure;
+  }
+
+  // Stopped early: the rows so far become the output, and the progress file stays for --resume
+  if (run.stopReason) {
+    log.warn(`  ⚠ Stopped: ${run.stopReason}`);
+    log.log('\n[5/5] Writing partial output...');
+    fs.copyFileSync(progressFilePath, config.outputFileName);
+    log.log(`  ✓ Output written to: ${config.outputFileName} (partial, ${rowsWritten.toLocaleString()} rows, ${headers.length} columns)`);
+    log.log(`  ➜ Rows ${(rowsWritten + 1).toLocaleString()} onward are still pending; progress saved to ${progressFilePath}, rerun with --resume to continue`);
+    return { columns: stats, headers, rowsWritten };
+  }
+
+  log.log('\n[5/5] Finalizing output...');
+  fs.renameSync(progressFilePath, config.outputFileName);
+  fs.rmSync(metaPath, { force: true });
+  log.log(`  ✓ Output written to: ${config.outputFileName} (${rowsWritten.toLocaleString()} rows, ${headers.length} columns)`);
+
+  return { columns: stats, headers, rowsWritten };
+}
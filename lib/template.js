@@ -0,0 +1,229 @@
+import { cellText, fieldValue } from './formats.js';
+
+/**
+ * Prompt templates
+ *
+ *   {{Video}}                          a column (any name, e.g. {{Date (UTC)}}, {{Likes-Per-View}})
+ *   {{author.name}}                    a nested JSONL field
+ *   {{Video | truncate: 200 | lower}}  filters, applied left to right
+ *   {{Game Name | default: "unknown"}} fallback for a missing or empty value
+ *   {{#if Game Name}}...{{else}}...{{/if}}, {{#unless X}}...{{/unless}}
+ *                                      sections chosen by whether a value is non-empty
+ *   {{@row}}                           the row's input columns as JSON
+ *   {{@index}}, {{@rowNumber}}         0-based index and 1-based number of the row
+ *   \{{                                a literal {{
+ *
+ * Names containing "|" can be quoted: {{"A|B"}}. Rendering a column the row doesn't
+ * have is an error, unless it has a default.
+ */
+
+// Filters: (value, ...args) -> value; value is the raw field until a filter turns it into text
+const FILTERS = {
+  default: (value, fallback = '') => (cellText(value) === '' ? fallback : value),
+  truncate: (value, length, suffix = '…') => {
+    const text = cellText(value);
+    if (!Number.isInteger(length) || length < 0) {
+      throw new Error('truncate needs a length, e.g. truncate: 200');
+    }
+    return text.length > length ? text.slice(0, length) + suffix : text;
+  },
+  lower: (value) => cellText(value).toLowerCase(),
+  upper: (value) => cellText(value).toUpperCase(),
+  trim: (value) => cellText(value).trim(),
+  json: (value) => JSON.stringify(value ?? null)
+};
+
+export const TEMPLATE_FILTERS = Object.keys(FILTERS);
+
+const SPECIAL_VARIABLES = ['@row', '@index', '@rowNumber'];
+
+/**
+ * Error in a template, or a row it can't be rendered for
+ * (never worth retrying: the same prompt fails the same way)
+ */
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+    this.retryable = false;
+    this.errorClass = 'template';
+  }
+}
+
+/**
+ * Split "a, "b, c", 3" on commas outside quotes
+ */
+function splitArgs(text) {
+  return text.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^,]+/g)?.map(arg => arg.trim()).filter(Boolean) || [];
+}
+
+function parseArg(text) {
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  const quoted = text.match(/^(["'])(.*)\1$/s);
+  if (quoted) return quoted[2].replace(/\\(.)/g, '$1');
+  return text;
+}
+
+/**
+ * Parse "name | filter: arg, arg | filter" into { name, filters: [{ name, args }] }
+ */
+function parseExpression(text) {
+  const trimmed = text.trim();
+  const quotedName = trimmed.match(/^(["'])(.*?)\1\s*(\|.*)?$/s);
+  const name = quotedName ? quotedName[2] : trimmed.split('|')[0].trim();
+  const rest = quotedName ? (quotedName[3] || '') : trimmed.slice(trimmed.split('|')[0].length);
+
+  if (name === '') {
+    throw new TemplateError(`Empty placeholder {{${text}}}`);
+  }
+  if (name.startsWith('@') && !SPECIAL_VARIABLES.includes(name)) {
+    throw new TemplateError(`Unknown variable {{${name}}} (expected ${SPECIAL_VARIABLES.join(', ')})`);
+  }
+
+  const filters = rest.split('|').slice(1).map(part => {
+    const [, filterName, args = ''] = part.trim().match(/^(\w+)\s*(?::(.*))?$/s) || [];
+    if (!filterName || !FILTERS[filterName]) {
+      throw new TemplateError(`Unknown filter "${part.trim()}" in {{${text.trim()}}} (expected ${TEMPLATE_FILTERS.join(', ')})`);
+    }
+    return { name: filterName, args: splitArgs(args).map(parseArg) };
+  });
+
+  return { name, filters };
+}
+
+// Compiled templates by source, since the same prompts render for every row
+const compiled = new Map();
+
+/**
+ * Parse a template into a tree of text, value and section nodes
+ * Throws a TemplateError for unknown filters or variables and unbalanced sections.
+ */
+export function compileTemplate(source) {
+  if (compiled.has(source)) {
+    return compiled.get(source);
+  }
+
+  // Open sections, each with the node list new nodes currently go into
+  const nodes = [];
+  const stack = [{ section: null, target: nodes }];
+  const tagPattern = /\\\{\{|\{\{([\s\S]*?)\}\}/g;
+  let last = 0;
+
+  for (const match of source.matchAll(tagPattern)) {
+    const top = stack[stack.length - 1];
+    if (match.index > last) {
+      top.target.push({ text: source.slice(last, match.index) });
+    }
+    last = match.index + match[0].length;
+
+    if (match[0] === '\\{{') {
+      top.target.push({ text: '{{' });
+      continue;
+    }
+
+    const tag = match[1].trim();
+    const open = tag.match(/^#(if|unless)\s+([\s\S]+)$/);
+    if (open) {
+      const section = { section: open[1], expression: parseExpression(open[2]), children: [], inverse: [] };
+      top.target.push(section);
+      stack.push({ section, target: section.children });
+    } else if (tag === 'else') {
+      if (!top.section || top.target === top.section.inverse) {
+        throw new TemplateError('{{else}} outside of an {{#if}} or {{#unless}} section');
+      }
+      top.target = top.section.inverse;
+    } else if (/^\/(if|unless)$/.test(tag)) {
+      if (!top.section || `/${top.section.section}` !== tag) {
+        throw new TemplateError(`{{${tag}}} does not close an open section`);
+      }
+      stack.pop();
+    } else {
+      top.target.push({ expression: parseExpression(match[1]) });
+    }
+  }
+
+  if (last < source.length) {
+    stack[stack.length - 1].target.push({ text: source.slice(last) });
+  }
+  if (stack.length > 1) {
+    const { section } = stack[stack.length - 1];
+    throw new TemplateError(`{{#${section.section} ${section.expression.name}}} is never closed`);
+  }
+
+  const template = { source, nodes, references: collectReferences(nodes) };
+  compiled.set(source, template);
+  return template;
+}
+
+function collectReferences(nodes, into = new Set()) {
+  for (const node of nodes) {
+    if (node.expression && !node.expression.name.startsWith('@')) {
+      into.add(node.expression.name);
+    }
+    if (node.section) {
+      collectReferences(node.children, into);
+      collectReferences(node.inverse, into);
+    }
+  }
+  return into;
+}
+
+/**
+ * Column names a template reads (excluding @ variables)
+ */
+export function templateReferences(source) {
+  return [...compileTemplate(source).references];
+}
+
+function lookup(expression, row, context) {
+  switch (expression.name) {
+    case '@row': return Object.fromEntries((context.inputColumns || Object.keys(row)).map(name => [name, row[name]]));
+    case '@index': return context.rowIndex;
+    case '@rowNumber': return context.rowIndex + 1;
+  }
+  return fieldValue(row, expression.name);
+}
+
+function applyFilters(expression, value) {
+  return expression.filters.reduce((current, filter) => {
+    // A missing value stays missing (an error when rendered) unless a default fills it in first
+    if (current === undefined && filter.name !== 'default') {
+      return undefined;
+    }
+    try {
+      return FILTERS[filter.name](current, ...filter.args);
+    } catch (err) {
+      throw new TemplateError(`{{${expression.name}}} filter ${filter.name}: ${err.message}`);
+    }
+  }, value);
+}
+
+function renderNodes(nodes, row, context) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      output += node.text;
+    } else if (node.section) {
+      const value = applyFilters(node.expression, lookup(node.expression, row, context));
+      const present = cellText(value).trim() !== '';
+      const chosen = (node.section === 'if') === present ? node.children : node.inverse;
+      output += renderNodes(chosen, row, context);
+    } else {
+      const value = applyFilters(node.expression, lookup(node.expression, row, context));
+      if (value === undefined) {
+        const where = context.rowIndex !== undefined ? ` in row ${context.rowIndex + 1}` : '';
+        throw new TemplateError(`{{${node.expression.name}}} is not a column${where}; add "| default: ..." if it may be missing`);
+      }
+      output += cellText(value);
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template for a row
+ * context: { rowIndex, inputColumns } - inputColumns limits what {{@row}} includes
+ */
+export function renderTemplate(source, row, context = {}) {
+  return renderNodes(compileTemplate(source).nodes, row, context);
+}
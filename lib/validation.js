@@ -0,0 +1,173 @@
+// Value written when a model can't determine a column, unless unknownValue is configured
+export const DEFAULT_UNKNOWN_VALUE = '__undetectable__';
+
+// Settings a config's top-level defaults section may give every column and group
+export const VALIDATION_SETTINGS = ['unknownValue', 'unknownAliases'];
+
+const RULE_KEYS = ['allowed', 'aliases', 'pattern', 'min', 'max', 'maxLength', 'stripQuotes', 'stripPrefixes'];
+
+// Surrounding quote pairs removed by stripQuotes
+const QUOTE_PAIRS = [['"', '"'], ["'", "'"], ['“', '”'], ['‘', '’'], ['`', '`']];
+
+/**
+ * Lowercase letters and digits only, so "Gaming." and " gaming" compare equal
+ */
+function fuzzyKey(value) {
+  return String(value).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Validate and normalize a column's validate section
+ *
+ *   validate:
+ *     allowed: [gaming, vlog]        # fuzzy: "Gaming." is written as "gaming"
+ *     aliases: { video game: gaming } # extra spellings mapped to a value
+ *     pattern: "^[A-Z]"              # regex the value must match
+ *     min: 0                         # numeric range
+ *     max: 100
+ *     maxLength: 200                 # characters
+ *     stripQuotes: true              # remove quotes around the whole value
+ *     stripPrefixes: ["Answer:"]     # remove these leading labels (case-insensitive)
+ *
+ * Returns the rules, or null when there are none
+ */
+export function normalizeRules(raw, label) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${label}.validate must be an object (${RULE_KEYS.join(', ')})`);
+  }
+  for (const key of Object.keys(raw)) {
+    if (!RULE_KEYS.includes(key)) {
+      throw new Error(`${label}.validate.${key} is not a validation rule (expected ${RULE_KEYS.join(', ')})`);
+    }
+  }
+
+  if (raw.allowed !== undefined && (!Array.isArray(raw.allowed) || raw.allowed.length === 0)) {
+    throw new Error(`${label}.validate.allowed must be a non-empty list`);
+  }
+  if (raw.aliases !== undefined && (typeof raw.aliases !== 'object' || Array.isArray(raw.aliases))) {
+    throw new Error(`${label}.validate.aliases must map spellings to values`);
+  }
+  for (const key of ['min', 'max']) {
+    if (raw[key] !== undefined && typeof raw[key] !== 'number') {
+      throw new Error(`${label}.validate.${key} must be a number`);
+    }
+  }
+  if (raw.maxLength !== undefined && !(Number.isInteger(raw.maxLength) && raw.maxLength > 0)) {
+    throw new Error(`${label}.validate.maxLength must be a positive integer`);
+  }
+
+  let pattern = null;
+  if (raw.pattern !== undefined) {
+    try {
+      pattern = new RegExp(raw.pattern);
+    } catch (err) {
+      throw new Error(`${label}.validate.pattern: ${err.message}`);
+    }
+  }
+
+  const prefixes = raw.stripPrefixes === undefined ? [] : (Array.isArray(raw.stripPrefixes) ? raw.stripPrefixes : [raw.stripPrefixes]);
+
+  return {
+    allowed: raw.allowed ?? null,
+    aliases: new Map(Object.entries(raw.aliases || {}).map(([from, to]) => [fuzzyKey(from), to])),
+    pattern,
+    min: raw.min ?? null,
+    max: raw.max ?? null,
+    maxLength: raw.maxLength ?? null,
+    stripQuotes: !!raw.stripQuotes,
+    stripPrefixes: prefixes.map(String)
+  };
+}
+
+/**
+ * Normalize a column's unknown sentinel: unknownValue is written when a value can't be
+ * determined, and answers matching it or one of unknownAliases count as unknown
+ * Returns { value, aliases }
+ */
+export function normalizeUnknown(settings, label) {
+  const value = settings.unknownValue ?? DEFAULT_UNKNOWN_VALUE;
+  if (typeof value !== 'string') {
+    throw new Error(`${label}.unknownValue must be a string`);
+  }
+  const aliases = settings.unknownAliases ?? [];
+  if (!Array.isArray(aliases)) {
+    throw new Error(`${label}.unknownAliases must be a list`);
+  }
+  return { value, aliases: aliases.map(String) };
+}
+
+/**
+ * True when an answer means "unknown"
+ */
+export function isUnknownValue(value, unknown) {
+  if (typeof value !== 'string') return false;
+  const text = value.trim().toLowerCase();
+  return [unknown.value, DEFAULT_UNKNOWN_VALUE, ...unknown.aliases].some(sentinel => sentinel.trim().toLowerCase() === text);
+}
+
+function stripValue(text, rules) {
+  let stripped = text.trim();
+  for (const prefix of rules.stripPrefixes) {
+    if (stripped.toLowerCase().startsWith(prefix.toLowerCase())) {
+      stripped = stripped.slice(prefix.length).trim();
+    }
+  }
+  if (rules.stripQuotes) {
+    const pair = QUOTE_PAIRS.find(([open, close]) => stripped.length >= 2 && stripped.startsWith(open) && stripped.endsWith(close));
+    if (pair) {
+      stripped = stripped.slice(pair[0].length, -pair[1].length).trim();
+    }
+  }
+  return stripped;
+}
+
+/**
+ * Clean up and check one value against a column's rules
+ * Unknown answers become unknown.value and skip the checks.
+ * Returns { value } or { error }
+ */
+export function applyRules(value, rules, unknown, name) {
+  const isText = typeof value === 'string';
+  let result = isText && rules ? stripValue(value, rules) : value;
+
+  if (isUnknownValue(result, unknown)) {
+    return { value: unknown.value };
+  }
+  if (!rules) {
+    return { value: result };
+  }
+
+  const key = fuzzyKey(result);
+  if (rules.aliases.has(key)) {
+    result = rules.aliases.get(key);
+  }
+  if (rules.allowed) {
+    const match = rules.allowed.find(allowed => fuzzyKey(allowed) === fuzzyKey(result));
+    if (match === undefined) {
+      return { error: `"${name}" must be one of ${rules.allowed.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` };
+    }
+    result = match;
+  }
+
+  const text = String(result);
+  if (rules.pattern && !rules.pattern.test(text)) {
+    return { error: `"${name}" must match /${rules.pattern.source}/, got ${JSON.stringify(value)}` };
+  }
+  if (rules.min !== null || rules.max !== null) {
+    const number = typeof result === 'number' ? result : Number(text.replace(/,/g, ''));
+    if (text.trim() === '' || !Number.isFinite(number)) {
+      return { error: `"${name}" must be a number, got ${JSON.stringify(value)}` };
+    }
+    if ((rules.min !== null && number < rules.min) || (rules.max !== null && number > rules.max)) {
+      return { error: `"${name}" must be between ${rules.min ?? '-∞'} and ${rules.max ?? '∞'}, got ${JSON.stringify(value)}` };
+    }
+  }
+  if (rules.maxLength !== null && text.length > rules.maxLength) {
+    return { error: `"${name}" must be at most ${rules.maxLength} characters, got ${text.length}` };
+  }
+
+  return { value: result };
+}
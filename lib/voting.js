@@ -0,0 +1,53 @@
+import { cellText } from './formats.js';
+import { addUsage, errorClass, ZERO_USAGE } from './api.js';
+
+/**
+ * Ask every voting model for a row, then write the majority answer of each output column
+ * and the agreement score: the share of models behind the majority (the lowest across a
+ * group's columns; models that failed count against it). Answers are compared trimmed and
+ * case-insensitively; ties go to the model listed first. The row fails when fewer models
+ * than the quorum answered. Either way every model's spend is counted.
+ * askModel(model, ballot) fills a copy of the row from one model and returns its usage.
+ */
+export async function processRowWithVoting(run, row, rowIndex, columnInfo, voting, askModel) {
+  const { models, agreementColumn, quorum } = voting;
+  const outputColumns = typeof columnInfo === 'string' ? [columnInfo] : columnInfo.columns;
+
+  const settled = await Promise.allSettled(models.map(async (model) => {
+    const ballot = { ...row };
+    const result = await askModel(model, ballot);
+    return { ballot, result };
+  }));
+  const ballots = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+  const failures = settled.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason);
+  const spent = [...ballots.map(b => b.result), ...failures.map(error => error.spent).filter(Boolean)].reduce(addUsage, ZERO_USAGE);
+
+  if (ballots.length < quorum) {
+    const error = failures[0];
+    throw Object.assign(new Error(`Row ${rowIndex + 1}: only ${ballots.length} of ${models.length} voting models answered (quorum ${quorum}) - ${error.message}`), {
+      errorClass: errorClass(error),
+      detail: `${ballots.length}/${models.length} models answered (quorum ${quorum}): ${error.detail || error.message}`,
+      spent
+    });
+  }
+  if (failures.length > 0) {
+    run.log.warn(`    ⚠ Row ${rowIndex + 1}: ${failures.length} of ${models.length} voting model(s) failed; voting among the other ${ballots.length}`);
+  }
+
+  let agreement = 1;
+  for (const col of outputColumns) {
+    const tally = new Map(); // normalized answer -> { value, votes }, in model order
+    for (const { ballot } of ballots) {
+      const answer = cellText(ballot[col]).trim().toLowerCase();
+      const entry = tally.get(answer) || { value: ballot[col], votes: 0 };
+      entry.votes++;
+      tally.set(answer, entry);
+    }
+    const majority = [...tally.values()].reduce((best, entry) => (entry.votes > best.votes ? entry : best));
+    row[col] = majority.value;
+    agreement = Math.min(agreement, majority.votes / models.length);
+  }
+  row[agreementColumn] = agreement.toFixed(2);
+
+  return { ...spent, success: true, rowIndex };
+}
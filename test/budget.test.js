@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readRows, resolveFormat } from '../lib/formats.js';
+import { generateColumns, generateFile } from '../lib/generator.js';
+import { fileConfig, recordingProvider, tempDir, testOptions, videoRows } from './helpers.js';
+
+// Every mock answer costs $0.001 (see completion in helpers.js)
+const paidProvider = () => recordingProvider({}, () => 'answer');
+const column = (columnName, settings = {}) => ({ columnName, modelName: 'test/model', prompt: `${columnName} of {{Video}}`, concurrency: 1, ...settings });
+
+test('a column budget stops only that column and the columns using it', async () => {
+  const provider = paidProvider();
+  const config = {
+    columns: [
+      column('Summary', { budget: { maxCost: 0.002 } }),
+      column('Title', { prompt: 'Title for {{Summary}}' }),
+      column('Category')
+    ]
+  };
+  const result = await generateColumns(videoRows(5), config, testOptions(provider));
+
+  assert.deepEqual(result.rows.map(row => row.Summary), ['answer', 'answer', '', '', '']);
+  assert.ok(result.rows.every(row => row.Category === 'answer'), 'other columns run to the end');
+  assert.equal(result.columns.get('Title'), null, 'a column using the stopped one is not started');
+  assert.match(result.columns.get('Summary').stopped, /"Summary" spent \$0\.0020, reaching its maxCost of \$0\.002/);
+  assert.equal(result.columns.get('Category').stopped, null);
+  assert.match(result.stopped, /"Summary" spent/);
+  assert.deepEqual(result.pendingRows.get('Summary'), [2, 3, 4]);
+  assert.deepEqual(result.pendingRows.get('Category'), []);
+});
+
+test('the run budget still stops every column', async () => {
+  const config = { budget: { maxCost: 0.002 }, maxParallelColumns: 1, columns: [column('Summary'), column('Category')] };
+  const result = await generateColumns(videoRows(3), config, testOptions(paidProvider()));
+
+  assert.match(result.stopped, /The run spent/);
+  assert.deepEqual(result.rows.map(row => row.Summary), ['answer', 'answer', '']);
+  assert.ok(result.rows.every(row => row.Category === undefined || row.Category === ''));
+});
+
+test('a column budget in streaming mode leaves that column\'s later rows marked failed', async () => {
+  const tmp = tempDir();
+  try {
+    const columns = [column('Summary', { budget: { maxCost: 0.002 }, errorColumn: true }), column('Category')];
+    const config = fileConfig(tmp, columns, { inputRows: videoRows(4), concurrency: 1 });
+    const options = testOptions(paidProvider(), { stream: true });
+    const result = await generateFile(config, options);
+
+    assert.equal(result.stopped, null);
+    const stats = result.columns.get('Summary');
+    assert.equal(stats.rowsStopped, 2);
+    assert.match(stats.stopped, /reaching its maxCost/);
+    assert.equal(result.columns.get('Category').rowsSelected, 4);
+    const { rows } = await readRows(config.outputFileName, resolveFormat(config.outputFileName));
+    assert.deepEqual(rows.map(row => row.Summary), ['answer', 'answer', '', '']);
+    assert.match(rows[3].Summary__error, /^budget: "Summary" spent \$0\.0020/);
+    assert.ok(rows.every(row => row.Category === 'answer'));
+  } finally {
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateColumns } from '../lib/generator.js';
+import { validateConfig } from '../lib/config.js';
+import { parseDuration } from '../lib/cache.js';
+import { recordingProvider, tempDir, testOptions, videoRows } from './helpers.js';
+
+const category = (settings = {}) => ({ columnName: 'Category', modelName: 'test/model', prompt: 'Category of {{Video}}', concurrency: 1, ...settings });
+
+// Runs with the response cache on, in a temporary directory
+const cachedRun = (dir, columns, provider) => generateColumns(videoRows(2), { cache: { dir }, columns }, testOptions(provider, { cache: undefined }));
+
+test('answers a rerun from the cache at no cost', async () => {
+  const tmp = tempDir();
+  try {
+    const first = await cachedRun(tmp.dir, [category()], recordingProvider());
+    const provider = recordingProvider();
+    const second = await cachedRun(tmp.dir, [category()], provider);
+
+    assert.equal(provider.requests.length, 0);
+    assert.deepEqual(second.rows, first.rows);
+    const stats = second.columns.get('Category');
+    assert.deepEqual([stats.cacheHits, stats.cacheMisses, stats.cost], [2, 0, 0]);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('reads a cached response without content as an empty answer', async () => {
+  const tmp = tempDir();
+  try {
+    await cachedRun(tmp.dir, [category()], recordingProvider({}, () => null));
+    const provider = recordingProvider();
+    const result = await cachedRun(tmp.dir, [category()], provider);
+
+    assert.equal(provider.requests.length, 0);
+    assert.deepEqual(result.rows.map(row => row.Category), ['', '']);
+    assert.equal(result.columns.get('Category').failed, 0);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('keeps the answers of mock providers with different rules apart', async () => {
+  const tmp = tempDir();
+  try {
+    await cachedRun(tmp.dir, [category()], recordingProvider({ responses: [{ content: 'gaming' }] }));
+    const provider = recordingProvider({ responses: [{ content: 'vlog' }] });
+    const second = await cachedRun(tmp.dir, [category()], provider);
+
+    assert.equal(provider.requests.length, 2, 'the same number of rules is not the same provider');
+    assert.deepEqual(second.rows.map(row => row.Category), ['vlog', 'vlog']);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('does not cache responses that failed validation', async () => {
+  const tmp = tempDir();
+  try {
+    const column = category({ validate: { allowed: ['gaming', 'vlog'] } });
+    const first = await cachedRun(tmp.dir, [column], recordingProvider({}, (body, n) => (n % 2 === 1 ? 'cooking' : 'gaming')));
+    assert.deepEqual(first.rows.map(row => row.Category), ['gaming', 'gaming']);
+
+    // The invalid first answers were not stored, so the rerun asks again
+    const provider = recordingProvider({}, () => 'vlog');
+    const second = await cachedRun(tmp.dir, [column], provider);
+    assert.equal(provider.requests.length, 2);
+    assert.deepEqual(second.rows.map(row => row.Category), ['vlog', 'vlog']);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('rejects column cache settings that are not true, false or { ttl }', () => {
+  for (const cache of ['yes', 1, null, ['1d']]) {
+    const { issues } = validateConfig({ columns: [category({ cache })] }, { requireFiles: false });
+    assert.deepEqual(issues, [{ path: 'columns[0].cache', message: 'must be true, false or an object (ttl)' }], JSON.stringify(cache));
+  }
+  const { issues } = validateConfig({ columns: [category({ cache: { ttl: '1d', dir: 'x' } })] }, { requireFiles: false });
+  assert.deepEqual(issues.map(issue => issue.path), ['columns[0].cache.dir']);
+  assert.deepEqual(validateConfig({ columns: [category({ cache: { ttl: '1d' } })] }, { requireFiles: false }).issues, []);
+});
+
+test('parses cache durations', () => {
+  assert.equal(parseDuration(90), 90000);
+  assert.equal(parseDuration('30m'), 30 * 60000);
+  assert.equal(parseDuration('7d'), 7 * 24 * 3600000);
+  assert.equal(parseDuration(null), null);
+  assert.throws(() => parseDuration('soon'), /Invalid duration/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileConfig, readCsv, runCli, tempDir, writeConfig } from './helpers.js';
+
+const celeste = { url: 'https://celestegame.com', title: 'Celeste', content: 'A climbing game' };
+const wiki = { url: 'https://en.wikipedia.org/wiki/Celeste_(video_game)', title: 'Celeste (video game)', content: '2018 platformer' };
+
+test('writes de-duplicated sources to companion columns', async () => {
+  const tmp = tempDir();
+  try {
+    const provider = {
+      type: 'mock',
+      responses: [
+        { match: '^Release of Celeste \\(https://celestegame\\.com\\nhttps://en\\.wikipedia\\.org/', content: '2018' },
+        { match: 'Video 1', content: 'Celeste', citations: [celeste, wiki, celeste] },
+        { content: 'unknown game' }
+      ]
+    };
+    const config = fileConfig(tmp, [
+      { columnName: 'Game Name', modelName: 'test/model:online', prompt: 'Game in {{Video}}?', citations: true },
+      {
+        columnName: 'Release Date',
+        modelName: 'test/model:online',
+        prompt: 'Release of {{Game Name}} ({{Game Name Sources}})',
+        citations: { urls: 'Release Sources', titles: false, snippets: true, separator: ' | ' }
+      }
+    ], { inputRows: [{ Video: 'Video 1' }, { Video: 'Video 2' }], provider });
+    const { code, stdout } = await runCli([writeConfig(tmp, config)], { cwd: tmp.dir });
+
+    assert.equal(code, 0);
+    const [first, second] = await readCsv(tmp.file('out.csv'));
+    assert.equal(first['Game Name Sources'], `${celeste.url}\n${wiki.url}`);
+    assert.equal(first['Game Name Source Titles'], 'Celeste\nCeleste (video game)');
+    assert.equal(second['Game Name Sources'], '', 'rows without sources get empty cells');
+    assert.equal(first['Release Date'], '2018', 'other columns can reference citation columns');
+    assert.equal(first['Release Sources'], '');
+    assert.equal(first['Release Date Source Snippets'], '');
+    assert.equal(first['Release Date Source Titles'], undefined);
+    assert.match(stdout, /Search results: 2 \(1\.0\/row\)/);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('rejects citations with voting or packed rows', async () => {
+  const tmp = tempDir();
+  try {
+    const rejected = async (settings) => {
+      const column = { columnName: 'Game Name', modelName: 'test/model', prompt: '{{Video}}', citations: true, ...settings };
+      const { code, stderr } = await runCli([writeConfig(tmp, fileConfig(tmp, [column], { provider: { type: 'mock' } }))], { cwd: tmp.dir });
+      assert.equal(code, 1);
+      return stderr;
+    };
+
+    assert.match(await rejected({ rowsPerRequest: 5 }), /can't use both citations and rowsPerRequest/);
+    assert.match(await rejected({ modelName: undefined, voting: { models: ['test/a', 'test/b'] } }), /can't use both citations and voting/);
+  } finally {
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildColumnGraph, columnFingerprint, columnStages } from '../lib/columns.js';
+import { columnSignature, describeConfigChange } from '../lib/manifest.js';
+import { ConfigError } from '../lib/errors.js';
+import { generateColumns } from '../lib/generator.js';
+import { recordingProvider, summaryColumn, testOptions, videoRows } from './helpers.js';
+
+const column = { columnName: 'Category', modelName: 'test/model', prompt: 'Category of {{Video}}' };
+const group = { group: { groupName: 'Metadata', modelName: 'test/model', prompt: 'Describe {{Video}}', columns: ['Game', 'Views'] } };
+
+test('every setting that affects generated values changes the fingerprint', () => {
+  const changes = {
+    modelName: 'test/other',
+    prompt: 'Genre of {{Video}}',
+    systemPrompt: 'You label videos.',
+    temperature: 0,
+    rowsPerRequest: 5,
+    fallbackModels: ['test/fallback'],
+    voting: { models: ['test/a', 'test/b'] },
+    citations: true,
+    validate: { maxLength: 20 },
+    maxReasks: 0,
+    unknownValue: 'n/a',
+    modelPlugins: [{ id: 'web' }]
+  };
+  const base = columnFingerprint(column);
+  for (const [name, value] of Object.entries(changes)) {
+    assert.notEqual(columnFingerprint({ ...column, [name]: value }), base, `${name} changes the fingerprint`);
+  }
+
+  const withFallback = { ...column, fallbackModels: ['test/fallback'] };
+  assert.notEqual(columnFingerprint({ ...withFallback, fallbackOn: ['timeout'] }), columnFingerprint(withFallback), 'fallbackOn');
+});
+
+test('structured output and group column schemas change a group\'s fingerprint', () => {
+  const base = columnFingerprint(group);
+  assert.notEqual(columnFingerprint({ group: { ...group.group, structuredOutput: false } }), base);
+  assert.notEqual(columnFingerprint({ group: { ...group.group, columns: ['Game', { name: 'Views', type: 'integer' }] } }), base);
+});
+
+test('settings that don\'t affect values leave the fingerprint alone', () => {
+  const base = columnFingerprint(column);
+  for (const [name, value] of Object.entries({ concurrency: 50, checkpointEvery: 5, rowsPerRequest: 1, errorColumn: true, cache: false, budget: { maxCost: 1 } })) {
+    assert.equal(columnFingerprint({ ...column, [name]: value }), base, `${name} leaves the fingerprint alone`);
+  }
+});
+
+test('the manifest marks a column stale when only its packing changed', () => {
+  const previous = columnSignature(column);
+  assert.equal(describeConfigChange(previous, columnSignature(column)), null);
+  assert.equal(describeConfigChange(previous, columnSignature({ ...column, rowsPerRequest: 10 })), 'settings changed');
+  assert.equal(describeConfigChange(previous, columnSignature({ ...column, modelName: 'test/other' })), 'model changed (test/model → test/other)');
+});
+
+test('columns run after the columns their prompts reference', () => {
+  const summary = summaryColumn({ prompt: 'Summarize {{Video}} ({{Category}})' });
+  const graph = buildColumnGraph([summary, column], ['Video']);
+  assert.deepEqual(graph.order, ['Category', 'Summary']);
+  assert.deepEqual(columnStages(graph), [['Category'], ['Summary']]);
+  assert.throws(() => buildColumnGraph([{ ...column, prompt: '{{Missing}}' }], ['Video']), /neither an input column nor a generated column/);
+});
+
+test('columns also run after the columns named in dependsOn, and cycles are rejected', () => {
+  const graph = buildColumnGraph([{ ...column, dependsOn: ['Summary'] }, summaryColumn()], ['Video']);
+  assert.deepEqual(graph.order, ['Summary', 'Category']);
+
+  const cyclic = [summaryColumn({ prompt: 'Summarize {{Category}}' }), { ...column, prompt: 'Category of {{Summary}}' }];
+  assert.throws(() => buildColumnGraph(cyclic, ['Video']), error => error instanceof ConfigError
+    && error.issues[0].path === 'columns[0]' && error.issues[0].message === 'dependency cycle "Summary" -> "Category" -> "Summary"');
+  assert.throws(() => buildColumnGraph([{ ...column, dependsOn: 'Metadata' }], ['Video']), /columns\[0\]\.dependsOn: "Metadata" does not match any generated column or group/);
+});
+
+test('a run with an unknown reference fails before any request', async () => {
+  const provider = recordingProvider();
+  const config = { columns: [column, summaryColumn({ prompt: 'Summarize {{Vidoe}} as {{Category}}' })] };
+
+  await assert.rejects(generateColumns(videoRows(2), config, testOptions(provider)), error => error instanceof ConfigError
+    && error.issues[0].path === 'columns[1].prompt' && /\{\{Vidoe\}\} is neither an input column nor a generated column/.test(error.issues[0].message));
+  assert.equal(provider.requests.length, 0);
+});
+
+test('maxParallelColumns limits how many independent columns run at once', async () => {
+  for (const maxParallelColumns of [1, 2]) {
+    let running = 0;
+    let mostRunning = 0;
+    const provider = recordingProvider({}, async () => {
+      mostRunning = Math.max(mostRunning, ++running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return 'answer';
+    });
+    const columns = ['Category', 'Language', 'Mood'].map(columnName => ({ ...column, columnName, concurrency: 1 }));
+    const result = await generateColumns(videoRows(2), { maxParallelColumns, columns }, testOptions(provider));
+
+    assert.equal(mostRunning, maxParallelColumns);
+    assert.ok(result.rows.every(row => row.Mood === 'answer'));
+  }
+});
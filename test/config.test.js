@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyOverrides, interpolateEnv, validateConfig } from '../lib/config.js';
+import { fileConfig, runCli, summaryColumn, tempDir, writeConfig } from './helpers.js';
+
+test('fills in environment variables, with defaults and the $${ escape', () => {
+  const issues = [];
+  const config = interpolateEnv({
+    provider: { baseUrl: '${BASE_URL}/v1' },
+    budget: { maxCost: '${MAX_COST}' },
+    columns: [{ modelName: '${MODEL:-openai/gpt-4o-mini}', prompt: 'Literal $${Video} and {{Video}}' }]
+  }, { BASE_URL: 'http://localhost:8000', MAX_COST: '2.5' }, issues);
+
+  assert.deepEqual(config, {
+    provider: { baseUrl: 'http://localhost:8000/v1' },
+    budget: { maxCost: 2.5 },
+    columns: [{ modelName: 'openai/gpt-4o-mini', prompt: 'Literal ${Video} and {{Video}}' }]
+  });
+  assert.deepEqual(issues, []);
+});
+
+test('reports unset environment variables by where they are used', () => {
+  const issues = [];
+  const config = interpolateEnv({ columns: [{ modelName: '${MODEL}' }], note: '${EMPTY:-fallback}' }, { EMPTY: '' }, issues);
+
+  assert.equal(config.columns[0].modelName, '${MODEL}');
+  assert.equal(config.note, 'fallback', 'an empty variable takes the default');
+  assert.deepEqual(issues, [{ path: 'columns[0].modelName', message: 'environment variable MODEL is not set (use ${MODEL:-default} for a default)' }]);
+});
+
+test('applies --set overrides by dotted path, list index and column name', () => {
+  const config = { columns: [{ columnName: 'Summary' }, { group: { groupName: 'Metadata' } }] };
+  const issues = [];
+  applyOverrides(config, ['budget.maxCost=5', 'columns[0].modelName=openai/gpt-4o', 'columns[Metadata].temperature=0', 'columns[Summary].stop=[END, STOP]'], issues);
+
+  assert.deepEqual(issues, []);
+  assert.deepEqual(config, {
+    budget: { maxCost: 5 },
+    columns: [{ columnName: 'Summary', modelName: 'openai/gpt-4o', stop: ['END', 'STOP'] }, { group: { groupName: 'Metadata', temperature: 0 } }]
+  });
+});
+
+test('reports --set overrides that don\'t apply', () => {
+  const issues = [];
+  applyOverrides({ columns: [{ columnName: 'Summary' }] }, ['budget', 'columns[Title].modelName=x', 'columns[3].modelName=x', 'columns[Summary]=x'], issues);
+
+  assert.deepEqual(issues.map(issue => [issue.path, issue.message]), [
+    ['--set budget', 'expected <setting>=<value>, e.g. budget.maxCost=5 or columns[Summary].modelName=openai/gpt-4o'],
+    ['--set columns[Title].modelName=x', 'no column or group named "Title"'],
+    ['--set columns[3].modelName=x', '[3] is past the end of the list (1 items)'],
+    ['--set columns[Summary]=x', '[Summary] needs a setting after it, e.g. [Summary].modelName']
+  ]);
+});
+
+test('reports every problem at its path in the config', () => {
+  const { config, issues } = validateConfig({
+    inputFileName: 'in.csv',
+    budget: { maxCost: 'lots' },
+    columns: [
+      summaryColumn({ temperature: 5 }),
+      { group: { groupName: 'Metadata', modelName: 'test/model', prompt: 'Describe {{Video}}', columns: [{ name: 'Views', type: 'date' }] } },
+      { columnName: 'Title', prompt: 'Title for {{Summary}}' }
+    ]
+  });
+
+  assert.equal(config.columns.length, 3);
+  assert.deepEqual(issues, [
+    { path: 'outputFileName', message: 'is required' },
+    { path: 'budget.maxCost', message: 'must be a positive number' },
+    { path: 'columns[0].temperature', message: 'must be a number from 0 to 2' },
+    { path: 'columns[1].group.columns[0].type', message: '"date" is not a column type (expected string, number, integer, boolean)' },
+    { path: 'columns[2]', message: 'needs modelName (or voting)' }
+  ]);
+});
+
+test('validate exits with 0 for a valid config and 1 for an invalid one', async () => {
+  const tmp = tempDir();
+  try {
+    const valid = fileConfig(tmp, [summaryColumn()], { provider: { type: 'mock' } });
+    const ok = await runCli(['validate', writeConfig(tmp, valid)], { cwd: tmp.dir });
+    assert.equal(ok.code, 0);
+    assert.match(ok.stdout, /Column references match the 1 input column\(s\)/);
+    assert.match(ok.stdout, /Configuration is valid/);
+
+    const invalid = await runCli(['validate', writeConfig(tmp, valid), '--set', 'columns[Summary].prompt=Summarize {{Vidoe}}'], { cwd: tmp.dir });
+    assert.equal(invalid.code, 1);
+    assert.match(invalid.stderr, /columns\[0\]\.prompt: \{\{Vidoe\}\} is neither an input column nor a generated column/);
+    assert.match(invalid.stderr, /1 problem\(s\) found/);
+  } finally {
+    tmp.cleanup();
+  }
+});
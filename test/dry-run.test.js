@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { estimateTokens } from '../lib/pricing.js';
+import { fakeApi, fileConfig, runCli, tempDir, writeConfig } from './helpers.js';
+
+// $1000/M prompt and $2000/M completion tokens for test/model; other models are unpriced
+const PRICING = { fetchedAt: '2026-01-01T00:00:00.000Z', data: [{ id: 'test/model', pricing: { prompt: '0.001', completion: '0.002' } }] };
+
+const rows = [
+  { Video: 'Celeste', Notes: 'platformer' },
+  { Video: 'Hades', Notes: '' },
+  { Video: 'Tunic', Notes: 'fox' }
+];
+
+/**
+ * Dry run of columns over the rows above, against the pricing above
+ */
+async function projected(columns) {
+  const tmp = tempDir();
+  const api = await fakeApi();
+  try {
+    fs.writeFileSync(tmp.file('models.json'), JSON.stringify(PRICING));
+    const config = fileConfig(tmp, columns, { inputRows: rows, provider: api.provider, modelsCacheFile: tmp.file('models.json') });
+    const { code, stdout, stderr } = await runCli([writeConfig(tmp, config), '--dry-run'], { cwd: tmp.dir });
+    assert.equal(code, 0);
+    assert.equal(api.requests.length, 0, 'a dry run makes no requests');
+    assert.equal(fs.existsSync(tmp.file('out.csv')), false);
+    return `${stdout}${stderr}`;
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+}
+
+test('projects tokens and cost per column from the rendered prompts', async () => {
+  const output = await projected([{ columnName: 'Summary', modelName: 'test/model', prompt: 'Summarize {{Video}} ({{Notes}})' }]);
+
+  const promptTokens = rows.reduce((sum, row) => sum + estimateTokens(`Summarize ${row.Video} (${row.Notes})`), 0);
+  const cost = (promptTokens * 0.001 + 150 * 0.002).toFixed(4);
+  assert.match(output, /Row 1 prompt:\n\s+│ Summarize Celeste \(platformer\)/);
+  assert.match(output, /\{\{Notes\}\} is empty in 1\/3 rows/);
+  assert.match(output, /Requests:\s+3\n/);
+  assert.match(output, new RegExp(`Est. prompt:\\s+${promptTokens} tokens`));
+  assert.match(output, /Est. completion:\s+150 tokens \(~50\/row\)/);
+  assert.match(output, new RegExp(`Est. cost:\\s+\\$${cost}\\n`));
+  assert.match(output, new RegExp(`Projected cost: \\$${cost}\\n`));
+});
+
+test('leaves unpriced models out of the cost', async () => {
+  const output = await projected([
+    { columnName: 'Summary', modelName: 'test/model', prompt: 'Summarize {{Video}}' },
+    { columnName: 'Title', modelName: 'other/model', prompt: 'Title for {{Summary}}' }
+  ]);
+
+  assert.match(output, /Stage 1: Summary\n.*Stage 2: Title/);
+  assert.match(output, /No pricing found for model other\/model/);
+  assert.match(output, /\{\{Summary\}\} is filled from a generated column at run time \(~50 tokens assumed\)/);
+  assert.match(output, /Projected cost: \$\d+\.\d{4} \(excluding other\/model\)/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateColumn } from '../lib/generator.js';
+import { recordingProvider, tempDir, testOptions } from './helpers.js';
+
+const labelled = [
+  { Video: 'Speedrun', Gold: 'gaming' },
+  { Video: 'Day in my life', Gold: 'vlog' },
+  { Video: 'Unlabelled', Gold: '' }
+];
+
+const evalConfig = (dir, evalSettings = {}) => ({
+  cache: { dir },
+  columns: [{ columnName: 'Category', modelName: 'test/model', prompt: 'Category of {{Video}}' }],
+  eval: {
+    column: 'Category',
+    labelColumn: 'Gold',
+    variants: [{ name: 'current' }, { name: 'other model', modelName: 'test/other' }],
+    ...evalSettings
+  }
+});
+
+// Answers "gaming" for every row, so each variant gets one of the two labelled rows right
+const gamingProvider = () => recordingProvider({}, () => 'gaming');
+
+test('scores every variant against the labelled rows', async () => {
+  const tmp = tempDir();
+  try {
+    const provider = gamingProvider();
+    const result = await evaluateColumn(labelled, evalConfig(tmp.dir), testOptions(provider, { cache: undefined }));
+
+    assert.equal(result.rows, 2, 'the unlabelled row is skipped');
+    assert.equal(provider.requests.length, 4);
+    assert.deepEqual(result.variants.map(variant => [variant.name, variant.accuracy]), [['current', 0.5], ['other model', 0.5]]);
+    assert.ok(provider.requests.every(request => request.messages.every(message => !message.content.includes('gaming'))), 'prompts never see the label');
+    assert.deepEqual(result.comparison.rows.map(row => row['Category (current)']), ['gaming']);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('a rerun measures every variant again instead of answering from the cache', async () => {
+  const tmp = tempDir();
+  try {
+    await evaluateColumn(labelled, evalConfig(tmp.dir), testOptions(gamingProvider(), { cache: undefined }));
+    const provider = gamingProvider();
+    const rerun = await evaluateColumn(labelled, evalConfig(tmp.dir), testOptions(provider, { cache: undefined }));
+
+    assert.equal(provider.requests.length, 4);
+    for (const variant of rerun.variants) {
+      assert.equal(variant.cacheHits, 0);
+      assert.equal(variant.tokens, 30, 'two calls of 15 tokens (see completion in helpers.js)');
+      assert.equal(variant.cost.toFixed(3), '0.002');
+      assert.equal(variant.latencies.length, 2);
+    }
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('eval.cache answers unchanged variants from the cache and counts the hits', async () => {
+  const tmp = tempDir();
+  try {
+    const config = evalConfig(tmp.dir, { cache: true });
+    await evaluateColumn(labelled, config, testOptions(gamingProvider(), { cache: undefined }));
+    const provider = gamingProvider();
+    const rerun = await evaluateColumn(labelled, config, testOptions(provider, { cache: undefined }));
+
+    assert.equal(provider.requests.length, 0);
+    assert.deepEqual(rerun.variants.map(variant => [variant.cacheHits, variant.cost, variant.accuracy]), [[2, 0, 0.5], [2, 0, 0.5]]);
+    await assert.rejects(evaluateColumn(labelled, evalConfig(tmp.dir, { cache: 'yes' }), testOptions(provider)), /eval\.cache: must be true or false/);
+  } finally {
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createRowSerializer, readRows, resolveFormat, streamRows, writeRows } from '../lib/formats.js';
+import { generateFile } from '../lib/generator.js';
+import { recordingProvider, summaryColumn, tempDir, testOptions } from './helpers.js';
+
+const headers = ['Video', 'Notes'];
+const rows = [
+  { Video: 'plain', Notes: 'nothing to quote' },
+  { Video: 'commas, semicolons; pipes | and tabs\there', Notes: 'say "hi"' },
+  { Video: 'multi\nline', Notes: 'windows\r\nline' },
+  { Video: '', Notes: 'ünïcödé' }
+];
+
+for (const [name, fileName, format] of [
+  ['csv', 'rows.csv', undefined],
+  ['tsv', 'rows.tsv', undefined],
+  ['a pipe delimiter', 'rows.txt', { type: 'csv', delimiter: '|' }],
+  ['a semicolon delimiter', 'rows.csv', { delimiter: ';' }],
+  ['latin1', 'rows.csv', { encoding: 'latin1' }]
+]) {
+  test(`round-trips quoted and multiline values through ${name}`, async () => {
+    const tmp = tempDir();
+    try {
+      const resolved = resolveFormat(fileName, format);
+      const file = tmp.file(fileName);
+      await writeRows(file, rows, headers, resolved);
+      assert.deepEqual(await readRows(file, resolved), { rows, headers });
+
+      const streamed = [];
+      for await (const row of streamRows(file, resolved)) {
+        streamed.push(row);
+      }
+      assert.deepEqual(streamed, rows);
+    } finally {
+      tmp.cleanup();
+    }
+  });
+}
+
+test('appends serialized rows the way streaming and progress files do', async () => {
+  const tmp = tempDir();
+  try {
+    const format = resolveFormat('rows.tsv');
+    const serializer = createRowSerializer(headers, format);
+    const file = tmp.file('rows.tsv');
+    fs.writeFileSync(file, serializer.header());
+    fs.appendFileSync(file, serializer.rows(rows.slice(0, 2)));
+    fs.appendFileSync(file, serializer.rows(rows.slice(2)));
+    assert.deepEqual((await readRows(file, format)).rows, rows);
+    assert.equal(fs.readFileSync(file, 'utf8').split('\n')[0], 'Video\tNotes');
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('round-trips nested JSONL values and xlsx sheets', async () => {
+  const tmp = tempDir();
+  try {
+    const nested = [{ Video: 'a', meta: { tags: ['x', 'y'] } }, { Video: 'b' }];
+    const jsonl = resolveFormat('rows.jsonl');
+    await writeRows(tmp.file('rows.jsonl'), nested, ['Video', 'meta'], jsonl);
+    assert.deepEqual((await readRows(tmp.file('rows.jsonl'), jsonl)).rows, nested);
+
+    const xlsx = resolveFormat('rows.xlsx', { sheet: 'Videos' });
+    await writeRows(tmp.file('rows.xlsx'), rows, headers, xlsx);
+    const read = await readRows(tmp.file('rows.xlsx'), xlsx);
+    assert.deepEqual(read.headers, headers);
+    assert.deepEqual(read.rows.map(row => row.Video), rows.map(row => row.Video));
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('rejects delimiters that can\'t be written unambiguously', () => {
+  assert.throws(() => resolveFormat('rows.csv', { delimiter: '"' }), /can't be a quote or a line break/);
+  assert.throws(() => resolveFormat('rows.csv', { delimiter: '\n' }), /can't be a quote or a line break/);
+  assert.throws(() => resolveFormat('rows.csv', { delimiter: '||' }), /single character/);
+  assert.throws(() => resolveFormat('rows.jsonl', { delimiter: ',' }), /only applies to csv and tsv/);
+});
+
+for (const stream of [false, true]) {
+  test(`runs a TSV input into a pipe-delimited output${stream ? ' when streaming' : ''}`, async () => {
+    const tmp = tempDir();
+    try {
+      fs.writeFileSync(tmp.file('in.tsv'), 'Video\tNotes\n"a\tb"\tone\nc\t"two\nlines"\n');
+      const config = {
+        inputFileName: tmp.file('in.tsv'),
+        outputFileName: tmp.file('out.txt'),
+        outputFormat: { type: 'csv', delimiter: '|' },
+        columns: [summaryColumn()]
+      };
+      const provider = recordingProvider({ responses: [{ content: 'a | "quoted"\nsummary' }] });
+      await generateFile(config, testOptions(provider, { stream, incremental: false }));
+
+      const { rows: written, headers: writtenHeaders } = await readRows(config.outputFileName, resolveFormat('out.txt', config.outputFormat));
+      assert.deepEqual(writtenHeaders, ['Video', 'Notes', 'Summary']);
+      assert.deepEqual(written.map(row => row.Video), ['a\tb', 'c']);
+      assert.deepEqual(written.map(row => row.Summary), ['a | "quoted"\nsummary', 'a | "quoted"\nsummary']);
+    } finally {
+      tmp.cleanup();
+    }
+  });
+}
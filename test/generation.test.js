@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildMessages, normalizeGenerationSettings } from '../lib/generation.js';
+import { fakeApi, fileConfig, runCli, tempDir, writeConfig } from './helpers.js';
+
+/**
+ * Run columns with defaults over a single video against a local API; returns the request bodies
+ */
+async function requestsFor(tmp, columns, defaults, answer = 'answer') {
+  const api = await fakeApi(() => answer);
+  try {
+    const config = fileConfig(tmp, columns, { inputRows: [{ Video: 'Celeste' }], provider: api.provider, defaults });
+    const { code, stderr } = await runCli([writeConfig(tmp, config)], { cwd: tmp.dir });
+    assert.equal(code, 0, stderr);
+    return api.requests;
+  } finally {
+    await api.close();
+  }
+}
+
+test('sends the system prompt, examples and sampling parameters', async () => {
+  const tmp = tempDir();
+  try {
+    const [body] = await requestsFor(tmp, [{
+      group: {
+        groupName: 'Labels',
+        modelName: 'test/model',
+        columns: ['Category'],
+        prompt: 'Classify: {{Video}}',
+        systemPrompt: 'You label videos like "{{Video}}".',
+        examples: [{ input: 'Classify: Balatro', output: { Category: 'gaming' } }],
+        temperature: 0,
+        maxTokens: 200,
+        topP: 1,
+        stop: ['\n\n'],
+        reasoningEffort: 'low',
+        providerRouting: { order: ['openai', 'azure'], allowFallbacks: false, dataCollection: 'deny' }
+      }
+    }], { temperature: 0.7, seed: 7 }, '{"Category":"gaming"}');
+
+    assert.deepEqual(body.messages, [
+      { role: 'system', content: 'You label videos like "Celeste".' },
+      { role: 'user', content: 'Classify: Balatro' },
+      { role: 'assistant', content: '{"Category":"gaming"}' },
+      { role: 'user', content: 'Classify: Celeste' }
+    ]);
+    assert.equal(body.temperature, 0, 'the column\'s own setting wins over defaults');
+    assert.equal(body.seed, 7);
+    assert.equal(body.max_tokens, 200);
+    assert.equal(body.top_p, 1);
+    assert.deepEqual(body.stop, ['\n\n']);
+    assert.deepEqual(body.reasoning, { effort: 'low' });
+    assert.deepEqual(body.provider, { order: ['openai', 'azure'], allow_fallbacks: false, data_collection: 'deny' });
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('reads system prompts from files relative to the working directory', async () => {
+  const tmp = tempDir();
+  try {
+    fs.writeFileSync(tmp.file('persona.md'), 'You are terse about {{Video}}.');
+    const [body] = await requestsFor(tmp, [{ columnName: 'Summary', modelName: 'test/model', prompt: 'Summarize {{Video}}' }], { systemPromptFile: 'persona.md' });
+
+    assert.deepEqual(body.messages, buildMessages('Summarize Celeste', 'You are terse about Celeste.'));
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('rejects generation settings out of range', async () => {
+  const check = settings => () => normalizeGenerationSettings(settings, 'Summary');
+  assert.deepEqual(normalizeGenerationSettings({ maxTokens: 200, stop: '\n' }, 'Summary').parameters, { max_tokens: 200, stop: '\n' });
+  assert.throws(check({ temperature: 3 }), /Summary\.temperature must be a number from 0 to 2/);
+  assert.throws(check({ maxTokens: 0 }), /Summary\.maxTokens must be a positive integer/);
+  assert.throws(check({ reasoningEffort: 'extreme' }), /reasoningEffort must be one of minimal, low, medium, high/);
+  assert.throws(check({ providerRouting: { speed: 'fast' } }), /providerRouting\.speed is not a routing option/);
+  assert.throws(check({ examples: [{ input: 'only input' }] }), /examples\[0\] must have an input and an output/);
+
+  const tmp = tempDir();
+  try {
+    const config = fileConfig(tmp, [{ columnName: 'Summary', modelName: 'test/model', prompt: '{{Video}}' }], { provider: { type: 'mock' }, defaults: { modelName: 'test/model' } });
+    const { code, stderr } = await runCli([writeConfig(tmp, config)], { cwd: tmp.dir });
+    assert.equal(code, 1);
+    assert.match(stderr, /defaults\.modelName: is not a shared setting/);
+  } finally {
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateColumns } from '../lib/generator.js';
+import { retryDelayMs } from '../lib/rate-limiter.js';
+import { httpError, lastUserMessage, recordingProvider, summaryColumn, tempDir, testOptions, videoRows } from './helpers.js';
+
+test('fills a column from the mock provider', async () => {
+  const provider = recordingProvider();
+  const rows = videoRows(3);
+  const result = await generateColumns(rows, { columns: [summaryColumn()] }, testOptions(provider));
+
+  assert.equal(provider.requests.length, 3);
+  assert.match(result.rows[0].Summary, /^mock-[0-9a-f]{8}$/);
+  assert.deepEqual(result.headers, ['Video', 'Summary']);
+  assert.equal(rows[0].Summary, undefined, 'the given rows are not changed');
+  assert.equal(result.stopped, null);
+});
+
+test('retries server errors until a request succeeds', async () => {
+  const provider = recordingProvider({ responses: [{ status: 500, times: 2, retryAfter: 0 }] });
+  const options = testOptions(provider);
+  const result = await generateColumns(videoRows(1), { columns: [summaryColumn()] }, options);
+
+  assert.equal(provider.requests.length, 3);
+  assert.match(result.rows[0].Summary, /^mock-/);
+  assert.match(options.logger.text(), /Row 1 failed \(attempt 2\/10\) - 500: Simulated 500 error - retrying in 0\.0s/);
+});
+
+test('waits out a 429 for as long as Retry-After says', async () => {
+  const provider = recordingProvider({ responses: [{ status: 429, times: 1, retryAfter: 0.2 }] });
+  const startedAt = Date.now();
+  const result = await generateColumns(videoRows(1), { columns: [summaryColumn()] }, testOptions(provider));
+
+  assert.ok(Date.now() - startedAt >= 190, 'waited for Retry-After');
+  assert.equal(provider.requests.length, 2);
+  assert.match(result.rows[0].Summary, /^mock-/);
+});
+
+test('marks a row failed once its retries run out and goes on with the others', async () => {
+  const provider = recordingProvider({ responses: [{ match: 'Video 2', status: 400, retryAfter: 0 }] });
+  const result = await generateColumns(videoRows(3), { columns: [summaryColumn({ errorColumn: true })] }, testOptions(provider));
+
+  assert.equal(provider.requests.length, 2 + 11);
+  assert.equal(result.rows[1].Summary, '');
+  assert.match(result.rows[1].Summary__error, /^client_error: 400: Simulated 400 error/);
+  assert.equal(result.rows[0].Summary__error, '');
+  assert.match(result.rows[2].Summary, /^mock-/);
+  assert.equal(result.columns.get('Summary').failed, 1);
+});
+
+test('backs off exponentially with jitter unless Retry-After is given', () => {
+  assert.equal(retryDelayMs(httpError(429, 3), 1), 3000);
+
+  const noHeader = { response: { status: 500, headers: {} } };
+  for (let i = 0; i < 20; i++) {
+    const first = retryDelayMs(noHeader, 1);
+    assert.ok(first >= 1000 && first <= 2000, `attempt 1 waits 1-2s, got ${first}`);
+    const capped = retryDelayMs(noHeader, 10);
+    assert.ok(capped >= 30000 && capped <= 60000, `attempt 10 is capped at 60s, got ${capped}`);
+  }
+});
+
+test('parses grouped responses in code fences and coerces them to the column schemas', async () => {
+  const provider = recordingProvider({
+    responses: [{ content: '```json\n{"Game": "Isaac", "Views": "1,200", "Category": "GAMING"}\n```' }]
+  });
+  const group = {
+    group: {
+      groupName: 'Metadata',
+      modelName: 'test/model',
+      prompt: 'Describe {{Video}}',
+      columns: ['Game', { name: 'Views', type: 'integer' }, { name: 'Category', enum: ['gaming', 'vlog'] }]
+    }
+  };
+  const result = await generateColumns(videoRows(1), { columns: [group] }, testOptions(provider));
+
+  assert.deepEqual(result.rows[0], { Video: 'Video 1', Game: 'Isaac', Views: 1200, Category: 'gaming' });
+  assert.equal(provider.requests[0].response_format.json_schema.schema.required.length, 3);
+});
+
+test('re-asks a grouped response that is not valid JSON', async () => {
+  const provider = recordingProvider({ responses: [{ content: 'Sure! Isaac', times: 1 }, { json: { Game: 'Isaac' } }] });
+  const group = { group: { groupName: 'Metadata', modelName: 'test/model', prompt: 'Describe {{Video}}', columns: ['Game'] } };
+  const result = await generateColumns(videoRows(1), { columns: [group] }, testOptions(provider));
+
+  assert.equal(result.rows[0].Game, 'Isaac');
+  assert.equal(provider.requests.length, 2);
+  assert.match(lastUserMessage(provider.requests[1]), /That response was invalid:\n- Failed to parse JSON/);
+});
+
+test('re-asks invalid values with the problems spelled out', async () => {
+  const provider = recordingProvider({ responses: [{ content: 'cooking', times: 1 }, { content: 'Gaming.' }] });
+  const column = summaryColumn({ validate: { allowed: ['gaming', 'vlog'] } });
+  const result = await generateColumns(videoRows(1), { columns: [column] }, testOptions(provider));
+
+  assert.equal(result.rows[0].Summary, 'gaming');
+  assert.equal(provider.requests.length, 2);
+  const retry = provider.requests[1].messages;
+  assert.deepEqual(retry.slice(-2).map(message => message.role), ['assistant', 'user']);
+  assert.equal(retry[retry.length - 2].content, 'cooking');
+  assert.match(retry[retry.length - 1].content, /must be one of/);
+});
+
+test('writes the unknown value when re-asks run out', async () => {
+  const provider = recordingProvider({ responses: [{ content: 'cooking' }] });
+  const column = summaryColumn({ validate: { allowed: ['gaming', 'vlog'] }, maxReasks: 1 });
+  const result = await generateColumns(videoRows(1), { columns: [column] }, testOptions(provider));
+
+  assert.equal(result.rows[0].Summary, '__undetectable__');
+  assert.equal(provider.requests.length, 2);
+});
+
+test('packs rowsPerRequest rows into one request and re-queues rows the answer left out', async () => {
+  // Answer every packed request except row 2, and single rows with their prompt
+  const provider = recordingProvider({}, (requestBody) => {
+    const prompt = lastUserMessage(requestBody);
+    const ids = [...prompt.matchAll(/<request id="(\d+)">/g)].map(match => Number(match[1]));
+    if (ids.length === 0) {
+      return `single: ${prompt}`;
+    }
+    return JSON.stringify(ids.filter(id => id !== 2).map(id => ({ id, value: `packed ${id}` })));
+  });
+  const result = await generateColumns(videoRows(5), { columns: [summaryColumn({ rowsPerRequest: 3 })] }, testOptions(provider));
+
+  assert.equal(provider.requests.length, 3);
+  assert.match(lastUserMessage(provider.requests[0]), /Answer each of the 3 requests/);
+  assert.equal(lastUserMessage(provider.requests[1]), 'Summarize Video 2', 're-queued rows go first');
+  assert.match(lastUserMessage(provider.requests[2]), /Answer each of the 2 requests/);
+  assert.deepEqual(result.rows.map(row => row.Summary), ['packed 1', 'single: Summarize Video 2', 'packed 3', 'packed 4', 'packed 5']);
+});
+
+test('fails packed rows whose prompts can\'t be filled in without a request', async () => {
+  const provider = recordingProvider();
+  const column = summaryColumn({ prompt: 'Summarize {{Notes}}', rowsPerRequest: 2, errorColumn: true });
+  const result = await generateColumns(videoRows(2), { columns: [column] }, testOptions(provider, { headers: ['Video', 'Notes'] }));
+
+  assert.equal(provider.requests.length, 0);
+  assert.ok(result.rows.every(row => row.Summary__error.startsWith('template: ')));
+  const stats = result.columns.get('Summary');
+  assert.equal(stats.failed, 2);
+  assert.equal(stats.searchResults, 0);
+});
+
+test('resumes from the progress file, only sending the unfinished rows', async () => {
+  const tmp = tempDir();
+  try {
+    const progressFile = tmp.file('rows.progress');
+    const config = { columns: [summaryColumn({ checkpointEvery: 1 })] };
+
+    // Stop after two rows, as Ctrl+C or a budget would
+    const controller = new AbortController();
+    let finished = 0;
+    const first = await generateColumns(videoRows(5), config, testOptions(recordingProvider(), {
+      progressFile,
+      signal: controller.signal,
+      onRowComplete: () => { if (++finished === 2) controller.abort(); }
+    }));
+    assert.equal(first.stopped, 'Aborted');
+    assert.deepEqual(first.pendingRows.get('Summary'), [2, 3, 4]);
+
+    const provider = recordingProvider();
+    const resumed = await generateColumns(videoRows(5), config, testOptions(provider, { progressFile, resume: true }));
+    assert.equal(provider.requests.length, 3);
+    assert.deepEqual(provider.requests.map(lastUserMessage), ['Summarize Video 3', 'Summarize Video 4', 'Summarize Video 5']);
+    assert.equal(resumed.rows[0].Summary, first.rows[0].Summary);
+    assert.ok(resumed.rows.every(row => row.Summary !== ''));
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('regenerates a column on resume when its prompt changed', async () => {
+  const tmp = tempDir();
+  try {
+    const progressFile = tmp.file('rows.progress');
+    await generateColumns(videoRows(2), { columns: [summaryColumn()] }, testOptions(recordingProvider(), { progressFile }));
+
+    const provider = recordingProvider();
+    const options = testOptions(provider, { progressFile, resume: true });
+    await generateColumns(videoRows(2), { columns: [summaryColumn({ prompt: 'Title of {{Video}}' })] }, options);
+    assert.equal(provider.requests.length, 2);
+    assert.match(options.logger.text(), /"Summary": config changed since progress was saved/);
+  } finally {
+    tmp.cleanup();
+  }
+});
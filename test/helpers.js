@@ -0,0 +1,196 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import csv from 'csv-parser';
+import { createProvider } from '../lib/providers.js';
+
+const SCRIPT = fileURLToPath(new URL('../generate-csv-column.js', import.meta.url));
+
+/**
+ * Body of an OpenAI-style chat completion with the given content and a fixed usage
+ */
+export function chatCompletion(content, usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, cost: 0.001 }) {
+  return { id: 'gen-test', choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }], usage };
+}
+
+/**
+ * Local OpenAI-compatible server that records every request body in requests
+ * respond(requestBody, count) returns the answer's content, or { status, retryAfter } to fail
+ * provider is the config's provider section pointing at it
+ */
+export async function fakeApi(respond = () => 'answer') {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', async () => {
+      const body = JSON.parse(data);
+      requests.push(body);
+      const answer = await respond(body, requests.length);
+      if (answer && typeof answer === 'object') {
+        const headers = { 'content-type': 'application/json', ...(answer.retryAfter !== undefined ? { 'retry-after': String(answer.retryAfter) } : {}) };
+        res.writeHead(answer.status, headers);
+        res.end(JSON.stringify({ error: { code: answer.status, message: `status ${answer.status}` } }));
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(chatCompletion(answer)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    requests,
+    provider: { type: 'openai', baseUrl: `http://127.0.0.1:${server.address().port}/v1` },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Last user message of a request body
+ */
+export function lastUserMessage(requestBody) {
+  return requestBody.messages.filter(message => message.role === 'user').pop().content;
+}
+
+/**
+ * Logger that keeps every message instead of printing it
+ * lines holds "log: ...", "warn: ..." and "error: ..." entries; text() joins them
+ */
+export function captureLogger() {
+  const lines = [];
+  const logger = { lines, text: () => lines.join('\n') };
+  for (const level of ['log', 'warn', 'error']) {
+    logger[level] = (...args) => lines.push(`${level}: ${args.join(' ')}`);
+  }
+  return logger;
+}
+
+/**
+ * What a provider's complete() resolves to for an answer with the given content
+ */
+export function completion(content, usage) {
+  return { data: chatCompletion(content, usage), headers: {} };
+}
+
+/**
+ * Mock provider (see lib/providers.js) that records every request body in requests
+ * respond(requestBody, count) can answer a request itself; otherwise the mock's rules do
+ */
+export function recordingProvider(mockOptions = {}, respond = null) {
+  const mock = createProvider({ type: 'mock', ...mockOptions });
+  const requests = [];
+  return {
+    ...mock,
+    requests,
+    async complete(requestBody) {
+      requests.push(requestBody);
+      if (respond) {
+        const content = await respond(requestBody, requests.length);
+        if (content !== undefined) {
+          return completion(content);
+        }
+      }
+      return mock.complete(requestBody);
+    }
+  };
+}
+
+/**
+ * Error shaped like the one axios throws for an HTTP error response
+ */
+export function httpError(status, retryAfter = 0) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { error: { code: status, message: `status ${status}` } }, headers: { 'retry-after': String(retryAfter) } };
+  return error;
+}
+
+/**
+ * Library options for a quiet, offline run: no cache or run log, messages captured
+ */
+export function testOptions(provider, options = {}) {
+  return { provider, cache: false, runLog: false, logger: captureLogger(), ...options };
+}
+
+/**
+ * Run generate-csv-column.js with args in cwd; resolves to { code, stdout, stderr }
+ */
+export function runCli(args, { cwd, env = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SCRIPT, ...args], { cwd, env: { ...process.env, ...env }, timeout: 60000 });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+/**
+ * Fresh temporary directory, removed by the returned cleanup function
+ */
+export function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-column-test-'));
+  return { dir, file: name => path.join(dir, name), cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Rows with a Video column: "Video 1", "Video 2", ...
+ */
+export function videoRows(count) {
+  return Array.from({ length: count }, (_, i) => ({ Video: `Video ${i + 1}` }));
+}
+
+/**
+ * Summary column over the Video column, one row at a time; settings override its fields
+ */
+export function summaryColumn(settings = {}) {
+  return { columnName: 'Summary', modelName: 'test/model', prompt: 'Summarize {{Video}}', concurrency: 1, ...settings };
+}
+
+/**
+ * Config that reads in.csv in tmp and writes out.csv next to it
+ * in.csv is written from inputRows (three videos by default); settings are added to the config
+ */
+export function fileConfig(tmp, columns, { inputRows = videoRows(3), ...settings } = {}) {
+  const headers = Object.keys(inputRows[0]);
+  const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const lines = [headers, ...inputRows.map(row => headers.map(header => row[header]))].map(cells => cells.map(quote).join(','));
+  fs.writeFileSync(tmp.file('in.csv'), `${lines.join('\n')}\n`);
+  return { inputFileName: tmp.file('in.csv'), outputFileName: tmp.file('out.csv'), columns, ...settings };
+}
+
+/**
+ * Write config to config.yaml in tmp (JSON is valid YAML) and return its path
+ */
+export function writeConfig(tmp, config) {
+  fs.writeFileSync(tmp.file('config.yaml'), JSON.stringify(config, null, 2));
+  return tmp.file('config.yaml');
+}
+
+/**
+ * Rows of a CSV file
+ */
+export function readCsv(file) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(file)
+      .pipe(csv())
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
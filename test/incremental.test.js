@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readRows, resolveFormat } from '../lib/formats.js';
+import { generateFile } from '../lib/generator.js';
+import { fileConfig, lastUserMessage, recordingProvider, summaryColumn, tempDir, testOptions } from './helpers.js';
+
+const summary = summaryColumn();
+const title = { columnName: 'Title', modelName: 'test/model', prompt: 'Title for {{Summary}}', concurrency: 1 };
+
+/**
+ * Run columns over the given videos in tmp; returns the prompts sent, the output rows and the messages
+ */
+async function runOver(tmp, videos, columns = [summary, title], options = {}) {
+  const config = fileConfig(tmp, columns, { inputRows: videos.map(Video => ({ Video })) });
+  const provider = recordingProvider({}, body => `<${lastUserMessage(body)}>`);
+  const runOptions = testOptions(provider, options);
+  await generateFile(config, runOptions);
+  const { rows } = await readRows(config.outputFileName, resolveFormat(config.outputFileName));
+  return { prompts: provider.requests.map(lastUserMessage), rows, log: runOptions.logger.text() };
+}
+
+test('reuses every value when nothing changed', async () => {
+  const tmp = tempDir();
+  try {
+    const first = await runOver(tmp, ['Celeste', 'Hades']);
+    assert.equal(first.prompts.length, 4);
+
+    const second = await runOver(tmp, ['Celeste', 'Hades']);
+    assert.deepEqual(second.prompts, []);
+    assert.deepEqual(second.rows, first.rows);
+    assert.match(second.log, /"Summary": up to date \(2 rows\)/);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('regenerates rows whose inputs changed, and the values made from them', async () => {
+  const tmp = tempDir();
+  try {
+    await runOver(tmp, ['Celeste', 'Hades', 'Tunic']);
+    const { prompts, rows } = await runOver(tmp, ['Celeste', 'Hades II', 'Tunic', 'Balatro']);
+
+    assert.deepEqual(prompts, ['Summarize Hades II', 'Summarize Balatro', 'Title for <Summarize Hades II>', 'Title for <Summarize Balatro>']);
+    assert.deepEqual(rows.map(row => row.Title), [
+      '<Title for <Summarize Celeste>>', '<Title for <Summarize Hades II>>', '<Title for <Summarize Tunic>>', '<Title for <Summarize Balatro>>'
+    ]);
+
+    const moved = await runOver(tmp, ['Hades II', 'Celeste', 'Tunic', 'Balatro']);
+    assert.deepEqual(moved.prompts.slice(0, 2), ['Summarize Hades II', 'Summarize Celeste'], 'rows are matched by position');
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('reuses values only in the selected rows, never another row\'s', async () => {
+  const tmp = tempDir();
+  try {
+    // Every Title prompt is the same, and Hades is outside the Title column's selection
+    const truncated = { ...title, prompt: 'Title {{Summary | truncate: 5}}', rows: { where: 'Views > 100' } };
+    const inputRows = [{ Video: 'Celeste', Views: '500' }, { Video: 'Hades', Views: '50' }];
+    const run = async () => {
+      const config = fileConfig(tmp, [summary, truncated], { inputRows });
+      await generateFile(config, testOptions(recordingProvider({}, body => `<${lastUserMessage(body)}>`)));
+      return (await readRows(config.outputFileName, resolveFormat(config.outputFileName))).rows;
+    };
+    await run();
+    const rows = await run();
+
+    assert.deepEqual(rows.map(row => row.Title), ['<Title <Summ…>', '']);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('regenerates a value once a value it was made from is repaired by retry-failed', async () => {
+  const tmp = tempDir();
+  try {
+    const config = fileConfig(tmp, [summaryColumn({ errorColumn: true }), title], { inputRows: [{ Video: 'Celeste' }, { Video: 'Hades' }] });
+    const run = async (options, respond = body => `<${lastUserMessage(body)}>`) => {
+      const provider = recordingProvider({ responses: [{ match: 'Summarize Hades', status: 400, retryAfter: 0 }] }, respond);
+      await generateFile(config, testOptions(provider, options));
+      return provider.requests.map(lastUserMessage);
+    };
+    await run({}, body => (lastUserMessage(body) === 'Summarize Hades' ? undefined : `<${lastUserMessage(body)}>`));
+    assert.deepEqual(await run({ retryFailed: true }), ['Summarize Hades', 'Title for <Summarize Hades>']);
+
+    assert.deepEqual(await run({}), [], 'the manifest records what retry-failed generated');
+    const { rows } = await readRows(config.outputFileName, resolveFormat(config.outputFileName));
+    assert.deepEqual(rows.map(row => row.Title), ['<Title for <Summarize Celeste>>', '<Title for <Summarize Hades>>']);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('regenerates a column whose config changed, and only that column', async () => {
+  const tmp = tempDir();
+  try {
+    await runOver(tmp, ['Celeste', 'Hades']);
+    const { prompts, log } = await runOver(tmp, ['Celeste', 'Hades'], [summary, { ...title, prompt: 'Short title for {{Summary}}' }]);
+
+    assert.deepEqual(prompts, ['Short title for <Summarize Celeste>', 'Short title for <Summarize Hades>']);
+    assert.match(log, /"Title": prompt changed -> all 2 rows/);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('force and incremental: false regenerate regardless of the manifest', async () => {
+  const tmp = tempDir();
+  try {
+    await runOver(tmp, ['Celeste', 'Hades']);
+    const forced = await runOver(tmp, ['Celeste', 'Hades'], undefined, { force: ['Summary'] });
+    assert.equal(forced.prompts.length, 4, 'forcing Summary regenerates Title too');
+
+    const full = await runOver(tmp, ['Celeste', 'Hades'], [summary], { incremental: false });
+    assert.deepEqual(full.prompts, ['Summarize Celeste', 'Summarize Hades']);
+  } finally {
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider } from '../lib/providers.js';
+import { fakeApi, fileConfig, lastUserMessage, readCsv, runCli, summaryColumn, tempDir, writeConfig } from './helpers.js';
+
+const request = (content, extra = {}) => ({ model: 'test/model', messages: [{ role: 'user', content }], ...extra });
+const answer = response => response.data.choices[0].message.content;
+
+test('mock provider answers from the first matching rule', async () => {
+  const provider = createProvider({
+    type: 'mock',
+    responses: [
+      { match: 'Celeste', status: 429, retryAfter: 2, times: 1 },
+      { match: 'Celeste', json: { Category: 'gaming' } },
+      { match: 'Hades', content: 'roguelike' }
+    ]
+  });
+
+  await assert.rejects(provider.complete(request('Celeste')), error => error.response.status === 429 && error.response.headers['retry-after'] === '2');
+  assert.equal(answer(await provider.complete(request('Celeste'))), '{"Category":"gaming"}', 'times: 1 used the error up');
+  assert.equal(answer(await provider.complete(request('Hades'))), 'roguelike');
+  assert.equal(answer(await provider.complete(request('Tunic'))), answer(await provider.complete(request('Tunic'))));
+  assert.match(answer(await provider.complete(request('Tunic'))), /^mock-[0-9a-f]{8}$/);
+});
+
+test('mock provider fills JSON schema requests from the schema', async () => {
+  const provider = createProvider({ type: 'mock' });
+  const schema = { properties: { 'Game Name': { type: ['string', 'null'] }, 'Category': { enum: ['gaming', 'vlog'] }, 'Views': { type: 'integer' } } };
+  const response = await provider.complete(request('Celeste', { response_format: { type: 'json_schema', json_schema: { name: 'row', schema } } }));
+
+  assert.deepEqual(JSON.parse(answer(response)), { 'Game Name': 'mock Game Name', 'Category': 'gaming', 'Views': 0 });
+  assert.ok(response.data.usage.prompt_tokens > 0 && response.data.usage.cost > 0);
+});
+
+test('HTTP providers post to the configured endpoint with the key from apiKeyEnv', async () => {
+  const api = await fakeApi(body => `echo ${lastUserMessage(body)}`);
+  try {
+    const provider = createProvider({ ...api.provider, apiKeyEnv: 'TEST_KEY', headers: { 'X-Team': 'analytics' } }, { TEST_KEY: 'secret' });
+    assert.equal(provider.apiKey, 'secret');
+    assert.equal(answer(await provider.complete(request('Celeste'))), 'echo Celeste');
+    assert.deepEqual(api.requests, [request('Celeste')]);
+
+    assert.throws(() => createProvider({ ...api.provider, apiKeyEnv: 'TEST_KEY' }, {}), /TEST_KEY not found/);
+    assert.throws(() => createProvider({ type: 'anthropic' }), /Unknown provider type "anthropic"/);
+  } finally {
+    await api.close();
+  }
+});
+
+test('runs a config against the provider it names', async () => {
+  const tmp = tempDir();
+  const api = await fakeApi(body => `summary of ${lastUserMessage(body)}`);
+  try {
+    const columns = [summaryColumn()];
+    const { code, stdout } = await runCli([writeConfig(tmp, fileConfig(tmp, columns, { provider: api.provider }))], { cwd: tmp.dir });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Provider: openai \(http:\/\/127\.0\.0\.1:\d+\/v1\/chat\/completions\)/);
+    assert.deepEqual((await readCsv(tmp.file('out.csv'))).map(row => row.Summary), ['summary of Summarize Video 1', 'summary of Summarize Video 2', 'summary of Summarize Video 3']);
+
+    const mocked = await runCli([writeConfig(tmp, fileConfig(tmp, columns, { provider: { type: 'mock', responses: [{ content: 'offline' }] } })), '--full'], { cwd: tmp.dir });
+    assert.equal(mocked.code, 0);
+    assert.equal(api.requests.length, 3, 'the mock provider makes no requests');
+    assert.deepEqual((await readCsv(tmp.file('out.csv'))).map(row => row.Summary), ['offline', 'offline', 'offline']);
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, retryAfterMs, retryDelayMs } from '../lib/rate-limiter.js';
+import { fakeApi, fileConfig, lastUserMessage, readCsv, runCli, tempDir, videoRows, writeConfig } from './helpers.js';
+
+/**
+ * Let pending promise callbacks run
+ */
+async function settled() {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+}
+
+/**
+ * Track which of the given acquires have resolved
+ */
+function started(acquires) {
+  const done = acquires.map(() => false);
+  acquires.forEach((acquire, i) => acquire.then(() => {
+    done[i] = true;
+  }));
+  return done;
+}
+
+test('holds requests over requestsPerMinute until the oldest leaves the window', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const limiter = createRateLimiter({ requestsPerMinute: 2 });
+  const done = started([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+  await settled();
+  assert.deepEqual(done, [true, true, false]);
+  t.mock.timers.tick(59999);
+  await settled();
+  assert.equal(done[2], false);
+  t.mock.timers.tick(1);
+  await settled();
+  assert.equal(done[2], true);
+});
+
+test('counts settled token usage against tokensPerMinute', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const limiter = createRateLimiter({ tokensPerMinute: 1000 });
+  const first = await limiter.acquire(900);
+  limiter.settle(first, 100);
+  const done = started([limiter.acquire(800), limiter.acquire(800)]);
+
+  await settled();
+  assert.deepEqual(done, [true, false], 'the first request used less than estimated');
+  t.mock.timers.tick(60000);
+  await settled();
+  assert.deepEqual(done, [true, true]);
+});
+
+test('waits until X-RateLimit-Reset once the provider reports the limit used up', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const limiter = createRateLimiter();
+  limiter.updateFromHeaders({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Date.now() + 5000) });
+  const done = started([limiter.acquire()]);
+
+  await settled();
+  assert.deepEqual(done, [false]);
+  t.mock.timers.tick(5000);
+  await settled();
+  assert.deepEqual(done, [true]);
+});
+
+test('retries after Retry-After, or backs off exponentially with jitter', () => {
+  assert.equal(retryAfterMs({ 'retry-after': '2' }), 2000);
+  assert.equal(retryAfterMs({}), null);
+  assert.equal(retryDelayMs({ response: { headers: { 'retry-after': '0' } } }, 3), 0);
+  for (let i = 0; i < 20; i++) {
+    const delay = retryDelayMs(new Error('socket hang up'), 2);
+    assert.ok(delay >= 2000 && delay <= 4000, `${delay}ms is within 2^2 seconds and half of it`);
+  }
+  assert.ok(retryDelayMs(new Error('socket hang up'), 10) <= 60000);
+});
+
+test('keeps concurrency rows in flight without waiting for a slow one', async () => {
+  const tmp = tempDir();
+  let release;
+  const slow = new Promise(resolve => {
+    release = resolve;
+  });
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const finished = [];
+  const api = await fakeApi(async (body) => {
+    const video = lastUserMessage(body);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    if (video === 'Video 1') {
+      await slow;
+    }
+    inFlight--;
+    finished.push(video);
+    if (finished.length === 4) {
+      release();
+    }
+    return `done ${video}`;
+  });
+  try {
+    const columns = [{ columnName: 'Summary', modelName: 'test/model', prompt: '{{Video}}', concurrency: 2 }];
+    const { code } = await runCli([writeConfig(tmp, fileConfig(tmp, columns, { inputRows: videoRows(5), provider: api.provider }))], { cwd: tmp.dir });
+
+    assert.equal(code, 0);
+    assert.equal(maxInFlight, 2);
+    assert.deepEqual(finished, ['Video 2', 'Video 3', 'Video 4', 'Video 5', 'Video 1']);
+    assert.ok((await readCsv(tmp.file('out.csv'))).every(row => row.Summary === `done ${row.Video}`));
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
+
+test('retries a rate-limited request on its own', async () => {
+  const tmp = tempDir();
+  const api = await fakeApi((body, count) => (count === 1 ? { status: 429, retryAfter: 0 } : `done ${lastUserMessage(body)}`));
+  try {
+    const columns = [{ columnName: 'Summary', modelName: 'test/model', prompt: '{{Video}}', concurrency: 1 }];
+    const { code } = await runCli([writeConfig(tmp, fileConfig(tmp, columns, { provider: api.provider }))], { cwd: tmp.dir });
+
+    assert.equal(code, 0);
+    assert.deepEqual(api.requests.map(lastUserMessage), ['Video 1', 'Video 1', 'Video 2', 'Video 3']);
+    assert.ok((await readCsv(tmp.file('out.csv'))).every(row => row.Summary === `done ${row.Video}`));
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeApi, fileConfig, lastUserMessage, readCsv, runCli, summaryColumn, tempDir, writeConfig } from './helpers.js';
+
+/**
+ * Config over three videos in tmp, with Summary and Title columns
+ */
+function retryConfig(tmp, provider, errorColumn = true) {
+  return fileConfig(tmp, [
+    summaryColumn({ errorColumn }),
+    { columnName: 'Title', modelName: 'test/model', prompt: 'Title for {{Video}}', concurrency: 1 }
+  ], { provider });
+}
+
+test('retry-failed reruns only the cells marked in error columns, in place', async () => {
+  const tmp = tempDir();
+  const failing = await fakeApi(body => (lastUserMessage(body) === 'Summarize Video 2' ? { status: 500, retryAfter: 0 } : 'first run'));
+  const retrying = await fakeApi(() => 'retried');
+  try {
+    const first = await runCli([writeConfig(tmp, retryConfig(tmp, failing.provider))], { cwd: tmp.dir });
+    assert.equal(first.code, 0);
+    assert.match(first.stdout, /Failed rows:\s+1 \(left empty; rerun with --resume, or retry-failed/);
+    const failed = await readCsv(tmp.file('out.csv'));
+    assert.equal(failed[1].Summary, '');
+    assert.match(failed[1].Summary__error, /^server_error: 500/);
+    assert.equal(failed[1].Title, 'first run', 'other columns of the row still ran');
+
+    const retried = await runCli(['retry-failed', writeConfig(tmp, retryConfig(tmp, retrying.provider))], { cwd: tmp.dir });
+    assert.equal(retried.code, 0);
+    assert.deepEqual(retrying.requests.map(lastUserMessage), ['Summarize Video 2']);
+    const rows = await readCsv(tmp.file('out.csv'));
+    assert.deepEqual(Object.keys(rows[0]), ['Video', 'Summary', 'Summary__error', 'Title']);
+    assert.deepEqual(rows.map(row => row.Summary), ['first run', 'retried', 'first run']);
+    assert.deepEqual(rows.map(row => row.Summary__error), ['', '', '']);
+    assert.deepEqual(rows.map(row => row.Title), ['first run', 'first run', 'first run']);
+  } finally {
+    await failing.close();
+    await retrying.close();
+    tmp.cleanup();
+  }
+});
+
+test('columns using a failed cell skip the row, and retry-failed reruns them after it', async () => {
+  const tmp = tempDir();
+  const failing = await fakeApi(body => (lastUserMessage(body) === 'Summarize Video 2' ? { status: 500, retryAfter: 0 } : 'first run'));
+  const retrying = await fakeApi(body => `retried ${lastUserMessage(body)}`);
+  const config = provider => fileConfig(tmp, [
+    summaryColumn({ errorColumn: true }),
+    { columnName: 'Title', modelName: 'test/model', prompt: 'Title for {{Summary}}', concurrency: 1 }
+  ], { provider });
+  try {
+    const first = await runCli([writeConfig(tmp, config(failing.provider))], { cwd: tmp.dir });
+    assert.equal(first.code, 0);
+    assert.ok(!failing.requests.map(lastUserMessage).includes('Title for '), 'Title is not generated from the failed cell');
+    assert.match(first.stdout, /Failed rows:\s+2 /);
+    assert.deepEqual((await readCsv(tmp.file('out.csv'))).map(row => row.Title), ['first run', '', 'first run']);
+
+    const retried = await runCli(['retry-failed', writeConfig(tmp, config(retrying.provider))], { cwd: tmp.dir });
+    assert.equal(retried.code, 0);
+    assert.match(retried.stdout, /Retrying:\s+1 row\(s\) using values rerun upstream/);
+    assert.deepEqual(retrying.requests.map(lastUserMessage), ['Summarize Video 2', 'Title for retried Summarize Video 2']);
+    const rows = await readCsv(tmp.file('out.csv'));
+    assert.deepEqual(rows.map(row => row.Title), ['first run', 'retried Title for retried Summarize Video 2', 'first run']);
+  } finally {
+    await failing.close();
+    await retrying.close();
+    tmp.cleanup();
+  }
+});
+
+test('retry-failed needs an error column and can\'t be combined with resume', async () => {
+  const tmp = tempDir();
+  try {
+    const withoutErrorColumn = await runCli(['retry-failed', writeConfig(tmp, retryConfig(tmp, { type: 'mock' }, false))], { cwd: tmp.dir });
+    assert.equal(withoutErrorColumn.code, 1);
+    assert.match(withoutErrorColumn.stderr, /columns: retrying failed rows needs a column or group with errorColumn set/);
+
+    const resumed = await runCli(['retry-failed', writeConfig(tmp, retryConfig(tmp, { type: 'mock' })), '--resume'], { cwd: tmp.dir });
+    assert.equal(resumed.code, 1);
+    assert.match(resumed.stderr, /retry-failed can't be combined with --resume/);
+  } finally {
+    tmp.cleanup();
+  }
+});
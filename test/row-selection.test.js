@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesCondition, normalizeSelection, parseCondition, parseRange, selectRows } from '../lib/row-selection.js';
+import { fakeApi, fileConfig, lastUserMessage, readCsv, runCli, tempDir, writeConfig } from './helpers.js';
+
+const rows = [
+  { Video: 'Celeste speedrun', Views: '250000', Category: 'gaming', Game: '' },
+  { Video: 'Cooking shorts', Views: '900', Category: 'food', Game: '' },
+  { Video: 'Hades review', Views: '120000', Category: 'gaming', Game: 'Hades' },
+  { Video: 'Tunic guide', Views: '80000', Category: 'gaming', Game: '' },
+  { Video: 'Balatro shorts', Views: '300000', Category: 'gaming', Game: '' }
+];
+
+test('parses ranges and conditions', () => {
+  assert.deepEqual(parseRange('2-4'), { start: 2, end: 4 });
+  assert.deepEqual(parseRange('3-'), { start: 3, end: Infinity });
+  assert.deepEqual(parseRange('-2'), { start: 1, end: 2 });
+  assert.deepEqual(parseRange('5'), { start: 5, end: 5 });
+  assert.throws(() => parseRange('4-2'));
+  const matches = (text, row) => matchesCondition(row, parseCondition(text));
+  assert.equal(matches('Views > 100000', rows[0]), true);
+  assert.equal(matches('Views > 100000', rows[1]), false);
+  assert.equal(matches('Video not contains shorts', rows[1]), false);
+  assert.equal(matches('Video matches ^H', rows[2]), true);
+  assert.equal(matches('Game is empty', rows[2]), false);
+});
+
+test('applies range, where, onlyEmpty and sample in that order', () => {
+  const select = (raw, outputColumns = []) => selectRows(rows, normalizeSelection(raw), outputColumns);
+
+  assert.deepEqual(select({ range: '2-4' }), [1, 2, 3]);
+  assert.deepEqual(select({ where: 'Views > 100000' }), [0, 2, 4], 'numbers compare as numbers');
+  assert.deepEqual(select({ where: ['Category == gaming', 'Video not contains shorts'] }), [0, 2, 3]);
+  assert.deepEqual(select({ range: '2-', where: 'Category == gaming', onlyEmpty: true }, ['Game']), [3, 4]);
+
+  const sampled = select({ where: 'Category == gaming', sample: 2 });
+  assert.equal(sampled.length, 2);
+  assert.deepEqual(select({ where: 'Category == gaming', sample: 2 }), sampled, 'the default seed picks the same rows');
+  assert.ok(sampled.every(index => rows[index].Category === 'gaming'));
+  assert.throws(() => normalizeSelection({ sample: 2, seed: 'abc' }), /rows\.seed must be an integer/);
+});
+
+test('generates only the selected rows and leaves the others untouched', async () => {
+  const tmp = tempDir();
+  const api = await fakeApi(body => `game in ${lastUserMessage(body)}`);
+  try {
+    const config = fileConfig(tmp, [{ columnName: 'Game', modelName: 'test/model', prompt: '{{Video}}', concurrency: 1, rows: { onlyEmpty: true, where: 'Video not contains shorts' } }], {
+      inputRows: rows,
+      provider: api.provider,
+      rows: { where: 'Category == gaming' }
+    });
+    const { code } = await runCli([writeConfig(tmp, config), '--rows', '-4'], { cwd: tmp.dir });
+
+    assert.equal(code, 0);
+    assert.deepEqual(api.requests.map(lastUserMessage), ['Celeste speedrun', 'Tunic guide']);
+    assert.deepEqual((await readCsv(tmp.file('out.csv'))).map(row => row.Game), ['game in Celeste speedrun', '', 'Hades', 'game in Tunic guide', '']);
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
+
+test('rejects a run filter on a generated column', async () => {
+  const tmp = tempDir();
+  const api = await fakeApi();
+  try {
+    const config = fileConfig(tmp, [{ columnName: 'Game', modelName: 'test/model', prompt: '{{Video}}' }], {
+      inputRows: rows.map(({ Game, ...row }) => row),
+      provider: api.provider
+    });
+    const { code, stderr } = await runCli([writeConfig(tmp, config), '--where', 'Game is empty'], { cwd: tmp.dir });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /rows\.where: "Game" is not an input column/);
+    assert.equal(api.requests.length, 0);
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
+
+test('rejects a seed that is not an integer before reading anything', async () => {
+  const tmp = tempDir();
+  try {
+    const { code, stderr } = await runCli([tmp.file('config.yaml'), '--sample-rows', '2', '--seed', 'abc'], { cwd: tmp.dir });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /--seed must be an integer/);
+  } finally {
+    tmp.cleanup();
+  }
+});
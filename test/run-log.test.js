@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { diffRunLogs, readRunLog, summarizeRunLog } from '../lib/run-log.js';
+import { fakeApi, fileConfig, lastUserMessage, runCli, tempDir, writeConfig } from './helpers.js';
+
+const column = { columnName: 'Category', modelName: 'test/model', prompt: 'Categorize {{Video}}', concurrency: 1, validate: { allowed: ['gaming', 'vlog'] } };
+
+/**
+ * Run the column over three videos in tmp against a local API answering with respond;
+ * returns the run log's path and entries
+ */
+async function loggedRun(tmp, respond) {
+  const api = await fakeApi(respond);
+  try {
+    const { code, stdout } = await runCli([writeConfig(tmp, fileConfig(tmp, [column], { provider: api.provider })), '--no-cache', '--full'], { cwd: tmp.dir });
+    assert.equal(code, 0);
+    const [, logPath] = stdout.match(/Run log: (\S+)/);
+    assert.ok(logPath.startsWith('runs/') && logPath.endsWith('-out.jsonl'));
+    return { logPath: tmp.file(logPath), entries: readRunLog(tmp.file(logPath)) };
+  } finally {
+    await api.close();
+  }
+}
+
+test('logs every call with its outcome, attempt, re-ask and usage', async () => {
+  const tmp = tempDir();
+  try {
+    const answered = new Set();
+    const { logPath, entries } = await loggedRun(tmp, (body) => {
+      const prompt = body.messages[0].content;
+      const first = !answered.has(prompt);
+      answered.add(prompt);
+      if (prompt === 'Categorize Video 1' && first) {
+        return 'cooking';
+      }
+      return prompt === 'Categorize Video 2' && first ? { status: 503, retryAfter: 0 } : 'gaming';
+    });
+
+    const summary = ({ rowIndex, attempt, reask, outcome, errorClass }) => ({ rowIndex, attempt, reask, outcome, errorClass });
+    assert.deepEqual(entries.map(summary), [
+      { rowIndex: 0, attempt: 1, reask: 0, outcome: 'invalid', errorClass: undefined },
+      { rowIndex: 0, attempt: 1, reask: 1, outcome: 'ok', errorClass: undefined },
+      { rowIndex: 1, attempt: 1, reask: 0, outcome: 'error', errorClass: 'server_error' },
+      { rowIndex: 1, attempt: 2, reask: 0, outcome: 'ok', errorClass: undefined },
+      { rowIndex: 2, attempt: 1, reask: 0, outcome: 'ok', errorClass: undefined }
+    ]);
+    const [first] = entries;
+    assert.equal(first.column, 'Category');
+    assert.equal(first.model, 'test/model');
+    assert.equal(first.response, 'cooking');
+    assert.deepEqual(first.prompt, [{ role: 'user', content: 'Categorize Video 1' }]);
+    assert.ok(first.promptTokens > 0 && first.cost > 0 && first.latencyMs >= 0);
+
+    const { totals, byColumn, byError } = summarizeRunLog(entries);
+    assert.equal(totals.calls, 5);
+    assert.equal(byColumn.get('Category').rows.size, 3);
+    assert.equal(byError.get('server_error').calls, 1);
+    assert.equal(byError.get('invalid').calls, 1);
+
+    const report = await runCli(['report', logPath], { cwd: tmp.dir });
+    assert.equal(report.code, 0);
+    assert.match(report.stdout, /Calls:\s+5 \(1 failed, 1 invalid, 0 cached\)/);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('compares two runs row by row', async () => {
+  const tmp = tempDir();
+  try {
+    const before = await loggedRun(tmp, () => 'gaming');
+    fs.renameSync(before.logPath, tmp.file('before.jsonl'));
+    const after = await loggedRun(tmp, body => (lastUserMessage(body) === 'Categorize Video 3' ? 'vlog' : 'gaming'));
+    const diff = diffRunLogs(before.entries, after.entries);
+
+    assert.equal(diff.same, 2);
+    assert.deepEqual(diff.changed, [{ column: 'Category', rowIndex: 2, before: { Category: 'gaming' }, after: { Category: 'vlog' } }]);
+    assert.equal(diff.columns[0].after.calls, 3);
+
+    const report = await runCli(['report', tmp.file('before.jsonl'), after.logPath], { cwd: tmp.dir });
+    assert.equal(report.code, 0);
+    assert.match(report.stdout, /Values: 2 row\(s\) unchanged, 1 changed/);
+    assert.match(report.stdout, /"Category" row 3: .*gaming.* → .*vlog/);
+  } finally {
+    tmp.cleanup();
+  }
+});
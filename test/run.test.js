@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateColumns, stopRun } from '../lib/generator.js';
+import { recordingProvider, summaryColumn, testOptions, videoRows } from './helpers.js';
+
+const config = (settings = {}) => ({ columns: [summaryColumn()], ...settings });
+
+/**
+ * Promise with its resolve function, to hold one run's request until the other gets somewhere
+ */
+function gate() {
+  let open;
+  const promise = new Promise(resolve => {
+    open = resolve;
+  });
+  return { promise, open };
+}
+
+test('runs at the same time keep their own provider, logger and budget', async () => {
+  const first = recordingProvider({}, () => 'first');
+  const second = recordingProvider({}, () => 'second');
+  const firstOptions = testOptions(first);
+  const secondOptions = testOptions(second);
+
+  const [limited, unlimited] = await Promise.all([
+    generateColumns(videoRows(4), config({ budget: { maxCost: 0.002 } }), firstOptions),
+    generateColumns(videoRows(4), config(), secondOptions)
+  ]);
+
+  assert.match(limited.stopped, /The run spent/);
+  assert.deepEqual(limited.rows.map(row => row.Summary), ['first', 'first', '', '']);
+  assert.equal(unlimited.stopped, null);
+  assert.deepEqual(unlimited.rows.map(row => row.Summary), ['second', 'second', 'second', 'second']);
+  assert.equal(first.requests.length, 2);
+  assert.equal(second.requests.length, 4);
+  assert.match(firstOptions.logger.text(), /Budget:/);
+  assert.doesNotMatch(secondOptions.logger.text(), /Budget:/);
+});
+
+test('stopRun stops every run in progress', async () => {
+  const secondStarted = gate();
+  const stopped = gate();
+  const first = recordingProvider({}, async (body, count) => {
+    if (count === 1) {
+      await secondStarted.promise;
+      stopRun('Stopped by test');
+      stopped.open();
+    }
+    return 'first';
+  });
+  const second = recordingProvider({}, async (body, count) => {
+    if (count === 1) {
+      secondStarted.open();
+      await stopped.promise;
+    }
+    return 'second';
+  });
+
+  const results = await Promise.all([
+    generateColumns(videoRows(3), config(), testOptions(first)),
+    generateColumns(videoRows(3), config(), testOptions(second))
+  ]);
+
+  for (const result of results) {
+    assert.equal(result.stopped, 'Stopped by test');
+    assert.deepEqual(result.pendingRows.get('Summary'), [1, 2]);
+  }
+  assert.equal(first.requests.length + second.requests.length, 2);
+});
+
+test('aborting one run\'s signal leaves the others running', async () => {
+  const aborted = gate();
+  const controller = new AbortController();
+  const first = recordingProvider({}, (body, count) => {
+    if (count === 1) {
+      controller.abort();
+      aborted.open();
+    }
+    return 'first';
+  });
+  const second = recordingProvider({}, async (body, count) => {
+    if (count === 1) {
+      await aborted.promise;
+    }
+    return 'second';
+  });
+
+  const [stoppedRun, finishedRun] = await Promise.all([
+    generateColumns(videoRows(3), config(), testOptions(first, { signal: controller.signal })),
+    generateColumns(videoRows(3), config(), testOptions(second))
+  ]);
+
+  assert.equal(stoppedRun.stopped, 'Aborted');
+  assert.deepEqual(stoppedRun.rows.map(row => row.Summary), ['first', '', '']);
+  assert.equal(finishedRun.stopped, null);
+  assert.deepEqual(finishedRun.rows.map(row => row.Summary), ['second', 'second', 'second']);
+});
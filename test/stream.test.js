@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fakeApi, fileConfig, lastUserMessage, readCsv, runCli, tempDir, videoRows, writeConfig } from './helpers.js';
+
+const columns = [
+  { columnName: 'Summary', modelName: 'test/model', prompt: 'Summarize {{Video}}' },
+  { columnName: 'Title', modelName: 'test/model', prompt: 'Title for {{Summary}}' }
+];
+
+test('runs every column on each row and writes rows in input order', async () => {
+  const tmp = tempDir();
+  // Earlier rows answer later, so rows finish out of order
+  const api = await fakeApi(async (body) => {
+    const prompt = lastUserMessage(body);
+    const number = Number(prompt.match(/\d+/)[0]);
+    await new Promise(resolve => setTimeout(resolve, (7 - number) * 5));
+    return prompt.startsWith('Summarize') ? `summary ${number}` : `title from ${prompt.slice('Title for '.length)}`;
+  });
+  try {
+    const config = fileConfig(tmp, columns, { inputRows: videoRows(6), provider: api.provider, concurrency: 3, checkpointEvery: 2 });
+    const { code } = await runCli([writeConfig(tmp, config), '--stream'], { cwd: tmp.dir });
+
+    assert.equal(code, 0);
+    assert.equal(fs.existsSync(tmp.file('out.progress')), false);
+    const rows = await readCsv(tmp.file('out.csv'));
+    assert.deepEqual(rows.map(row => row.Video), videoRows(6).map(row => row.Video));
+    assert.deepEqual(rows.map(row => row.Title), [1, 2, 3, 4, 5, 6].map(n => `title from summary ${n}`));
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
+
+test('resumes after the last checkpoint', async () => {
+  const tmp = tempDir();
+  const api = await fakeApi(() => 'answer');
+  try {
+    // Every answer uses 15 tokens (see chatCompletion in helpers.js), so the budget stops the run after 3 rows
+    const config = fileConfig(tmp, columns, { inputRows: videoRows(5), provider: api.provider, streaming: true, concurrency: 1, checkpointEvery: 1 });
+    const stopped = await runCli([writeConfig(tmp, { ...config, budget: { maxTokens: 90 } }), '--no-cache'], { cwd: tmp.dir });
+    assert.equal(stopped.code, 2);
+    assert.match(stopped.stdout, /Rows 4 onward are still pending; progress saved to .*out\.progress, rerun with --resume to continue/);
+
+    api.requests.length = 0;
+    const resumed = await runCli([writeConfig(tmp, config), '--resume', '--no-cache'], { cwd: tmp.dir });
+    assert.equal(resumed.code, 0);
+    assert.deepEqual(api.requests.map(lastUserMessage).filter(prompt => prompt.startsWith('Summarize')), ['Summarize Video 4', 'Summarize Video 5']);
+    const rows = await readCsv(tmp.file('out.csv'));
+    assert.equal(rows.length, 5);
+    assert.ok(rows.every(row => row.Summary === 'answer' && row.Title === 'answer'));
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
+
+test('rejects sampling, which needs every row up front', async () => {
+  const tmp = tempDir();
+  try {
+    const config = fileConfig(tmp, columns, { provider: { type: 'mock' }, streaming: true, rows: { sample: 2 } });
+    const { code, stderr } = await runCli([writeConfig(tmp, config)], { cwd: tmp.dir });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /rows\.sample: is not supported in streaming mode/);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('marks the rows of a column using a failed cell as failed upstream', async () => {
+  const tmp = tempDir();
+  const api = await fakeApi(body => (lastUserMessage(body) === 'Summarize Video 2' ? { status: 400, retryAfter: 0 } : 'answer'));
+  try {
+    const withErrors = columns.map(column => ({ ...column, errorColumn: true }));
+    const config = fileConfig(tmp, withErrors, { provider: api.provider, streaming: true, concurrency: 1 });
+    const { code } = await runCli([writeConfig(tmp, config)], { cwd: tmp.dir });
+
+    assert.equal(code, 0);
+    assert.ok(!api.requests.map(lastUserMessage).includes('Title for '));
+    const rows = await readCsv(tmp.file('out.csv'));
+    assert.deepEqual(rows.map(row => row.Title), ['answer', '', 'answer']);
+    assert.equal(rows[1].Title__error, 'upstream: "Summary" failed on this row');
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { renderTemplate, templateReferences, TemplateError } from '../lib/template.js';
+import { fakeApi, fileConfig, lastUserMessage, runCli, tempDir, writeConfig } from './helpers.js';
+
+const row = { 'Video': 'Celeste Any% Speedrun', 'Date (UTC)': '2024-01-31', 'A|B': 'piped', 'Game Name': '', 'author': { name: 'Maddy' }, 'Notes': '  Spaced  ' };
+
+test('renders columns, nested fields and filters', () => {
+  assert.equal(renderTemplate('{{Video}} on {{Date (UTC)}} by {{author.name}}', row), 'Celeste Any% Speedrun on 2024-01-31 by Maddy');
+  assert.equal(renderTemplate('{{Video | truncate: 7, "…" | upper}}', row), 'CELESTE…');
+  assert.equal(renderTemplate('[{{Notes | trim | lower}}]', row), '[spaced]');
+  assert.equal(renderTemplate('{{author | json}}', row), '{"name":"Maddy"}');
+  assert.equal(renderTemplate('{{"A|B"}}', row), 'piped');
+  assert.equal(renderTemplate('\\{{Video}}', row), '{{Video}}');
+});
+
+test('chooses sections and defaults by whether a value is empty', () => {
+  const template = '{{#if Game Name}}Game: {{Game Name}}{{else}}No game{{/if}}, {{#unless Video}}no video{{/unless}}{{Game Name | default: "unknown"}}';
+  assert.equal(renderTemplate(template, row), 'No game, unknown');
+  assert.equal(renderTemplate(template, { ...row, 'Game Name': 'Celeste' }), 'Game: Celeste, Celeste');
+});
+
+test('renders row variables', () => {
+  assert.equal(renderTemplate('{{@index}}/{{@rowNumber}}', row, { rowIndex: 4 }), '4/5');
+  assert.equal(renderTemplate('{{@row}}', row, { rowIndex: 0, inputColumns: ['Video', 'Date (UTC)'] }), '{"Video":"Celeste Any% Speedrun","Date (UTC)":"2024-01-31"}');
+});
+
+test('lists references and rejects broken templates and missing fields', () => {
+  assert.deepEqual(templateReferences('{{Video}} {{#if Game Name}}{{author.name | upper}}{{/if}} {{@rowNumber}}').sort(), ['Game Name', 'Video', 'author.name']);
+  assert.throws(() => renderTemplate('{{Video | shout}}', row), TemplateError);
+  assert.throws(() => renderTemplate('{{#if Video}}open', row), TemplateError);
+  assert.throws(() => renderTemplate('{{author.age}}', row), TemplateError);
+  assert.throws(() => renderTemplate('{{Missing | lower}}', row), /\{\{Missing\}\} is not a column/);
+  assert.equal(renderTemplate('{{author.age | default: "?"}}', row), '?');
+  assert.equal(renderTemplate('{{Missing | default: "unknown" | upper}}', row), 'UNKNOWN');
+});
+
+test('reads prompts from files and stops before any request when a placeholder names no column', async () => {
+  const tmp = tempDir();
+  const api = await fakeApi();
+  try {
+    fs.writeFileSync(tmp.file('summary.md'), 'Summarize {{Video | upper}}');
+    const config = fileConfig(tmp, [{ columnName: 'Summary', modelName: 'test/model', promptFile: 'summary.md', concurrency: 1 }], { provider: api.provider });
+    assert.equal((await runCli([writeConfig(tmp, config)], { cwd: tmp.dir })).code, 0);
+    assert.deepEqual(api.requests.map(lastUserMessage), ['Summarize VIDEO 1', 'Summarize VIDEO 2', 'Summarize VIDEO 3']);
+
+    fs.writeFileSync(tmp.file('summary.md'), 'Summarize {{Vidoe}}');
+    const { code, stderr } = await runCli([writeConfig(tmp, config)], { cwd: tmp.dir });
+    assert.equal(code, 1);
+    assert.match(stderr, /columns\[0\]\.prompt: \{\{Vidoe\}\} is neither an input column nor a generated column/);
+    assert.equal(api.requests.length, 3);
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
+
+test('fails only the rows a template can\'t be rendered for', async () => {
+  const tmp = tempDir();
+  const api = await fakeApi(body => `about ${lastUserMessage(body)}`);
+  try {
+    fs.writeFileSync(tmp.file('in.jsonl'), `${JSON.stringify({ author: { name: 'Maddy' } })}\n${JSON.stringify({ author: {} })}\n`);
+    const config = {
+      inputFileName: tmp.file('in.jsonl'),
+      outputFileName: tmp.file('out.jsonl'),
+      provider: api.provider,
+      columns: [{ columnName: 'Summary', modelName: 'test/model', prompt: '{{author.name}}', errorColumn: true }]
+    };
+    const { code } = await runCli([writeConfig(tmp, config)], { cwd: tmp.dir });
+
+    assert.equal(code, 0);
+    assert.deepEqual(api.requests.map(lastUserMessage), ['Maddy']);
+    const rows = fs.readFileSync(tmp.file('out.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(rows[0].Summary, 'about Maddy');
+    assert.equal(rows[1].Summary, '');
+    assert.match(rows[1].Summary__error, /^template: \{\{author\.name\}\} is not a column in row 2/);
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRules, normalizeRules, normalizeUnknown } from '../lib/validation.js';
+import { fakeApi, fileConfig, readCsv, runCli, tempDir, writeConfig } from './helpers.js';
+
+const unknown = normalizeUnknown({ unknownAliases: ['[[Undectable]]'] }, 'Category');
+const check = (value, raw) => applyRules(value, normalizeRules(raw, 'Category'), unknown, 'Category');
+
+test('cleans up values and maps them onto allowed values and aliases', () => {
+  const rules = { stripPrefixes: ['Category:'], stripQuotes: true, allowed: ['gaming', 'vlog'], aliases: { 'video game': 'gaming' } };
+  assert.deepEqual(check(' category: "Gaming." ', rules), { value: 'gaming' });
+  assert.deepEqual(check('Video Game', rules), { value: 'gaming' });
+  assert.match(check('cooking', rules).error, /"Category" must be one of "gaming", "vlog", got "cooking"/);
+});
+
+test('checks patterns, numeric ranges and lengths', () => {
+  assert.deepEqual(check('@celeste', { pattern: '^@\\w+$' }), { value: '@celeste' });
+  assert.match(check('celeste', { pattern: '^@\\w+$' }).error, /must match/);
+  assert.deepEqual(check('1,234', { min: 0, max: 2000 }), { value: '1,234' });
+  assert.match(check('12,345', { min: 0, max: 2000 }).error, /must be between 0 and 2000/);
+  assert.match(check('lots', { min: 0 }).error, /must be a number/);
+  assert.match(check('abcdef', { maxLength: 5 }).error, /at most 5 characters, got 6/);
+});
+
+test('writes unknown answers as the unknown value without checking them', () => {
+  assert.deepEqual(check('[[undectable]]', { allowed: ['gaming'] }), { value: '__undetectable__' });
+  assert.deepEqual(applyRules('N/A', null, normalizeUnknown({ unknownValue: 'N/A' }, 'Category'), 'Category'), { value: 'N/A' });
+  assert.throws(() => normalizeRules({ allowed: [] }, 'Category'), /allowed must be a non-empty list/);
+  assert.throws(() => normalizeRules({ oneOf: ['x'] }, 'Category'), /validate\.oneOf is not a validation rule/);
+});
+
+test('re-asks with the problem, then falls back once the value stays invalid', async () => {
+  const tmp = tempDir();
+  const api = await fakeApi(body => (body.model === 'test/primary' ? 'cooking' : 'vlog'));
+  try {
+    const column = {
+      columnName: 'Category',
+      modelName: 'test/primary',
+      prompt: 'Categorize {{Video}}',
+      validate: { allowed: ['gaming', 'vlog'] },
+      maxReasks: 1,
+      fallbackModels: ['test/backup'],
+      fallbackOn: ['invalid_response']
+    };
+    const { code } = await runCli([writeConfig(tmp, fileConfig(tmp, [column], { inputRows: [{ Video: 'Celeste' }], provider: api.provider }))], { cwd: tmp.dir });
+
+    assert.equal(code, 0);
+    assert.equal((await readCsv(tmp.file('out.csv')))[0].Category, 'vlog');
+    assert.deepEqual(api.requests.map(body => body.model), ['test/primary', 'test/primary', 'test/backup']);
+    assert.match(api.requests[1].messages.at(-1).content, /must be one of "gaming", "vlog", got "cooking"/);
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+});
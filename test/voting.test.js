@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateColumns } from '../lib/generator.js';
+import { fakeApi, fileConfig, readCsv, recordingProvider, runCli, summaryColumn, tempDir, testOptions, videoRows, writeConfig } from './helpers.js';
+
+/**
+ * Run columns over a single video against a local API answering with respond;
+ * returns the models asked, in order, and the output row
+ */
+async function runColumns(columns, respond) {
+  const tmp = tempDir();
+  const api = await fakeApi(respond);
+  try {
+    const config = fileConfig(tmp, columns, { inputRows: [{ Video: 'Celeste' }], provider: api.provider });
+    const { code, stderr } = await runCli([writeConfig(tmp, config)], { cwd: tmp.dir });
+    assert.equal(code, 0, stderr);
+    const [row] = await readCsv(tmp.file('out.csv'));
+    return { models: api.requests.map(body => body.model), row };
+  } finally {
+    await api.close();
+    tmp.cleanup();
+  }
+}
+
+const withFallback = summaryColumn({ modelName: 'test/primary', fallbackModels: ['test/backup'], fallbackOn: ['server_error'] });
+
+test('falls back to the next model on the listed error classes', async () => {
+  const { models, row } = await runColumns([withFallback], body => (body.model === 'test/primary' ? { status: 503, retryAfter: 0 } : 'backup answer'));
+
+  assert.equal(row.Summary, 'backup answer');
+  assert.deepEqual(models, ['test/primary', 'test/backup']);
+});
+
+test('retries other errors on the same model', async () => {
+  const { models, row } = await runColumns([withFallback], (body, count) => (count === 1 ? { status: 429, retryAfter: 0 } : 'primary answer'));
+
+  assert.equal(row.Summary, 'primary answer');
+  assert.deepEqual(models, ['test/primary', 'test/primary']);
+});
+
+test('keeps the majority answer of the voting models and their agreement', async () => {
+  const answers = { 'test/a': 'vlog', 'test/b': 'Gaming', 'test/c': 'gaming ' };
+  const column = { columnName: 'Label', prompt: 'Label {{Video}}', voting: { models: Object.keys(answers) } };
+  const { models, row } = await runColumns([column], body => answers[body.model]);
+
+  assert.deepEqual(models.sort(), ['test/a', 'test/b', 'test/c']);
+  assert.equal(row.Label, 'Gaming');
+  assert.equal(row['Label Agreement'], '0.67');
+});
+
+const label = (voting) => ({ columnName: 'Label', prompt: 'Label {{Video}}', concurrency: 1, errorColumn: true, voting });
+const models = ['test/a', 'test/b', 'test/bad'];
+
+test('votes among the models that answered when one of them fails', async () => {
+  const provider = recordingProvider({
+    responses: [{ model: '^test/bad', status: 400, retryAfter: 0 }, { model: '^test/a', content: 'Gaming' }, { content: 'gaming ' }]
+  });
+  const options = testOptions(provider);
+  const result = await generateColumns(videoRows(1), { columns: [label({ models })] }, options);
+
+  assert.equal(result.rows[0].Label, 'Gaming');
+  assert.equal(result.rows[0]['Label Agreement'], '0.67', 'the failed model counts against the agreement');
+  assert.equal(result.rows[0].Label__error, '');
+  assert.equal(result.columns.get('Label').failed, 0);
+  assert.ok(result.columns.get('Label').cost > 0, 'the answering models are paid for');
+  assert.match(options.logger.text(), /1 of 3 voting model\(s\) failed; voting among the other 2/);
+});
+
+test('fails the row when fewer models than the quorum answered, still counting their spend', async () => {
+  // test/a answers; test/bad answers an invalid value, then its re-ask fails; test/b fails outright
+  // Every answer costs $0.001 (see completion in helpers.js)
+  let badAnswered = false;
+  const provider = recordingProvider({ responses: [{ status: 400, retryAfter: 0 }] }, (requestBody) => {
+    if (requestBody.model === 'test/a') {
+      return 'gaming';
+    }
+    if (requestBody.model === 'test/bad' && !badAnswered) {
+      badAnswered = true;
+      return 'cooking';
+    }
+  });
+  const column = { ...label({ models, quorum: 2 }), validate: { allowed: ['gaming', 'vlog'] } };
+  const result = await generateColumns(videoRows(1), { columns: [column] }, testOptions(provider));
+
+  assert.equal(result.rows[0].Label, '');
+  assert.match(result.rows[0].Label__error, /^client_error: 1\/3 models answered \(quorum 2\)/);
+  const stats = result.columns.get('Label');
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.cost.toFixed(3), '0.002', 'test/a and the first test/bad answer are paid for');
+  assert.equal(stats.promptTokens, 20);
+});
+
+test('accepts a lower quorum and rejects an impossible one', async () => {
+  const provider = recordingProvider({ responses: [{ model: '^test/(a|b)$', status: 400, retryAfter: 0 }] });
+  const result = await generateColumns(videoRows(1), { columns: [label({ models, quorum: 1 })] }, testOptions(provider));
+  assert.match(result.rows[0].Label, /^mock-/);
+  assert.equal(result.rows[0]['Label Agreement'], '0.33');
+
+  await assert.rejects(
+    generateColumns(videoRows(1), { columns: [label({ models, quorum: 4 })] }, testOptions(recordingProvider())),
+    /columns\[0\]\.voting\.quorum: must be an integer from 1 to 3/
+  );
+});